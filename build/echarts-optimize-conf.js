@@ -9,6 +9,16 @@ exports.modules = {
             exclude: ['echarts', 'zrender'],
             includeShallow: ['zrender/shape/ShapeBundle'],
             weight: 90
+        },
+        {
+            name: 'echarts-x/chart/scatter3d',
+            exclude: ['echarts', 'zrender'],
+            weight: 90
+        },
+        {
+            name: 'echarts-x/chart/surface3d',
+            exclude: ['echarts', 'zrender'],
+            weight: 90
         }
     ]
 };
@@ -10,8 +10,12 @@ define(function (require) {
 
     var ecConfig = require('echarts/config');
     var zrUtil = require('zrender/tool/util');
+    var zrConfig = require('zrender/config');
+    var ShapeBase = require('zrender/shape/Base');
+    var ecData = require('echarts/util/ecData');
 
     var ComponentBase3D = require('../component/base3d');
+    var Grid3D = require('../component/grid3d');
 
     var colorUtil = require('../util/color');
 
@@ -19,6 +23,19 @@ define(function (require) {
     var Vector3 = require('qtek/math/Vector3');
     var Matrix4 = require('qtek/math/Matrix4');
 
+    // Scales mapping data value to markBar height
+    var markBarScales = {
+        linear: function (val) {
+            return val;
+        },
+        log: function (val) {
+            return val > 0 ? Math.log(val) : NaN;
+        },
+        sqrt: function (val) {
+            return val >= 0 ? Math.sqrt(val) : NaN;
+        }
+    };
+
     var MarkerCtorMap = {
         markLine: require('../entity/marker/MarkLine'),
         markBar: require('../entity/marker/MarkBar'),
@@ -55,6 +72,51 @@ define(function (require) {
         this._largeMarkPointCount = 0;
 
         this._markList = [];
+
+        /**
+         * Extent of the scaled markBar values of each series, used in mapping value to bar height
+         * @type {Object}
+         * @private
+         */
+        this._markBarValueExtents = {};
+
+        // Series name of the legend item hovered, whose markers are highlighted
+        this._legendHoveredName = null;
+
+        /**
+         * Selected state of marker data items.
+         * Key is series index and mark type, value is the selected state of each data index
+         * @type {Object}
+         * @private
+         */
+        this._markerSelected = {};
+
+        var self = this;
+        // Overwrite the legend hover link handler binded in echarts component base,
+        // markers of hovered series are highlighted instead of the zrender shapes
+        if (messageCenter) {
+            messageCenter.unbind(ecConfig.EVENT.LEGEND_HOVERLINK, this._onlegendhoverlink);
+            this._onlegendhoverlink = function (param) {
+                self._highlightLegendHovered(param.target);
+            };
+            messageCenter.bind(ecConfig.EVENT.LEGEND_HOVERLINK, this._onlegendhoverlink);
+        }
+        // There is no event when mouse leaves the legend item
+        this._onzrmousemove = function (param) {
+            var target = param.target;
+            if (self._legendHoveredName != null
+                && (! target || target._name !== self._legendHoveredName)
+            ) {
+                self._downplayLegendHovered();
+            }
+        };
+        zr.on(zrConfig.EVENT.MOUSEMOVE, this._onzrmousemove);
+
+        /**
+         * Cartesian grid of chart, only exists if grid3D is configured in option
+         * @type {module:echarts-x/component/grid3d}
+         */
+        this.grid3D = null;
     };
 
     Base3D.prototype = {
@@ -72,6 +134,17 @@ define(function (require) {
                 this._markList[i].clear();
             }
             this._markList.length = 0;
+            this._markBarValueExtents = {};
+
+            // Selected state of removed series and markers is discarded
+            for (var seriesIndex in this._markerSelected) {
+                var serie = this.series[seriesIndex];
+                for (var markType in this._markerSelected[seriesIndex]) {
+                    if (! serie || ! serie[markType]) {
+                        delete this._markerSelected[seriesIndex][markType];
+                    }
+                }
+            }
 
             this._markBarCount = 0;
             this._markPointCount = 0;
@@ -186,6 +259,9 @@ define(function (require) {
             }
             var marker = list[count];
             marker.setSeries(serie, seriesIndex);
+            this._restoreMarkerSelected(
+                marker, seriesIndex, markerType === 'largeMarkPoint' ? 'markPoint' : markerType
+            );
             var sceneNode = marker.getSceneNode();
             if (sceneNode.getParent() !== parentNode) {
                 parentNode.add(sceneNode);
@@ -223,15 +299,52 @@ define(function (require) {
             return colorArr;
         },
 
+        /**
+         * Create or refresh the grid3D component if it is configured in option,
+         * else dispose the existed one.
+         * Charts in cartesian space should collect the data extent and call grid3D.update after it.
+         * @param  {qtek.Node} parentNode
+         *         Parent scene node where grid will be mounted
+         * @return {module:echarts-x/component/grid3d}
+         */
+        updateGrid3D: function (parentNode) {
+            var option = this.option;
+            if (option.grid3D) {
+                if (! this.grid3D) {
+                    this.grid3D = new Grid3D(
+                        this.ecTheme, this.messageCenter, this.zr,
+                        option, this.myChart, this.baseLayer
+                    );
+                }
+                else {
+                    this.grid3D.refresh(option);
+                }
+                var sceneNode = this.grid3D.getSceneNode();
+                if (sceneNode.getParent() !== parentNode) {
+                    parentNode.add(sceneNode);
+                }
+            }
+            else if (this.grid3D) {
+                this.grid3D.dispose();
+                this.grid3D = null;
+            }
+            return this.grid3D;
+        },
+
         /**
          * Map a mark coord to 3D cartesian coordinates vector.
-         * Default it is a simply copy. Each chart can overwrite it and implement its own 
-         * Mapping algorithm
+         * Default it is a simply copy, or mapped by the grid3D if chart has one.
+         * Each chart can overwrite it and implement its own mapping algorithm
          * @param  {number} seriesIndex
          * @param  {Object} data Given marker data
          * @param  {qtek.math.Vector3} point Output 3d vector
+         * @param  {string} [markType] 'markPoint', 'markLine' or 'markBar', which the data belongs to
          */
-        getMarkCoord: function (seriesIndex, data, point) {
+        getMarkCoord: function (seriesIndex, data, point, markType) {
+            if (this.grid3D) {
+                this.grid3D.dataToPoint(data.x, data.y, data.z, point);
+                return;
+            }
             point._array[0] = data.x;
             point._array[1] = data.y;
             point._array[2] = data.z;
@@ -247,7 +360,7 @@ define(function (require) {
         getMarkPointTransform: function (seriesIndex, data, matrix) {
             Matrix4.identity(matrix);
             var position = new Vector3();
-            this.getMarkCoord(seriesIndex, data, position);
+            this.getMarkCoord(seriesIndex, data, position, 'markPoint');
             // Simply set the position
             var arr = matrix._array;
             arr[12] = position.x;
@@ -264,12 +377,63 @@ define(function (require) {
          * @param  {qtek.math.Vector3} end Output end 3d vector
          */
         getMarkBarPoints: function (seriesIndex, data, start, end) {
-            var barHeight = data.barHeight != null ? data.barHeight : 1;
+            var barHeight = this.getMarkBarHeight(seriesIndex, data);
+            this.getMarkCoord(seriesIndex, data, start, 'markBar');
+            Vector3.scaleAndAdd(end, start, Vector3.UP, barHeight);
+        },
+
+        /**
+         * Get height of markBar data item.
+         * barHeight of data item is used if given, else the value is mapped into
+         * the heightRange of markBar in its scale. Default height is 1.
+         * @param  {number} seriesIndex
+         * @param  {Object} data
+         * @return {number}
+         */
+        getMarkBarHeight: function (seriesIndex, data) {
+            var barHeight = data.barHeight;
             if (typeof(barHeight) == 'function') {
                 barHeight = barHeight(data);
             }
-            this.getMarkCoord(seriesIndex, data, start);
-            Vector3.scaleAndAdd(end, end, start, 1);
+            if (barHeight != null) {
+                return barHeight;
+            }
+            var markBar = this.series[seriesIndex].markBar;
+            var heightRange = markBar && markBar.heightRange;
+            if (! heightRange) {
+                return 1;
+            }
+            var scale = markBarScales[markBar.scale] || markBarScales.linear;
+            var extent = this._getMarkBarValueExtent(seriesIndex, scale);
+            var value = scale(+this.getDataFromOption(data, NaN));
+            if (! isFinite(value) || extent[1] <= extent[0]) {
+                return heightRange[0];
+            }
+            return (value - extent[0]) / (extent[1] - extent[0])
+                * (heightRange[1] - heightRange[0]) + heightRange[0];
+        },
+
+        /**
+         * Get extent of the scaled values in markBar data of series
+         * @param  {number} seriesIndex
+         * @param  {Function} scale
+         * @return {Array.<number>}
+         * @private
+         */
+        _getMarkBarValueExtent: function (seriesIndex, scale) {
+            var extent = this._markBarValueExtents[seriesIndex];
+            if (! extent) {
+                extent = this._markBarValueExtents[seriesIndex] = [Infinity, -Infinity];
+                var dataList = this.series[seriesIndex].markBar.data || [];
+                for (var i = 0; i < dataList.length; i++) {
+                    var value = scale(+this.getDataFromOption(dataList[i], NaN));
+                    if (isFinite(value)) {
+                        extent[0] = Math.min(extent[0], value);
+                        extent[1] = Math.max(extent[1], value);
+                    }
+                }
+            }
+            return extent;
         },
 
         /**
@@ -288,14 +452,356 @@ define(function (require) {
             if (!isCurve) { // Mark line is not a curve
                 p3 = p1;
             }
-            this.getMarkCoord(seriesIndex, data[0], p0);
-            this.getMarkCoord(seriesIndex, data[1], p3);
+            this.getMarkCoord(seriesIndex, data[0], p0, 'markLine');
+            this.getMarkCoord(seriesIndex, data[1], p3, 'markLine');
             if (isCurve) {
                 Vector3.copy(p1, p0);
                 Vector3.copy(p2, p3);
             }
         },
 
+        /**
+         * If the markers of series are shaded with the lights in scene.
+         * Each chart with light option can overwrite it
+         * @param  {number} seriesIndex
+         * @return {boolean}
+         */
+        isLightEnabled: function (seriesIndex) {
+            return false;
+        },
+
+        /**
+         * Deliver mouse event on a marker data item to zrender,
+         * so tooltip and the chart events can be triggered like the 2D charts.
+         * @param  {module:echarts-x/entity/marker/Base} marker
+         * @param  {string} markType 'markPoint', 'markLine' or 'markBar'
+         * @param  {Object} e Event of renderable picked, with dataIndex
+         */
+        dispatchMarkerEvent: function (marker, markType, e) {
+            var seriesIndex = marker.seriesIndex;
+            var serie = this.series[seriesIndex];
+            var markOption = serie && serie[markType];
+            var dataItem = markOption && markOption.data && markOption.data[e.dataIndex];
+            if (! dataItem) {
+                return;
+            }
+            var EVENT = zrConfig.EVENT;
+            var isClick = e.type === EVENT.CLICK || e.type === EVENT.DBLCLICK;
+            if (! this.deepQuery([markOption, serie], isClick ? 'clickable' : 'hoverable')) {
+                return;
+            }
+
+            if (e.type === EVENT.MOUSEOVER) {
+                marker.highlight(e.dataIndex);
+                this.zr.refreshNextFrame();
+            }
+            else if (e.type === EVENT.MOUSEOUT) {
+                this._downplayMarker(marker, markType, e.dataIndex);
+                this.zr.refreshNextFrame();
+            }
+            else if (e.type === EVENT.CLICK
+                && this.deepQuery([markOption, serie], 'selectedMode')
+            ) {
+                this._toggleMarkerSelected(marker, markType, e.dataIndex);
+                this.onmarkerSelected({
+                    seriesIndex: seriesIndex,
+                    markType: markType,
+                    dataIndex: e.dataIndex
+                }, e.event);
+            }
+
+            var name;
+            var value;
+            if (markType === 'markLine') {
+                // Data of mark line is the start and end point
+                name = (dataItem[0].name || '') + ' > ' + (dataItem[1].name || '');
+                value = this.getDataFromOption(dataItem[1], this.getDataFromOption(dataItem[0], '-'));
+            }
+            else {
+                name = dataItem.name || '';
+                value = this.getDataFromOption(dataItem, '-');
+            }
+            // Shape is not drawn, only carries the data for tooltip and events
+            var shape = new ShapeBase({});
+            ecData.pack(shape, serie, seriesIndex, dataItem, e.dataIndex, name, value);
+
+            this.zr.handler.dispatch(e.type, {
+                target: shape,
+                event: e.event,
+                type: e.type
+            });
+        },
+
+        /**
+         * Highlight data items of markers with the emphasis style
+         * @param  {Object} opts
+         * @param  {number} [opts.seriesIndex]
+         * @param  {string} [opts.seriesName] Markers of all series if seriesIndex and seriesName both not given
+         * @param  {string} [opts.markType] 'markPoint', 'markLine' or 'markBar', all types if not given
+         * @param  {number} [opts.dataIndex] All data items if not given
+         */
+        highlight: function (opts) {
+            opts = opts || {};
+            this._eachMarker(opts, function (marker) {
+                marker.highlight(opts.dataIndex);
+            });
+            this.zr.refreshNextFrame();
+        },
+
+        /**
+         * Downplay highlighted data items of markers to the normal style
+         * @param  {Object} opts Same as the opts in highlight
+         */
+        downplay: function (opts) {
+            opts = opts || {};
+            var self = this;
+            this._eachMarker(opts, function (marker, markType) {
+                self._downplayMarker(marker, markType, opts.dataIndex);
+            });
+            this.zr.refreshNextFrame();
+        },
+
+        /**
+         * Downplay data items of marker, selected items keep the emphasis style
+         * @param  {module:echarts-x/entity/marker/Base} marker
+         * @param  {string} markType
+         * @param  {number} [dataIndex]
+         * @private
+         */
+        _downplayMarker: function (marker, markType, dataIndex) {
+            var selectedMap = this._getMarkerSelectedMap(marker.seriesIndex, markType);
+            if (dataIndex != null) {
+                if (! selectedMap[dataIndex]) {
+                    marker.downplay(dataIndex);
+                }
+                return;
+            }
+            marker.downplay();
+            for (var idx in selectedMap) {
+                if (selectedMap[idx]) {
+                    marker.highlight(+idx);
+                }
+            }
+        },
+
+        /**
+         * Get selected state of each data item of marker
+         * @param  {number} seriesIndex
+         * @param  {string} markType 'markPoint', 'markLine' or 'markBar'
+         * @return {Object}
+         * @private
+         */
+        _getMarkerSelectedMap: function (seriesIndex, markType) {
+            var seriesSelected = this._markerSelected[seriesIndex]
+                || (this._markerSelected[seriesIndex] = {});
+            return seriesSelected[markType] || (seriesSelected[markType] = {});
+        },
+
+        /**
+         * Highlight the selected data items after marker is rebuilt.
+         * Data items which didn't exist before are initialized from their selected property,
+         * others keep the selected state.
+         * @param  {module:echarts-x/entity/marker/Base} marker
+         * @param  {number} seriesIndex
+         * @param  {string} markType
+         * @private
+         */
+        _restoreMarkerSelected: function (marker, seriesIndex, markType) {
+            var selectedMap = this._getMarkerSelectedMap(seriesIndex, markType);
+            var dataList = this.series[seriesIndex][markType].data || [];
+            for (var idx in selectedMap) {
+                if (idx >= dataList.length) {
+                    delete selectedMap[idx];
+                }
+            }
+            for (var i = 0; i < dataList.length; i++) {
+                if (selectedMap[i] == null) {
+                    selectedMap[i] = !! dataList[i].selected;
+                }
+            }
+            for (var idx in selectedMap) {
+                if (selectedMap[idx]) {
+                    marker.highlight(+idx);
+                }
+            }
+        },
+
+        /**
+         * Toggle selected state of the data item clicked.
+         * Data item hovered keeps highlighted until mouse leaves.
+         * @param  {module:echarts-x/entity/marker/Base} marker
+         * @param  {string} markType
+         * @param  {number} dataIndex
+         * @private
+         */
+        _toggleMarkerSelected: function (marker, markType, dataIndex) {
+            var serie = this.series[marker.seriesIndex];
+            var selectedMap = this._getMarkerSelectedMap(marker.seriesIndex, markType);
+            var selected = ! selectedMap[dataIndex];
+            if (selected && this.deepQuery([serie[markType], serie], 'selectedMode') === 'single') {
+                for (var idx in selectedMap) {
+                    if (selectedMap[idx]) {
+                        selectedMap[idx] = false;
+                        marker.downplay(+idx);
+                    }
+                }
+            }
+            selectedMap[dataIndex] = selected;
+            marker.highlight(dataIndex);
+            this.zr.refreshNextFrame();
+        },
+
+        /**
+         * Select or unselect data items of markers, selected items keep the emphasis style.
+         * Only one data item of each marker can be selected if selectedMode is 'single'.
+         * @param  {Object} opts Same as the opts in highlight
+         * @param  {boolean} selected
+         */
+        setMarkerSelected: function (opts, selected) {
+            opts = opts || {};
+            selected = !! selected;
+            var self = this;
+            this._eachMarker(opts, function (marker, markType) {
+                var serie = self.series[marker.seriesIndex];
+                var markOption = serie && serie[markType];
+                if (! markOption || ! markOption.data) {
+                    return;
+                }
+                var selectedMap = self._getMarkerSelectedMap(marker.seriesIndex, markType);
+                var isSingle = self.deepQuery([markOption, serie], 'selectedMode') === 'single';
+                for (var i = 0; i < markOption.data.length; i++) {
+                    if (opts.dataIndex != null && opts.dataIndex !== i) {
+                        continue;
+                    }
+                    if (selected && isSingle) {
+                        for (var idx in selectedMap) {
+                            selectedMap[idx] = false;
+                        }
+                    }
+                    selectedMap[i] = selected;
+                    if (selected && isSingle) {
+                        break;
+                    }
+                }
+                self._downplayMarker(marker, markType);
+            });
+            this.zr.refreshNextFrame();
+        },
+
+        /**
+         * Get all the selected data items of markers
+         * @return {Array.<Object>} Items with seriesIndex, seriesName, markType, dataIndex and name
+         */
+        getSelectedMarkers: function () {
+            var items = [];
+            for (var seriesIndex in this._markerSelected) {
+                var serie = this.series[seriesIndex];
+                if (! serie) {
+                    continue;
+                }
+                var seriesSelected = this._markerSelected[seriesIndex];
+                for (var markType in seriesSelected) {
+                    var dataList = (serie[markType] && serie[markType].data) || [];
+                    for (var idx in seriesSelected[markType]) {
+                        var dataItem = dataList[idx];
+                        if (! seriesSelected[markType][idx] || ! dataItem) {
+                            continue;
+                        }
+                        items.push({
+                            seriesIndex: +seriesIndex,
+                            seriesName: serie.name,
+                            markType: markType,
+                            dataIndex: +idx,
+                            name: markType === 'markLine'
+                                ? (dataItem[0].name || '') + ' > ' + (dataItem[1].name || '')
+                                : dataItem.name
+                        });
+                    }
+                }
+            }
+            return items;
+        },
+
+        /**
+         * Called after selected state of marker data item is changed by click
+         * @param  {Object} param seriesIndex, markType and dataIndex of the data item
+         * @param  {Event} event
+         */
+        onmarkerSelected: function (param, event) {},
+
+        /**
+         * Iterate the markers filtered by series and mark type
+         * @param  {Object} opts
+         * @param  {Function} cb Called with marker and mark type
+         * @private
+         */
+        _eachMarker: function (opts, cb) {
+            var seriesIndex = opts.seriesIndex;
+            if (seriesIndex == null && opts.seriesName != null) {
+                seriesIndex = -1;
+                for (var i = 0; i < this.series.length; i++) {
+                    if (this.series[i].name === opts.seriesName) {
+                        seriesIndex = i;
+                        break;
+                    }
+                }
+            }
+            var markTypes = opts.markType ? [opts.markType] : ['markPoint', 'markLine', 'markBar'];
+            for (var i = 0; i < markTypes.length; i++) {
+                var markType = markTypes[i];
+                var lists = markType === 'markPoint'
+                    ? [this._markPointList, this._largeMarkPointList]
+                    : [this['_' + markType + 'List'] || []];
+                for (var j = 0; j < lists.length; j++) {
+                    for (var k = 0; k < lists[j].length; k++) {
+                        var marker = lists[j][k];
+                        if (seriesIndex == null || marker.seriesIndex === seriesIndex) {
+                            cb(marker, markType);
+                        }
+                    }
+                }
+            }
+        },
+
+        /**
+         * Highlight the hoverable markers of series whose legend item is hovered
+         * @param  {string} seriesName
+         * @private
+         */
+        _highlightLegendHovered: function (seriesName) {
+            if (this._legendHoveredName === seriesName) {
+                return;
+            }
+            this._downplayLegendHovered();
+            this._legendHoveredName = seriesName;
+
+            var self = this;
+            this._eachMarker({ seriesName: seriesName }, function (marker, markType) {
+                var serie = self.series[marker.seriesIndex];
+                var markOption = serie && serie[markType];
+                if (! markOption
+                    || serie.legendHoverLink === false
+                    || ! self.deepQuery([markOption, serie], 'hoverable')
+                ) {
+                    return;
+                }
+                marker.highlight();
+            });
+            this.zr.refreshNextFrame();
+        },
+
+        /**
+         * Downplay the markers highlighted by legend hover
+         * @private
+         */
+        _downplayLegendHovered: function () {
+            if (this._legendHoveredName == null) {
+                return;
+            }
+            this.downplay({ seriesName: this._legendHoveredName });
+            this._legendHoveredName = null;
+        },
+
         /**
          * Get label text based with formatter
          * Code from echarts
@@ -372,10 +878,20 @@ define(function (require) {
         dispose: function () {
             ComponentBase3D.prototype.dispose.call(this);
 
+            this.zr.un(zrConfig.EVENT.MOUSEMOVE, this._onzrmousemove);
+            if (this.messageCenter) {
+                this.messageCenter.unbind(ecConfig.EVENT.LEGEND_HOVERLINK, this._onlegendhoverlink);
+            }
+
             // Dispose all the markers
             for (var i = 0; i < this._markList.length; i++) {
                 this._disposeSingleSerieMark(this._markList[i]);
             }
+
+            if (this.grid3D) {
+                this.grid3D.dispose();
+                this.grid3D = null;
+            }
         },
 
         // Overwrite onframe
@@ -31,8 +31,17 @@ define(function (require) {
     var AmbientLight = require('qtek/light/Ambient');
 
     var ecConfig = require('../config');
+    // Events of ECharts, echarts-x config is merged into it but not the reverse
+    var ecEvent = require('echarts/config').EVENT;
     var ChartBase3D = require('./base3d');
     var OrbitControl = require('../util/OrbitControl');
+    var Accessibility = require('../util/Accessibility');
+    var TileLayer = require('../util/TileLayer');
+    var HeightField = require('../util/HeightField');
+ 
+    var GlobeGeometry = require('../util/geometry/Globe');
+    var RegionGeometry = require('../util/geometry/Region');
+    var geoProjection = require('../util/geoProjection');
  
     var ZRenderSurface = require('../surface/ZRenderSurface');
     var VectorFieldParticleSurface = require('../surface/VectorFieldParticleSurface');
@@ -53,6 +62,15 @@ define(function (require) {
     var PI2 = PI * 2;
     var sin = Math.sin;
     var cos = Math.cos;
+
+    // Level of detail of globe geometry, [max camera altitude in earth radius, segments].
+    // Surface is tessellated finer when camera gets closer
+    var GLOBE_LOD_LEVELS = [
+        [Infinity, 40],
+        [1, 80],
+        [0.3, 160],
+        [0.1, 256]
+    ];
     /**
      * @constructor
      * @extends module:echarts-x/chart/base3d
@@ -80,52 +98,55 @@ define(function (require) {
         this._earthRadius = 100;
 
         /**
-         * Size of base texture mapped on the earth, which is drawed from geoJSON data
+         * Radius of skydome sphere mesh
          * @type {number}
          * @private
          */
-        this._baseTextureSize = 2048;
+        this._skydomeRadius = 1000;
 
         /**
-         * Root scene node of globe. Children contains earth mesh, markers mesh etc.
-         * @type {qtek.Node}
+         * Globe of each map type.
+         * Each globe has its own view, scene node, surface and orbit control.
+         * So multiple globes can be put in one chart side by side.
+         * @type {Object}
          * @private
          */
-        this._globeNode = null;
+        this._globes = {};
 
         /**
-         * @type {module:echarts-x/util/OrbitControl}
+         * Cached map data, key is map type
+         * @type {Object}
          * @private
          */
-        this._orbitControl = null;
+        this._mapDataMap = {};
 
         /**
-         * Cached map data, key is map type
+         * Name map of each map type, key is the name in geoJSON and value is the display name
          * @type {Object}
          * @private
          */
-        this._mapDataMap = {};
+        this._nameMap = {};
 
         /**
-         * Name map
+         * Reversed name map of each map type, key is the display name and value is the name in geoJSON
          * @type {Object}
          * @private
          */
-        this._nameMap = {};
+        this._nameMapReversed = {};
 
         /**
-         * @type {module:echarts-x/core/ZRenderSurface}
+         * Names in data which don't match any region of map, key is map type
+         * @type {Object}
          * @private
          */
-        this._globeSurface = null;
+        this._unmatchedNames = {};
 
         /**
-         * Root scene node of all surface layers.
-         * Mounted under globe node
-         * @type {qtek.Node}
+         * Selected state of regions, key is map type and value is the selected state of each region name
+         * @type {Object}
          * @private
          */
-        this._surfaceLayerRoot = null;
+        this._selectedRegions = {};
 
         /**
          * @type {qtek.Shader}
@@ -155,6 +176,35 @@ define(function (require) {
         this._albedoShaderPA.define('fragment', 'PREMULTIPLIED_ALPHA');
 
         /**
+         * Shader of tile meshes when light is enabled.
+         * Bump map of earth is not applied on tiles.
+         * @type {qtek.Shader}
+         * @private
+         */
+        this._tileLambertShader = this._lambertShader.clone();
+
+        /**
+         * Shader of atmosphere halo
+         * @type {qtek.Shader}
+         * @private
+         */
+        this._atmosphereShader = new Shader({
+            vertex: Shader.source('ecx.atmosphere.vertex'),
+            fragment: Shader.source('ecx.atmosphere.fragment')
+        });
+
+        /**
+         * Shader of extruded region meshes, shaded with color uniform
+         * @type {qtek.Shader}
+         * @private
+         */
+        this._regionShader = new Shader({
+            vertex: Shader.source('ecx.lambert.vertex'),
+            fragment: Shader.source('ecx.lambert.fragment')
+        });
+
+        /**
+         * Sphere geometry of skydome
          * @type {qtek.DynamicGeoemtry}
          * @private
          */
@@ -170,18 +220,26 @@ define(function (require) {
         this._imageCache = new LRU(6);
 
         /**
-         * List of all vector field particle surfaces
-         * Needs update each frame
-         * @type {Array}
+         * Index of item focused by keyboard in the list of _getFocusableItems
+         * @type {number}
+         * @private
+         */
+        this._focusIndex = -1;
+
+        /**
+         * Map type of the globe controlled by keyboard
+         * @type {string}
          * @private
          */
-        this._vfParticleSurfaceList = [];
+        this._focusMapType = null;
 
         /**
-         * Skydome mesh
-         * @type {qtek.Mesh}
+         * Focusable chart container which delivers keyboard events and announces focused item.
+         * Created in _init if accessibility is enabled
+         * @type {module:echarts-x/util/Accessibility}
+         * @private
          */
-        this._skydome = null;
+        this._a11y = null;
 
         this.refresh(option);
     }
@@ -203,12 +261,16 @@ define(function (require) {
             var legend = this.component.legend;
             var series = this.series;
             this.selectedMap = {};
+            this._nameMap = {};
+            this._nameMapReversed = {};
 
             this.beforeBuildMark();
 
+            var map3dSeries = [];
             for (var i = 0; i < series.length; i++) {
                 if (series[i].type === ecConfig.CHART_TYPE_MAP3D) {
                     series[i] = this.reformOption(series[i]);
+                    map3dSeries.push(series[i]);
                     var seriesName = series[i].name;
                     var mapType = series[i].mapType;
                     this.selectedMap[seriesName] = legend
@@ -232,57 +294,120 @@ define(function (require) {
                     }
                 }
             }
+            for (var mapType in this._nameMap) {
+                var nameMap = this._nameMap[mapType];
+                var nameMapReversed = this._nameMapReversed[mapType] = {};
+                for (var name in nameMap) {
+                    nameMapReversed[nameMap[name]] = name;
+                }
+            }
+
+            // All globes are in the same layer
+            this.baseLayer.pickingMode = this.deepQuery(map3dSeries, 'pickingMode');
 
             var seriesGroupByMapType = this._groupSeriesByMapType(series);
             var dataMap = this._mergeSeriesData(series);
 
+            var globes = this._globes;
+            var usedGlobes = {};
             for (var mapType in dataMap) {
                 var seriesGroup = seriesGroupByMapType[mapType];
-                var mapQuality = this.deepQuery(seriesGroup, 'baseLayer.quality');
-                if (isNaN(mapQuality)) {
-                    switch (mapQuality) {
-                        case 'low':
-                            this._baseTextureSize = 1024;
-                            break;
-                        case 'high':
-                            this._baseTextureSize = 4096;
-                            break;
-                        case 'medium':
-                        default:
-                            this._baseTextureSize = 2048;
-                            break;
-                    }   
-                }
-                else {
-                    this._baseTextureSize = mapQuality;
+                var globe = globes[mapType];
+                var isNewGlobe = ! globe;
+                if (isNewGlobe) {
+                    globe = this._createGlobe(mapType, seriesGroup);
+                    globes[mapType] = globe;
+
+                    this._initGlobeHandlers(globe);
                 }
+                globe.seriesGroup = seriesGroup;
+                globe.baseTextureSize = this._getBaseTextureSize(seriesGroup);
 
-                if (!this._globeNode) {
-                    this._createGlob(seriesGroup);
+                // Layout must be updated before markers are built
+                this._updateProjection(globe, seriesGroup, ! isNewGlobe);
 
-                    this._initGlobeHandlers(seriesGroup);
-                }
-                this._updateGlobe(mapType, dataMap[mapType], seriesGroup);
+                this._updateGlobe(globe, dataMap[mapType], seriesGroup);
+
+                this._setViewport(globe, seriesGroup);
 
-                this._setViewport(seriesGroup);
-                //TODO Only support one mapType here
-                break;
+                usedGlobes[mapType] = true;
             }
 
-            var camera = this.baseLayer.camera;
-            camera.position.y = 0;
-            camera.position.z = this._earthRadius * 2.5;
+            this.afterBuildMark();
 
-            camera.lookAt(Vector3.ZERO);
+            // Dispose the globes whose series are all removed or unselected
+            for (var mapType in globes) {
+                if (! usedGlobes[mapType]) {
+                    this._disposeGlobe(globes[mapType]);
+                    delete globes[mapType];
+                }
+            }
 
-            this.afterBuildMark();
+            // Regions and markers are rebuilt, focus starts again from the first item
+            this._focusIndex = -1;
+            this._updateAccessibility(map3dSeries);
+        },
+
+        /**
+         * Create or dispose the focusable container by the accessibility option,
+         * and update its label and description
+         * @param  {Array.<Object>} map3dSeries
+         * @private
+         */
+        _updateAccessibility: function (map3dSeries) {
+            var a11y = this._a11y;
+            if (! this.deepQuery(map3dSeries, 'accessibility.enable')) {
+                if (a11y) {
+                    a11y.dispose();
+                    this._a11y = null;
+                }
+                return;
+            }
+            if (! a11y) {
+                a11y = this._a11y = new Accessibility(this.myChart.getDom());
+                a11y.bind('keydown', this._onKeyDown, this);
+            }
+            a11y.setDescription(this.deepQuery(map3dSeries, 'accessibility.description'));
+
+            var title = this.option.title;
+            var seriesNames = [];
+            for (var i = 0; i < map3dSeries.length; i++) {
+                if (map3dSeries[i].name) {
+                    seriesNames.push(map3dSeries[i].name);
+                }
+            }
+            a11y.setLabel((title && title.text) || seriesNames.join(', '));
+        },
+
+        /**
+         * Get size of base texture mapped on the earth, which is drawed from geoJSON data
+         * @param  {Array.<Object>} seriesGroup
+         * @return {number}
+         * @private
+         */
+        _getBaseTextureSize: function (seriesGroup) {
+            var mapQuality = this.deepQuery(seriesGroup, 'baseLayer.quality');
+            if (isNaN(mapQuality)) {
+                switch (mapQuality) {
+                    case 'low':
+                        return 1024;
+                    case 'high':
+                        return 4096;
+                    case 'medium':
+                    default:
+                        return 2048;
+                }
+            }
+            return mapQuality;
         },
 
         /**
-         * Set viewport of map3d layer
+         * Set viewport of globe view from mapLocation
+         * @param {Object} globe
          * @param {Array.<Object>} seriesGroup
+         * @private
          */
-        _setViewport: function (seriesGroup) {
+        _setViewport: function (globe, seriesGroup) {
             var mapLocation = this.deepQuery(seriesGroup, 'mapLocation') || {};
             var x = mapLocation.x;
             var y = mapLocation.y;
@@ -296,11 +421,219 @@ define(function (require) {
             height = this.parsePercent(height, zrHeight);
 
             x = isNaN(x) ? 0 : x;
-            y = isNaN(y) ? 0 : x;
+            y = isNaN(y) ? 0 : y;
             width = isNaN(width) ? zrWidth : width;
             height = isNaN(height) ? zrHeight : height;
 
-            this.baseLayer.setViewport(x, y, width, height);
+            globe.view.setViewport(x, y, width, height);
+        },
+
+        /**
+         * Update layout of globe from the projection option.
+         * Morph between sphere and plane with animation if projection changed.
+         * @param  {Object} globe
+         * @param  {Array.<Object>} seriesGroup
+         * @param  {boolean} animate
+         * @private
+         */
+        _updateProjection: function (globe, seriesGroup, animate) {
+            var self = this;
+            var isPlane = this.deepQuery(seriesGroup, 'projection') === 'plane';
+            var planeProjection = this.deepQuery(seriesGroup, 'planeProjection');
+            var targetMorph = isPlane ? 1 : 0;
+            var orbitControl = globe.orbitControl;
+
+            var planeProjectionChanged = globe.planeProjection !== planeProjection;
+            globe.planeProjection = planeProjection;
+
+            if (globe.morphAnimator) {
+                if (globe.morphTarget === targetMorph) {
+                    return;
+                }
+                globe.morphAnimator.stop();
+                globe.morphAnimator = null;
+            }
+            if (globe.morph === targetMorph) {
+                if (planeProjectionChanged) {
+                    this._updateMorph(globe);
+                }
+                return;
+            }
+
+            if (! animate) {
+                globe.morph = targetMorph;
+                this._updateMorph(globe);
+                orbitControl.setMode(isPlane ? 'pan' : 'rotate');
+                return;
+            }
+
+            // Markers are rebuilt after morphing
+            globe.markerRoot.visible = false;
+
+            // Turn to the front
+            orbitControl.rotateTo({
+                rotation: new Quaternion().rotateY(-PI / 2),
+                easing: 'CubicInOut'
+            });
+            orbitControl.panTo({
+                position: Vector3.ZERO,
+                easing: 'CubicInOut'
+            });
+
+            globe.morphTarget = targetMorph;
+            globe.morphAnimator = this.zr.animation.animate(globe)
+                .when(1000, {
+                    morph: targetMorph
+                })
+                .during(function () {
+                    self._updateMorph(globe);
+                    self.zr.refreshNextFrame();
+                })
+                .done(function () {
+                    globe.morphAnimator = null;
+                    orbitControl.setMode(isPlane ? 'pan' : 'rotate');
+                    globe.markerRoot.visible = true;
+                    self._updateMarkers();
+                })
+                .start('CubicInOut');
+        },
+
+        /**
+         * Update the globe surface meshes after morph changed
+         * @param  {Object} globe
+         * @private
+         */
+        _updateMorph: function (globe) {
+            var meshes = [globe.globeNode.queryNode('earth')];
+            if (globe.surfaceLayerRoot) {
+                meshes = meshes.concat(globe.surfaceLayerRoot.children());
+            }
+            if (globe.regionRoot) {
+                meshes = meshes.concat(globe.regionRoot.children());
+            }
+            for (var i = 0; i < meshes.length; i++) {
+                var geometry = meshes[i].geometry;
+                geometry.morph = globe.morph;
+                geometry.planeProjection = globe.planeProjection;
+                geometry.updatePositions();
+            }
+            // Surface of plane is at the origin of globe node
+            globe.orbitControl.surfaceDistance = this._earthRadius * (1 - globe.morph);
+            if (globe.atmosphere) {
+                globe.atmosphere.visible = globe.morph === 0;
+            }
+        },
+
+        /**
+         * Tessellate globe surface meshes by the level of detail of camera altitude
+         * @param  {Object} globe
+         * @private
+         */
+        _updateLevelOfDetail: function (globe) {
+            var segments = GLOBE_LOD_LEVELS[0][1];
+            // Plane needs no more tessellation
+            if (globe.morph === 0) {
+                var altitude = this._getCameraAltitude(globe) / this._earthRadius;
+                for (var i = 0; i < GLOBE_LOD_LEVELS.length; i++) {
+                    if (altitude < GLOBE_LOD_LEVELS[i][0]) {
+                        segments = GLOBE_LOD_LEVELS[i][1];
+                    }
+                }
+            }
+
+            var meshes = [globe.globeNode.queryNode('earth')];
+            if (globe.surfaceLayerRoot) {
+                meshes = meshes.concat(globe.surfaceLayerRoot.children());
+            }
+            for (var i = 0; i < meshes.length; i++) {
+                var geometry = meshes[i].geometry;
+                if (geometry.widthSegments !== segments) {
+                    geometry.widthSegments = segments;
+                    geometry.heightSegments = segments;
+                    geometry.build();
+                    this.zr.refreshNextFrame();
+                }
+            }
+        },
+
+        /**
+         * Update tiles of the visible area.
+         * Tiles are put under the surface deeper than the facets of earth mesh sag,
+         * so they won't go through the transparent earth mesh.
+         * @param  {Object} globe
+         * @private
+         */
+        _updateTiles: function (globe) {
+            var tileLayer = globe.tileLayer;
+            var earthSegments = globe.globeNode.queryNode('earth').geometry.widthSegments;
+            var sag = this._earthRadius * (1 - Math.cos(Math.PI / earthSegments))
+                * (1 - globe.morph);
+
+            // Displaced facets of earth and tiles are not coplanar
+            var displacementOffset = globe.displacementScale / earthSegments * 2;
+
+            tileLayer.distance = -(sag * 1.5 + displacementOffset + 0.01);
+            tileLayer.morph = globe.morph;
+            tileLayer.planeProjection = globe.planeProjection;
+            tileLayer.heightField = globe.heightField;
+            tileLayer.displacementScale = globe.displacementScale;
+
+            var viewport = globe.view.getViewport();
+            if (tileLayer.update(globe.view.camera, viewport.width, viewport.height)) {
+                this.zr.refreshNextFrame();
+            }
+        },
+
+        /**
+         * Adapt near and far plane of camera to the altitude,
+         * so the depth precision is enough when camera is close to the surface
+         * @param  {Object} globe
+         * @private
+         */
+        _updateCameraClip: function (globe) {
+            var camera = globe.view.camera;
+            var altitude = this._getCameraAltitude(globe);
+            var near = Math.max(altitude * 0.1, 0.01);
+            // Far plane contains the skydome
+            var far = camera.position.dist(globe.globeNode.position) + this._skydomeRadius;
+            if (camera.near !== near || camera.far !== far) {
+                camera.near = near;
+                camera.far = far;
+                camera.update(true);
+            }
+        },
+
+        /**
+         * Distance from camera to the globe surface
+         * @param  {Object} globe
+         * @return {number}
+         * @private
+         */
+        _getCameraAltitude: function (globe) {
+            var camera = globe.view.camera;
+            return Math.max(
+                camera.position.dist(globe.globeNode.position)
+                    - globe.orbitControl.surfaceDistance,
+                0
+            );
+        },
+
+        /**
+         * Rebuild markers of all globes. Called after the layout of globe changed.
+         * @private
+         */
+        _updateMarkers: function () {
+            this.beforeBuildMark();
+            for (var mapType in this._globes) {
+                var globe = this._globes[mapType];
+                var seriesGroup = globe.seriesGroup;
+                for (var i = 0; i < seriesGroup.length; i++) {
+                    this.buildMark(this.series.indexOf(seriesGroup[i]), globe.markerRoot);
+                }
+            }
+            this.afterBuildMark();
+
+            this.zr.refreshNextFrame();
         },
 
         /**
@@ -333,6 +666,9 @@ define(function (require) {
         _mergeSeriesData: function (series) {
 
             var dataMap = {};
+            // Value calculation and precision of each map type, first defined one is used
+            var calculationMap = {};
+            var precisionMap = {};
 
             for (var i = 0; i < series.length; i++) {
                 if (
@@ -341,19 +677,25 @@ define(function (require) {
                 ) {
                     var mapType = series[i].mapType;
                     dataMap[mapType] = dataMap[mapType] || {};
+                    if (calculationMap[mapType] == null) {
+                        calculationMap[mapType] = series[i].mapValueCalculation;
+                    }
+                    if (precisionMap[mapType] == null) {
+                        precisionMap[mapType] = series[i].mapValuePrecision;
+                    }
                     var data = series[i].data || [];
                     // Merge the data from multiple series
                     for (var j = 0; j < data.length; j++) {
-                        var name = data[j].name || '';
-                        // TODO nameMap
+                        // Data can use both the name in geoJSON and the display name
+                        var name = this._getDisplayName(mapType, data[j].name || '');
                         dataMap[mapType][name] = dataMap[mapType][name]
-                            || {seriesIdx: [], value: 0};
+                            || {seriesIdx: [], valueList: []};
                         dataMap[mapType][name].seriesIdx.push(i);
                         for (var key in data[j]) {
                             var val = data[j][key];
                             if (key === 'value') {
-                                if (!isNaN(val)) {
-                                    dataMap[mapType][name].value += +val;
+                                if (! isNaN(val)) {
+                                    dataMap[mapType][name].valueList.push(+val);
                                 }
                             }
                             else {
@@ -361,85 +703,320 @@ define(function (require) {
                             }
                         }
                     }
-                    // TODO mapCalculation
+                }
+            }
+
+            for (var mapType in dataMap) {
+                for (var name in dataMap[mapType]) {
+                    var dataItem = dataMap[mapType][name];
+                    dataItem.value = this._calculateMapValue(
+                        dataItem.valueList, name,
+                        calculationMap[mapType], precisionMap[mapType]
+                    );
                 }
             }
 
             return dataMap;
         },
 
+        /**
+         * Calculate the value of region from values in multiple series
+         * @param  {Array.<number>} valueList
+         * @param  {string} name Region name
+         * @param  {string|Function} calculation 'sum' | 'average' | 'max' | 'min' | Function
+         * @param  {number} [precision] Precision of average and custom calculation result, not rounded if not given
+         * @return {number|string} '-' if region has no value
+         * @private
+         */
+        _calculateMapValue: function (valueList, name, calculation, precision) {
+            if (! valueList.length) {
+                return '-';
+            }
+            var value;
+            if (typeof calculation === 'function') {
+                value = calculation.call(this.myChart, valueList.slice(), name);
+            }
+            else {
+                switch (calculation) {
+                    case 'max':
+                        return Math.max.apply(Math, valueList);
+                    case 'min':
+                        return Math.min.apply(Math, valueList);
+                    case 'average':
+                    case 'sum':
+                    default:
+                        value = 0;
+                        for (var i = 0; i < valueList.length; i++) {
+                            value += valueList[i];
+                        }
+                        if (calculation !== 'average') {
+                            return value;
+                        }
+                        value /= valueList.length;
+                }
+            }
+            if (isNaN(value)) {
+                return '-';
+            }
+            return precision == null ? +value : +(+value).toFixed(precision);
+        },
+
         /**
          * Create globe mesh, and surface canvas, mouse control instance.
          * Stuff only need to create once and used each refresh.
+         * Each globe is rendered in its own view, so it can be picked and controlled independently.
+         * @param  {string} mapType
          * @param  {Array.<Object>} seriesGroup
+         * @return {Object}
          * @private
          */
-        _createGlob: function (seriesGroup) {
+        _createGlobe: function (mapType, seriesGroup) {
             var zr = this.zr;
-            var self = this;
-            this._globeNode = new Node({
+            var baseTextureSize = this._getBaseTextureSize(seriesGroup);
+            var view = this.baseLayer.createView();
+            var globeNode = new Node({
                 name: 'globe'
             });
 
             // Put the longitude 0 in the center of view
-            this._globeNode.rotation.rotateY(-Math.PI / 2);
+            globeNode.rotation.rotateY(-Math.PI / 2);
 
+            var radius = this._earthRadius;
             var earthMesh = new Mesh({
                 name: 'earth',
-                geometry: this._sphereGeometry,
+                geometry: new GlobeGeometry({
+                    radius: radius
+                }),
                 material: new Material({
                     shader: this._albedoShader,
                     transparent: true
-                })
+                }),
+                // Only bars cast shadow, the globe and other meshes receive it
+                castShadow: false
             });
-            var radius = this._earthRadius;
-            earthMesh.scale.set(radius, radius, radius);
 
-            this._globeNode.add(earthMesh);
+            globeNode.add(earthMesh);
+
+            var markerRoot = new Node({
+                name: 'markers'
+            });
+            globeNode.add(markerRoot);
+
+            view.scene.add(globeNode);
 
-            var scene = this.baseLayer.scene;
-            scene.add(this._globeNode);
+            var camera = view.camera;
+            camera.position.set(0, 0, radius * 2.5);
+            camera.lookAt(Vector3.ZERO);
 
-            this._orbitControl = new OrbitControl(this._globeNode, this.zr, this.baseLayer);
-            this._orbitControl.init();
-            this._orbitControl.autoRotate = this.deepQuery(seriesGroup, 'autoRotate');
+            var orbitControl = new OrbitControl(globeNode, zr, view);
+            // Zoom moves camera toward the globe surface
+            orbitControl.baseDistance = radius * 2.5;
+            orbitControl.surfaceDistance = radius;
+            orbitControl.init();
 
             var globeSurface = new ZRenderSurface(
-                this._baseTextureSize, this._baseTextureSize
+                baseTextureSize, baseTextureSize
             );
-            this._globeSurface = globeSurface;
             earthMesh.material.set('diffuseMap', globeSurface.getTexture());
 
             globeSurface.onrefresh = function () {
                 zr.refreshNextFrame();
             };
+
+            return {
+                mapType: mapType,
+                /**
+                 * @type {module:echarts-x/core/View3D}
+                 */
+                view: view,
+                /**
+                 * Root scene node of globe. Children contains earth mesh, markers mesh etc.
+                 * @type {qtek.Node}
+                 */
+                globeNode: globeNode,
+                /**
+                 * @type {module:echarts-x/util/OrbitControl}
+                 */
+                orbitControl: orbitControl,
+                /**
+                 * @type {module:echarts-x/surface/ZRenderSurface}
+                 */
+                globeSurface: globeSurface,
+                /**
+                 * Lambert shader of earth. Each globe has its own copy because
+                 * textures like night map are enabled by its own option.
+                 * @type {qtek.Shader}
+                 */
+                lambertShader: this._lambertShader.clone(),
+                /**
+                 * Root scene node of all markers. Mounted under globe node
+                 * @type {qtek.Node}
+                 */
+                markerRoot: markerRoot,
+                /**
+                 * Root scene node of all surface layers. Mounted under globe node
+                 * @type {qtek.Node}
+                 */
+                surfaceLayerRoot: null,
+                /**
+                 * Tiles of base map. Its root is mounted under globe node
+                 * @type {module:echarts-x/util/TileLayer}
+                 */
+                tileLayer: null,
+                /**
+                 * Height field of terrain displacement
+                 * @type {module:echarts-x/util/HeightField}
+                 */
+                heightField: null,
+                /**
+                 * Displaced distance of the highest terrain, 0 if displacement is disabled
+                 * @type {number}
+                 */
+                displacementScale: 0,
+                /**
+                 * Root scene node of extruded region meshes. Mounted under globe node
+                 * @type {qtek.Node}
+                 */
+                regionRoot: null,
+                /**
+                 * Lights following the camera. Used by region meshes when light is disabled
+                 * @type {Array.<qtek.Light>}
+                 */
+                regionLights: null,
+                /**
+                 * Region shapes keyed by the display name
+                 * @type {Object}
+                 */
+                regionShapes: {},
+                /**
+                 * Extruded region meshes keyed by the display name
+                 * @type {Object}
+                 */
+                regionMeshes: {},
+                /**
+                 * List of all vector field particle surfaces. Needs update each frame
+                 * @type {Array}
+                 */
+                vfParticleSurfaceList: [],
+                /**
+                 * @type {qtek.Mesh}
+                 */
+                skydome: null,
+                /**
+                 * Halo around the sphere. Hidden in the plane layout
+                 * @type {qtek.Mesh}
+                 */
+                atmosphere: null,
+                /**
+                 * Size of base texture mapped on the earth
+                 * @type {number}
+                 */
+                baseTextureSize: baseTextureSize,
+                /**
+                 * Layout of globe, 0 is sphere and 1 is plane
+                 * @type {number}
+                 */
+                morph: 0,
+                /**
+                 * @type {string}
+                 */
+                planeProjection: 'equirectangular',
+                /**
+                 * Animator of morphing between sphere and plane
+                 * @type {module:zrender/animation/Animation~Animator}
+                 */
+                morphAnimator: null,
+                morphTarget: 0,
+                /**
+                 * Time of sun light, timestamp in milliseconds
+                 * @type {number}
+                 */
+                sunTime: null,
+                /**
+                 * light.time in option, sun time is reset when it changes
+                 * @type {Date|string|number}
+                 */
+                sunTimeOption: null,
+                /**
+                 * Milliseconds of sun time passed in each millisecond, 0 means time is still
+                 * @type {number}
+                 */
+                sunTimeSpeed: 0,
+                seriesGroup: seriesGroup
+            };
+        },
+
+        /**
+         * Dispose globe and remove its view from layer
+         * @param  {Object} globe
+         * @private
+         */
+        _disposeGlobe: function (globe) {
+            var renderer = this.baseLayer.renderer;
+            var scene = globe.view.scene;
+
+            globe.orbitControl.dispose();
+            if (globe.morphAnimator) {
+                globe.morphAnimator.stop();
+            }
+            for (var i = 0; i < globe.vfParticleSurfaceList.length; i++) {
+                globe.vfParticleSurfaceList[i].dispose();
+            }
+            if (globe.tileLayer) {
+                globe.tileLayer.dispose();
+            }
+
+            scene.remove(globe.globeNode);
+            renderer.disposeNode(globe.globeNode, true, true);
+            if (globe.skydome) {
+                // Sphere geometry of skydome is shared, don't dispose it
+                scene.remove(globe.skydome);
+                renderer.disposeNode(globe.skydome, false, true);
+            }
+            if (globe.atmosphere) {
+                scene.remove(globe.atmosphere);
+                renderer.disposeNode(globe.atmosphere, false, true);
+            }
+
+            this.baseLayer.removeView(globe.view);
         },
 
         /**
          * Build globe in each refresh operation.
          * Draw base map from geoJSON data. Build markers.
-         * @param  {string} mapType
+         * @param  {Object} globe Globe created in _createGlobe
          * @param  {Array.<Object>} data Data preprocessed in _mergeSeriesData
          * @param  {Array.<Object>} seriesGroup seriesGroup created in _groupSeriesByMapType
          */
-        _updateGlobe: function (mapType, data, seriesGroup) {
-            var globeSurface = this._globeSurface;
-            var globeNode = this._globeNode;
+        _updateGlobe: function (globe, data, seriesGroup) {
+            var mapType = globe.mapType;
+            var globeSurface = globe.globeSurface;
+            var globeNode = globe.globeNode;
             var self = this;
             var deepQuery = this.deepQuery;
 
             globeSurface.resize(
-                this._baseTextureSize, this._baseTextureSize
+                globe.baseTextureSize, globe.baseTextureSize
             );
             // Light configuration
-            this._updateLightShading(seriesGroup);
+            this._updateLightShading(globe, seriesGroup);
 
             // Skydome background configuration
-            this._updateBackground(seriesGroup);
+            this._updateBackground(globe, seriesGroup);
+
+            // Atmosphere halo
+            this._updateAtmosphere(globe, seriesGroup);
+
+            // Tiles of base map
+            var hasTiles = this._updateTileLayer(globe, seriesGroup);
+
+            // Terrain displacement, must be updated before markers are built
+            this._updateDisplacement(globe, seriesGroup);
 
             // Update earth base texture background image and color
-            var bgColor = deepQuery(seriesGroup, 'baseLayer.backgroundColor');
-            var bgImage = deepQuery(seriesGroup, 'baseLayer.backgroundImage');
+            // Base texture is transparent to show the tiles under it
+            var bgColor = hasTiles ? '' : deepQuery(seriesGroup, 'baseLayer.backgroundColor');
+            var bgImage = hasTiles ? '' : deepQuery(seriesGroup, 'baseLayer.backgroundImage');
             globeSurface.backgroundColor = this._isValueNone(bgColor) ? '' : bgColor;
             if (! this._isValueNone(bgImage)) {
                 if (typeof(bgImage) == 'string') {
@@ -467,7 +1044,7 @@ define(function (require) {
             }
 
             if (this._mapDataMap[mapType]) {
-                this._updateMapPolygonShapes(data, this._mapDataMap[mapType], seriesGroup);
+                this._updateMapPolygonShapes(globe, data, this._mapDataMap[mapType], seriesGroup);
                 globeSurface.refresh();
             }
             else if (mapParams[mapType].getGeoJson) {
@@ -477,7 +1054,7 @@ define(function (require) {
                         return;
                     }
                     self._mapDataMap[mapType] = mapData;
-                    self._updateMapPolygonShapes(data, mapData, seriesGroup);
+                    self._updateMapPolygonShapes(globe, data, mapData, seriesGroup);
                     globeSurface.refresh();
                 });
             }
@@ -486,51 +1063,60 @@ define(function (require) {
             }
 
             // Build surface layers
-            if (this._surfaceLayerRoot) {
+            if (globe.surfaceLayerRoot) {
+                globeNode.remove(globe.surfaceLayerRoot);
                 this.baseLayer.renderer.disposeNode(
-                    this._surfaceLayerRoot, false, true
+                    globe.surfaceLayerRoot, true, true
                 );
             }
-            this._surfaceLayerRoot = new Node({
+            globe.surfaceLayerRoot = new Node({
                 name: 'surfaceLayers'
             });
-            globeNode.add(this._surfaceLayerRoot);
+            globeNode.add(globe.surfaceLayerRoot);
 
-            for (var i = 0; i < this._vfParticleSurfaceList.length; i++) {
-                this._vfParticleSurfaceList[i].dispose();
+            for (var i = 0; i < globe.vfParticleSurfaceList.length; i++) {
+                globe.vfParticleSurfaceList[i].dispose();
             }
-            this._vfParticleSurfaceList = [];
+            globe.vfParticleSurfaceList = [];
 
             // Build markers
             seriesGroup.forEach(function (serie) {
                 var sIdx = this.series.indexOf(serie);
-                this.buildMark(sIdx, globeNode);
-                this._createSurfaceLayers(sIdx);
+                this.buildMark(sIdx, globe.markerRoot);
+                this._createSurfaceLayers(globe, sIdx);
             }, this);
 
             // Oribit control configuration
-            this._orbitControl.autoRotateAfterStill = this.deepQuery(seriesGroup, 'autoRotateAfterStill');
+            globe.orbitControl.autoRotate = this.deepQuery(seriesGroup, 'autoRotate');
+            globe.orbitControl.autoRotateAfterStill = this.deepQuery(seriesGroup, 'autoRotateAfterStill');
+            ['minZoom', 'maxZoom', 'zoomSensitivity', 'rotateSensitivity', 'damping', 'zoomToCursor']
+                .forEach(function (name) {
+                    globe.orbitControl[name] = this.deepQuery(seriesGroup, name);
+                }, this);
         },
 
         /**
+         * @param  {Object} globe
          * @param  {Array.<Object>} seriesGroup
          */
-        _updateBackground: function (seriesGroup) {
+        _updateBackground: function (globe, seriesGroup) {
             var background = this.deepQuery(seriesGroup, 'background');
             var self = this;
 
             if (! this._isValueNone(background)) {
-                if (! this._skydome) {
-                    this._skydome = new Mesh({
+                if (! globe.skydome) {
+                    globe.skydome = new Mesh({
                         material: new Material({
                             shader: this._albedoShader
                         }),
                         geometry: this._sphereGeometry,
-                        frontFace: Mesh.CW
+                        frontFace: Mesh.CW,
+                        castShadow: false
                     });
-                    this._skydome.scale.set(1000, 1000, 1000);
+                    var skydomeRadius = this._skydomeRadius;
+                    globe.skydome.scale.set(skydomeRadius, skydomeRadius, skydomeRadius);
                 }
-                var skydome = this._skydome;
+                var skydome = globe.skydome;
                 skydome.visible = true;
 
                 var texture = skydome.material.get('diffuseMap');
@@ -555,20 +1141,206 @@ define(function (require) {
                 }
                 texture.dirty();
 
-                this.baseLayer.scene.add(skydome);
+                globe.view.scene.add(skydome);
             }
-            else if (this._skydome) {
-                this._skydome.visible = false;
+            else if (globe.skydome) {
+                globe.skydome.visible = false;
             }
         },
 
         /**
-         * Update sun light position and shading config
+         * Update atmosphere halo around the sphere
+         * @param  {Object} globe
+         * @param  {Array.<Object>} seriesGroup
+         * @private
+         */
+        _updateAtmosphere: function (globe, seriesGroup) {
+            var deepQuery = this.deepQuery;
+            var scene = globe.view.scene;
+            var atmosphere = globe.atmosphere;
+
+            if (! deepQuery(seriesGroup, 'atmosphere.show')) {
+                if (atmosphere) {
+                    scene.remove(atmosphere);
+                    // Sphere geometry is shared, don't dispose it
+                    this.baseLayer.renderer.disposeNode(atmosphere, false, true);
+                    globe.atmosphere = null;
+                }
+                return;
+            }
+
+            if (! atmosphere) {
+                atmosphere = globe.atmosphere = new Mesh({
+                    name: 'atmosphere',
+                    material: new Material({
+                        shader: this._atmosphereShader,
+                        transparent: true,
+                        depthMask: false,
+                        // Additive blending
+                        blend: function (_gl) {
+                            _gl.blendEquation(_gl.FUNC_ADD);
+                            _gl.blendFunc(_gl.ONE, _gl.ONE);
+                        }
+                    }),
+                    geometry: this._sphereGeometry,
+                    // Back faces are rendered
+                    frontFace: Mesh.CW,
+                    ignorePicking: true,
+                    castShadow: false
+                });
+                scene.add(atmosphere);
+            }
+            var earthRadius = this._earthRadius;
+            var radius = earthRadius + Math.max(deepQuery(seriesGroup, 'atmosphere.thickness'), 0.1);
+            atmosphere.scale.set(radius, radius, radius);
+            atmosphere.visible = globe.morph === 0;
+
+            var material = atmosphere.material;
+            var color = this.parseColor(deepQuery(seriesGroup, 'atmosphere.color')) || [1, 1, 1];
+            material.set('color', [color[0], color[1], color[2]]);
+            material.set('intensity', deepQuery(seriesGroup, 'atmosphere.intensity'));
+            material.set('innerRatio', earthRadius / radius);
+        },
+
+        /**
+         * Create or update the tiles of base map
+         * @param  {Object} globe
+         * @param  {Array.<Object>} seriesGroup
+         * @return {boolean} If base map has tiles
+         * @private
+         */
+        _updateTileLayer: function (globe, seriesGroup) {
+            var deepQuery = this.deepQuery;
+            var tiles = deepQuery(seriesGroup, 'baseLayer.tiles');
+            // Shorthand of url template or loader
+            if (typeof tiles === 'string') {
+                tiles = { url: tiles };
+            }
+            else if (typeof tiles === 'function') {
+                tiles = { loader: tiles };
+            }
+
+            var tileLayer = globe.tileLayer;
+            if (tileLayer && (
+                ! tiles
+                // Tiles from another source
+                || tileLayer.url !== (tiles.url || '')
+                || tileLayer.loader !== (tiles.loader || null)
+                || tileLayer.scheme !== (tiles.scheme || 'xyz')
+            )) {
+                globe.globeNode.remove(tileLayer.root);
+                tileLayer.dispose();
+                tileLayer = globe.tileLayer = null;
+            }
+            if (! tiles || ! (tiles.url || tiles.loader)) {
+                return false;
+            }
+
+            if (! tileLayer) {
+                var zr = this.zr;
+                tileLayer = globe.tileLayer = new TileLayer({
+                    renderer: this.baseLayer.renderer,
+                    url: tiles.url,
+                    loader: tiles.loader,
+                    scheme: tiles.scheme,
+                    cacheSize: tiles.cacheSize,
+                    radius: this._earthRadius
+                });
+                tileLayer.onload = function () {
+                    zr.refreshNextFrame();
+                };
+                globe.globeNode.add(tileLayer.root);
+            }
+            tileLayer.subdomains = tiles.subdomains || 'abc';
+            tileLayer.minLevel = tiles.minLevel || 0;
+            tileLayer.maxLevel = tiles.maxLevel == null ? 18 : tiles.maxLevel;
+            tileLayer.tileSize = tiles.tileSize || 256;
+            tileLayer.shader = deepQuery(seriesGroup, 'light.enable')
+                ? this._tileLambertShader : this._albedoShader;
+
+            return true;
+        },
+
+        /**
+         * Displace the earth surface by the height image
+         * @param  {Object} globe
          * @param  {Array.<Object>} seriesGroup
+         * @private
          */
-        _updateLightShading: function (seriesGroup) {
+        _updateDisplacement: function (globe, seriesGroup) {
             var self = this;
-            var globeNode = this._globeNode;
+            var deepQuery = this.deepQuery;
+            var heightImage = deepQuery(seriesGroup, 'baseLayer.heightImage');
+            var scale = deepQuery(seriesGroup, 'baseLayer.displacement.show')
+                ? deepQuery(seriesGroup, 'baseLayer.displacement.scale') : 0;
+
+            if (! scale || this._isValueNone(heightImage)) {
+                this._setHeightField(globe, null, 0);
+                return;
+            }
+            if (typeof (heightImage) === 'string') {
+                var src = heightImage;
+                heightImage = this._imageCache.get(src);
+                if (! heightImage) {
+                    // Surface is not displaced until the image is loaded
+                    this._setHeightField(globe, null, 0);
+                    var img = new Image();
+                    img.onload = function () {
+                        self._imageCache.put(src, img);
+                        // Config may be changed before image loaded
+                        if (
+                            self._disposed
+                            || deepQuery(globe.seriesGroup, 'baseLayer.heightImage') !== src
+                        ) {
+                            return;
+                        }
+                        self._setHeightField(globe, img, scale);
+                        self._updateMarkers();
+                    };
+                    img.src = src;
+                    return;
+                }
+            }
+            if (this._isValueImage(heightImage)) {
+                this._setHeightField(globe, heightImage, scale);
+            }
+        },
+
+        /**
+         * @param  {Object} globe
+         * @param  {HTMLImageElement|HTMLCanvasElement} image
+         * @param  {number} scale
+         * @private
+         */
+        _setHeightField: function (globe, image, scale) {
+            if (! image) {
+                globe.heightField = null;
+                scale = 0;
+            }
+            else if (! globe.heightField || globe.heightField.image !== image) {
+                globe.heightField = new HeightField(image);
+            }
+            globe.displacementScale = scale;
+
+            var geometry = globe.globeNode.queryNode('earth').geometry;
+            if (
+                geometry.heightField !== globe.heightField
+                || geometry.displacementScale !== scale
+            ) {
+                geometry.heightField = globe.heightField;
+                geometry.displacementScale = scale;
+                geometry.updatePositions();
+                this.zr.refreshNextFrame();
+            }
+        },
+
+        /**
+         * Update sun light position and shading config
+         * @param  {Object} globe
+         * @param  {Array.<Object>} seriesGroup
+         */
+        _updateLightShading: function (globe, seriesGroup) {
+            var globeNode = globe.globeNode;
             var earthMesh = globeNode.queryNode('earth');
             var earthMaterial = earthMesh.material;
 
@@ -576,7 +1348,7 @@ define(function (require) {
 
             var enableLight = deepQuery(seriesGroup, 'light.enable');
             if (enableLight) {
-                var lambertShader = this._lambertShader;
+                var lambertShader = globe.lambertShader;
                 if (earthMaterial.shader !== lambertShader) {
                     earthMaterial.attachShader(lambertShader, true);
                 }
@@ -585,56 +1357,120 @@ define(function (require) {
                 if (! sunLight) {
                     sunLight = new DirectionalLight({ name: 'sun' });
                     globeNode.add(sunLight);
-                    ambientLight = new AmbientLight({ name: 'ambient' });
+                    ambientLight = new AmbientLight({
+                        name: 'ambient',
+                        castShadow: false
+                    });
                     globeNode.add(ambientLight);
                 }
                 sunLight.intensity = deepQuery(seriesGroup, 'light.sunIntensity');
                 ambientLight.intensity = deepQuery(seriesGroup, 'light.ambientIntensity');
+                this._updateShadow(globe, seriesGroup);
                 // Put sun in the right position
-                var time = deepQuery(seriesGroup, 'light.time') || new Date();
+                var time = deepQuery(seriesGroup, 'light.time');
+                var timeSpeed = deepQuery(seriesGroup, 'light.timeSpeed') || 0;
+                // Running time is kept if time is not changed in the new option
+                if (globe.sunTime == null || time !== globe.sunTimeOption || ! timeSpeed) {
+                    globe.sunTimeOption = time;
+                    this._setSunTime(globe, time ? new Date(time).getTime() : Date.now());
+                }
+                globe.sunTimeSpeed = timeSpeed;
 
-                this._getSunPosition(new Date(time).toUTCString(), sunLight.position);
-                sunLight.lookAt(Vector3.ZERO);
+                // City lights on the night side
+                if (this._updateEarthTexture(globe, 'nightMap', 'baseLayer.nightImage')) {
+                    earthMaterial.set(
+                        'terminatorWidth',
+                        Math.sin(deepQuery(seriesGroup, 'light.terminatorWidth') / 360 * PI)
+                    );
+                }
 
-                var heightImage = deepQuery(seriesGroup, 'baseLayer.heightImage');
-                if (! this._isValueNone(heightImage)) {
-                    var bumpTexture = earthMaterial.get('bumpMap');
-                    if (! bumpTexture) {
-                        bumpTexture = new Texture2D({ anisotropic: 32, flipY: false });
-                    }
-                    if (typeof (heightImage) === 'string') {
-                        var src = heightImage;
-                        heightImage = this._imageCache.get(src);
-                        if (! heightImage) {
-                            bumpTexture.load(src).success(function () {
-                                // FIXME Config changed and refreshed before bum map loaded
-                                lambertShader.enableTexture('bumpMap');
-                                earthMaterial.set('bumpMap', bumpTexture);
-                                self._imageCache.put(src, bumpTexture.image);
-                                self.zr.refreshNextFrame();
-                            });
-                        }
-                        else {
-                            bumpTexture.image = heightImage;
-                        }
-                    }
-                    else if (this._isValueImage(heightImage)) {
-                        bumpTexture.image = heightImage;
-                    }
-                    bumpTexture.dirty();
+                // Specular highlight on the ocean
+                if (this._updateEarthTexture(globe, 'specularMap', 'baseLayer.specularImage')) {
+                    earthMaterial.set(
+                        'specularIntensity', deepQuery(seriesGroup, 'light.specularIntensity')
+                    );
+                    earthMaterial.set('shininess', deepQuery(seriesGroup, 'light.shininess'));
                 }
-                else {
-                    lambertShader.disableTexture('bumpMap');
+
+                // Terrain of height image is shaded with bump map
+                this._updateEarthTexture(globe, 'bumpMap', 'baseLayer.heightImage');
+            }
+            else {
+                if (earthMaterial.shader !== this._albedoShader) {
+                    earthMaterial.attachShader(this._albedoShader, true);
                 }
+                globe.sunTimeSpeed = 0;
+                globe.view.disableShadow();
+                // Sun light will also shade the region meshes, remove it.
+                var sunLight = globeNode.queryNode('sun');
+                if (sunLight) {
+                    globeNode.remove(sunLight);
+                    globeNode.remove(globeNode.queryNode('ambient'));
+                }
+            }
+
+            this._updateRegionLights(
+                globe, ! enableLight && deepQuery(seriesGroup, 'extrude.show')
+            );
+        },
+
+        /**
+         * Shadow map of sun light
+         * @param  {Object} globe
+         * @param  {Array.<Object>} seriesGroup
+         * @private
+         */
+        _updateShadow: function (globe, seriesGroup) {
+            var view = globe.view;
+            var sunLight = globe.globeNode.queryNode('sun');
+
+            if (! this.deepQuery(seriesGroup, 'light.shadow')) {
+                view.disableShadow();
+                return;
+            }
+
+            var resolution = this.deepQuery(seriesGroup, 'light.shadowResolution');
+            // Shadow map texture of light is created once with its resolution
+            if (sunLight.shadowResolution !== resolution) {
+                view.disableShadow();
+                sunLight.shadowResolution = resolution;
+            }
+            sunLight.shadowBias = this.deepQuery(seriesGroup, 'light.shadowBias');
+            view.enableShadow();
+        },
+
+        /**
+         * Region meshes are shaded with the lights following the camera if the sun light is disabled.
+         * @param  {Object} globe
+         * @param  {boolean} enable
+         * @private
+         */
+        _updateRegionLights: function (globe, enable) {
+            var scene = globe.view.scene;
+            if (enable && ! globe.regionLights) {
+                // Light is added to the scene instead of globe node, so it won't rotate with globe
+                var directionalLight = new DirectionalLight({
+                    intensity: 0.8
+                });
+                directionalLight.position.set(1, 1, 2);
+                directionalLight.lookAt(Vector3.ZERO);
+                var ambientLight = new AmbientLight({
+                    intensity: 0.3
+                });
+                scene.add(directionalLight);
+                scene.add(ambientLight);
+                globe.regionLights = [directionalLight, ambientLight];
             }
-            else if (! enableLight && earthMaterial.shader !== this._albedoShader) {
-                earthMaterial.attachShader(this._albedoShader, true);
+            else if (! enable && globe.regionLights) {
+                scene.remove(globe.regionLights[0]);
+                scene.remove(globe.regionLights[1]);
+                globe.regionLights = null;
             }
         },
 
         _getSunPosition: function (time, out) {
             // http://en.wikipedia.org/wiki/Azimuth
-            var pos = sunCalc.getPosition(Date.parse(time), 0, 0);
+            var pos = sunCalc.getPosition(new Date(time).getTime(), 0, 0);
             var r0 = Math.cos(pos.altitude);
             // FIXME How to calculate the y ?
             out.y = -r0 * Math.cos(pos.azimuth);
@@ -642,31 +1478,119 @@ define(function (require) {
             out.z = r0 * Math.sin(pos.azimuth);
         },
 
+        /**
+         * Move sun light to the position of given time
+         * @param  {Object} globe
+         * @param  {number} time Timestamp in milliseconds
+         * @private
+         */
+        _setSunTime: function (globe, time) {
+            globe.sunTime = time;
+            var sunLight = globe.globeNode.queryNode('sun');
+            if (sunLight) {
+                this._getSunPosition(time, sunLight.position);
+                sunLight.lookAt(Vector3.ZERO);
+                this.zr.refreshNextFrame();
+            }
+        },
+
+        /**
+         * Set image in option as a texture of earth material.
+         * Texture is enabled in the lambert shader after image is loaded.
+         * @param  {Object} globe
+         * @param  {string} name Uniform name of texture, like 'nightMap'
+         * @param  {string} optionPath Option path of image, like 'baseLayer.nightImage'
+         * @return {boolean} If image is configured
+         * @private
+         */
+        _updateEarthTexture: function (globe, name, optionPath) {
+            var self = this;
+            var deepQuery = this.deepQuery;
+            var earthMaterial = globe.globeNode.queryNode('earth').material;
+            var lambertShader = globe.lambertShader;
+            var image = deepQuery(globe.seriesGroup, optionPath);
+            if (this._isValueNone(image)) {
+                lambertShader.disableTexture(name);
+                return false;
+            }
+            this._getImage(image, function (img) {
+                // Config may be changed before image loaded
+                if (deepQuery(globe.seriesGroup, optionPath) !== image) {
+                    return;
+                }
+                var texture = earthMaterial.get(name);
+                if (! texture) {
+                    texture = new Texture2D({ anisotropic: 32, flipY: false });
+                    earthMaterial.set(name, texture);
+                }
+                texture.image = img;
+                texture.dirty();
+                lambertShader.enableTexture(name);
+                self.zr.refreshNextFrame();
+            });
+            return true;
+        },
+
+        /**
+         * Get image from url, image or canvas. Image of url is loaded and cached.
+         * @param  {string|HTMLImageElement|HTMLCanvasElement} image
+         * @param  {Function} callback Called with the image, synchronously if it is ready
+         * @private
+         */
+        _getImage: function (image, callback) {
+            var self = this;
+            if (typeof (image) === 'string') {
+                var src = image;
+                var cachedImage = this._imageCache.get(src);
+                if (cachedImage) {
+                    callback(cachedImage);
+                }
+                else {
+                    var img = new Image();
+                    img.onload = function () {
+                        self._imageCache.put(src, img);
+                        if (! self._disposed) {
+                            callback(img);
+                        }
+                    };
+                    img.src = src;
+                }
+            }
+            else if (this._isValueImage(image)) {
+                callback(image);
+            }
+        },
+
         /**
          * Create surface layers on the globe
+         * @param  {Object} globe
          * @param  {number} seriesIdx
          * @private
          */
-        _createSurfaceLayers: function (seriesIdx) {
+        _createSurfaceLayers: function (globe, seriesIdx) {
             var serie = this.series[seriesIdx];
             for (var i = 0; i < serie.surfaceLayers.length; i++) {
                 var surfaceLayer = serie.surfaceLayers[i];
-                var surfaceMesh = new Mesh({
-                    name: 'surfaceLayer' + i,
-                    geometry: this._sphereGeometry,
-                    ignorePicking: true
-                });
                 var distance = surfaceLayer.distance;
                 // Default distance
                 if (distance == null) {
                     distance = i + 1;
                 }
-                var r = this._earthRadius + distance;
-                surfaceMesh.scale.set(r, r, r);
+                var surfaceMesh = new Mesh({
+                    name: 'surfaceLayer' + i,
+                    geometry: new GlobeGeometry({
+                        radius: this._earthRadius,
+                        distance: distance,
+                        morph: globe.morph,
+                        planeProjection: globe.planeProjection
+                    }),
+                    ignorePicking: true,
+                    castShadow: false
+                });
                 switch (surfaceLayer.type) {
                     case 'particle':
                         this._createParticleSurfaceLayer(
-                            seriesIdx, surfaceLayer, surfaceMesh
+                            globe, seriesIdx, surfaceLayer, surfaceMesh
                         );
                         break;
                     case "texture":
@@ -677,7 +1601,7 @@ define(function (require) {
                         break;
                 }
 
-                this._surfaceLayerRoot.add(surfaceMesh);
+                globe.surfaceLayerRoot.add(surfaceMesh);
             }
         },
 
@@ -731,13 +1655,14 @@ define(function (require) {
 
         /**
          * Create single vector field layer on the globe
+         * @param {Object} globe
          * @param {number} seriesIdx
          * @param {Object} surfaceLayerCfg
          * @param {qtek.Mesh} surfaceMesh
          * @private
          */
         _createParticleSurfaceLayer: function (
-            seriesIdx, surfaceLayerCfg, surfaceMesh
+            globe, seriesIdx, surfaceLayerCfg, surfaceMesh
         ) {
             var self = this;
             var serie = this.series[seriesIdx];
@@ -826,7 +1751,7 @@ define(function (require) {
 
             vfParticleSurface.surfaceMesh = surfaceMesh;
 
-            this._vfParticleSurfaceList.push(vfParticleSurface);
+            globe.vfParticleSurfaceList.push(vfParticleSurface);
         },
 
         _createCanvasFromDataMatrix: function (data) {
@@ -868,27 +1793,59 @@ define(function (require) {
         /**
          * Create polygon shapes from geoJSON data. Shapes will be added to ZRenderSurface
          * and drawed on the canvas(which is attached on the sphere surface).
+         * @param  {Object} globe
          * @param  {Array.<Object>} data
          * @param  {Object} mapData map geoJSON data
          * @param  {Array.} seriesGroup
          */
-        _updateMapPolygonShapes: function (data, mapData, seriesGroup) {
-            this._globeSurface.clearElements();
+        _updateMapPolygonShapes: function (globe, data, mapData, seriesGroup) {
+            var globeSurface = globe.globeSurface;
+            var baseTextureSize = globe.baseTextureSize;
+            globeSurface.clearElements();
+            globe.regionShapes = {};
 
             var self = this;
             var dataRange = this.component.dataRange;
 
-            var scaleX = this._baseTextureSize / 360;
-            var scaleY = this._baseTextureSize / 180;
+            var scaleX = baseTextureSize / 360;
+            var scaleY = baseTextureSize / 180;
+
+            var mapType = globe.mapType;
+            var matchedNames = {};
+            var regionSelected = this._getRegionSelectedMap(mapType);
+
+            // Regions are built as meshes instead of drawed on the surface if extruded
+            var isExtrude = this.deepQuery(seriesGroup, 'extrude.show');
+            // Height range and value extent of the extruded regions
+            var heightRange;
+            var valueExtent;
+            this._clearRegionMeshes(globe);
+            if (isExtrude) {
+                globe.regionRoot = new Node({
+                    name: 'regions'
+                });
+                globe.globeNode.add(globe.regionRoot);
+
+                heightRange = [
+                    this.deepQuery(seriesGroup, 'extrude.minHeight'),
+                    this.deepQuery(seriesGroup, 'extrude.maxHeight')
+                ];
+                valueExtent = [Infinity, -Infinity];
+                for (var name in data) {
+                    var value = data[name].value;
+                    if (! isNaN(value)) {
+                        valueExtent[0] = Math.min(valueExtent[0], value);
+                        valueExtent[1] = Math.max(valueExtent[1], value);
+                    }
+                }
+            }
 
-            var mapType = this.deepQuery(seriesGroup, 'mapType');
-            var nameMap = this._nameMap[mapType] || {};
             // Draw map
             // TODO Special area
             for (var i = 0; i < mapData.features.length; i++) {
                 var feature = mapData.features[i];
-                var name = feature.properties.name;
-                name = nameMap[name] || name;
+                var name = this._getDisplayName(mapType, feature.properties.name);
+                matchedNames[name] = true;
 
                 var dataItem = data[name];
                 var value;
@@ -943,11 +1900,19 @@ define(function (require) {
                         name: seriesName,
                         tooltip: this.deepQuery(queryTarget, 'tooltip')
                     },
-                    0,
+                    // Index of the first series of this globe the region belongs to
+                    dataItem.seriesIdx ? dataItem.seriesIdx[0] : this.series.indexOf(seriesGroup[0]),
                     dataItem, 0,
                     name
                 )
 
+                globe.regionShapes[name] = shape;
+
+                // Region which didn't exist before is initialized from the selected property of data
+                if (regionSelected[name] == null) {
+                    regionSelected[name] = !! dataItem.selected;
+                }
+
                 if (feature.type == 'Feature') {
                     createGeometry(feature.geometry, shape);
                 }
@@ -957,14 +1922,24 @@ define(function (require) {
                     }
                 }
 
-                this._globeSurface.addElement(shape);
+                if (isExtrude) {
+                    shape.isSelected = regionSelected[name];
+                    this._createRegionMesh(
+                        globe, feature, shape,
+                        this._getRegionHeight(value, valueExtent, heightRange)
+                    );
+                    continue;
+                }
+
+                globeSurface.addElement(shape);
+                globeSurface.setSelected(shape, regionSelected[name]);
 
                 // Create label text shape
-                var cp = this._getTextPosition(shape);
+                var cp = this._getTextPosition(mapType, shape, baseTextureSize);
                 // Scale text by the latitude, text of high latitude will be pinched
-                var lat = (0.5 - cp[1] / this._baseTextureSize) * PI;
+                var lat = (0.5 - cp[1] / baseTextureSize) * PI;
                 var textScaleX = 1 / cos(lat);
-                var baseScale = this._baseTextureSize / 2048;
+                var baseScale = baseTextureSize / 2048;
                 var textShape = new TextShape({
                     zlevel: 1,
                     position: cp,
@@ -994,7 +1969,29 @@ define(function (require) {
                     }
                 });
 
-                this._globeSurface.addElement(textShape);
+                globeSurface.addElement(textShape);
+            }
+
+            // Selected state of regions no longer in map is discarded
+            for (var name in regionSelected) {
+                if (! globe.regionShapes[name]) {
+                    delete regionSelected[name];
+                }
+            }
+
+            var unmatchedNames = this._unmatchedNames[mapType] = [];
+            for (var name in data) {
+                if (! matchedNames[name]) {
+                    unmatchedNames.push(name);
+                }
+            }
+            if (unmatchedNames.length) {
+                this.messageCenter.dispatch(
+                    ecConfig.EVENT.MAP3D_NAMES_UNMATCHED, null, {
+                        mapType: mapType,
+                        names: unmatchedNames.slice()
+                    }, this.myChart
+                );
             }
 
             function createGeometry(geometry, bundleShape) {
@@ -1027,21 +2024,148 @@ define(function (require) {
             }
         },
 
+        /**
+         * Map value of region to the height of extruded mesh.
+         * Region without value uses the min height.
+         * @param  {number} value
+         * @param  {Array.<number>} valueExtent
+         * @param  {Array.<number>} heightRange
+         * @return {number}
+         * @private
+         */
+        _getRegionHeight: function (value, valueExtent, heightRange) {
+            if (isNaN(value) || valueExtent[1] <= valueExtent[0]) {
+                return heightRange[0];
+            }
+            return (value - valueExtent[0]) / (valueExtent[1] - valueExtent[0])
+                * (heightRange[1] - heightRange[0]) + heightRange[0];
+        },
+
+        /**
+         * Create extruded mesh of region.
+         * Events on the mesh are delegated to the region shape like the shapes drawed on surface.
+         * @param  {Object} globe
+         * @param  {Object} feature GeoJSON feature of region
+         * @param  {module:zrender/shape/ShapeBundle} shape Region shape with ecData
+         * @param  {number} height
+         * @private
+         */
+        _createRegionMesh: function (globe, feature, shape, height) {
+            var polygons = [];
+            var geometries = feature.type === 'GeometryCollection'
+                ? feature.geometries : [feature.geometry];
+            for (var i = 0; i < geometries.length; i++) {
+                var geometry = geometries[i];
+                if (geometry.type === 'Polygon') {
+                    polygons.push(formatPolygon(geometry.coordinates));
+                }
+                else if (geometry.type === 'MultiPolygon') {
+                    for (var j = 0; j < geometry.coordinates.length; j++) {
+                        polygons.push(formatPolygon(geometry.coordinates[j]));
+                    }
+                }
+            }
+            function formatPolygon(rings) {
+                return rings.map(function (ring) {
+                    return ring.map(formatGeoPoint);
+                });
+            }
+
+            var regionGeometry = new RegionGeometry({
+                radius: this._earthRadius,
+                // Keep a min height to avoid z fighting with earth surface
+                height: Math.max(height, 0.2),
+                morph: globe.morph,
+                planeProjection: globe.planeProjection
+            });
+            regionGeometry.setPolygons(polygons);
+
+            var mesh = new Mesh({
+                name: shape.name,
+                geometry: regionGeometry,
+                material: new Material({
+                    shader: this._regionShader
+                }),
+                castShadow: false
+            });
+
+            this._updateRegionMeshColor(mesh, shape);
+
+            var mouseEventHandler = function (e) {
+                if (! this._isGlobeEventEnabled(globe, e.type)) {
+                    return;
+                }
+                if (e.type === zrConfig.EVENT.MOUSEOVER || e.type === zrConfig.EVENT.MOUSEOUT) {
+                    shape.isHighlight = e.type === zrConfig.EVENT.MOUSEOVER;
+                    this._updateRegionMeshColor(mesh, shape);
+                    this.zr.refreshNextFrame();
+                }
+                // Trigger a global zr event to tooltip
+                this.zr.handler.dispatch(e.type, {
+                    target: shape,
+                    event: e.event,
+                    type: e.type
+                });
+                if (e.type === zrConfig.EVENT.CLICK) {
+                    this._onRegionClick(globe, shape, e.event);
+                }
+            };
+            ['CLICK', 'DBLCLICK', 'MOUSEOVER', 'MOUSEOUT', 'MOUSEMOVE'].forEach(function (eveName) {
+                mesh.on(zrConfig.EVENT[eveName], mouseEventHandler, this);
+            }, this);
+
+            globe.regionRoot.add(mesh);
+            globe.regionMeshes[shape.name] = mesh;
+        },
+
+        /**
+         * Set color of extruded region mesh,
+         * emphasis color is used if region is hovered or selected
+         * @param  {qtek.Mesh} mesh
+         * @param  {module:zrender/shape/ShapeBundle} shape
+         * @private
+         */
+        _updateRegionMeshColor: function (mesh, shape) {
+            var color = this.parseColor(shape.style.color) || [1, 1, 1, 1];
+            if (shape.isHighlight || shape.isSelected) {
+                color = this.parseColor(shape.highlightStyle.color) || color;
+            }
+            mesh.material.set('color', [color[0], color[1], color[2]]);
+            mesh.material.set('alpha', color[3]);
+            mesh.material.transparent = color[3] < 1;
+        },
+
+        /**
+         * Remove and dispose all region meshes of globe
+         * @param  {Object} globe
+         * @private
+         */
+        _clearRegionMeshes: function (globe) {
+            if (globe.regionRoot) {
+                globe.globeNode.remove(globe.regionRoot);
+                this.baseLayer.renderer.disposeNode(globe.regionRoot, true, true);
+                globe.regionRoot = null;
+            }
+            globe.regionMeshes = {};
+        },
+
         /**
          * Get label position of each polygon.
+         * @param  {string} mapType
          * @param  {module:zrender/shape/Polygon} polygonShape
+         * @param  {number} size Size of base texture
          * @return {Array.<number>}
          * @private
          */
-        _getTextPosition: function (polygonShape) {
+        _getTextPosition: function (mapType, polygonShape, size) {
             var textPosition;
             var name = polygonShape.name;
-            var textFixed = textFixedMap[name] || [0, 0];
-            var size = this._baseTextureSize;
-            if (geoCoordMap[name]) {
+            var textFixed = this._getByName(textFixedMap, mapType, name) || [0, 0];
+            var geoCoord = this._getByName(geoCoordMap, mapType, name);
+            if (geoCoord) {
                 textPosition = [
-                    (geoCoordMap[name][0] + 180)  / 360 * size,
-                    (90 - geoCoordMap[name][1]) / 180 * size
+                    (geoCoord[0] + 180)  / 360 * size,
+                    (90 - geoCoord[1]) / 180 * size
                 ];
             }
             else if (polygonShape.cp) {
@@ -1060,26 +2184,28 @@ define(function (require) {
             return textPosition;
         },
 
-        _initGlobeHandlers: function (seriesGroup) {
-            var globeMesh = this._globeNode.queryNode('earth');
+        /**
+         * Delegate the mouse events on earth mesh to the shapes drawed on globe surface.
+         * @param  {Object} globe
+         * @private
+         */
+        _initGlobeHandlers: function (globe) {
+            var globeMesh = globe.globeNode.queryNode('earth');
 
             var mouseEventHandler = function (e) {
-                // FIXME
-                if (
-                    e.type === zrConfig.EVENT.CLICK || e.type === zrConfig.EVENT.DBLCLICK
-                ) {
-                    if (! this.deepQuery(seriesGroup, 'clickable')) {
-                        return;
-                    }
+                if (! this._isGlobeEventEnabled(globe, e.type)) {
+                    return;
+                }
+
+                var shape;
+                if (e.type === zrConfig.EVENT.MOUSEOUT) {
+                    // Mouse leaves the earth, downplay the shape hovered before
+                    shape = globe.globeSurface.pick(e.target, e.face, e.point);
+                    globe.globeSurface.hover();
                 }
-                // Hover Events
                 else {
-                    if (! this.deepQuery(seriesGroup, 'hoverable')) {
-                        return;
-                    }
+                    shape = globe.globeSurface.hover(e);
                 }
-
-                var shape = this._globeSurface.hover(e);
                 if (shape) {
                     // Trigger a global zr event to tooltip
                     this.zr.handler.dispatch(e.type, {
@@ -1087,6 +2213,9 @@ define(function (require) {
                         event: e.event,
                         type: e.type
                     });
+                    if (e.type === zrConfig.EVENT.CLICK) {
+                        this._onRegionClick(globe, shape, e.event);
+                    }
                 }
             }
 
@@ -1098,6 +2227,199 @@ define(function (require) {
                     zrConfig.EVENT[eveName], mouseEventHandler, this
                 );
             }, this);
+
+            // Deliver view change events of orbit control with the view of globe
+            var viewEventMap = {
+                change: ecConfig.EVENT.MAP3D_VIEW_CHANGE,
+                changeend: ecConfig.EVENT.MAP3D_VIEW_CHANGE_END,
+                autorotatestart: ecConfig.EVENT.MAP3D_AUTO_ROTATE_START,
+                autorotatestop: ecConfig.EVENT.MAP3D_AUTO_ROTATE_STOP
+            };
+            var self = this;
+            var createViewEventHandler = function (ecEventName) {
+                return function () {
+                    self.messageCenter.dispatch(
+                        ecEventName, null, self.getView(globe.mapType), self.myChart
+                    );
+                };
+            };
+            for (var eveName in viewEventMap) {
+                globe.orbitControl.bind(
+                    eveName, createViewEventHandler(viewEventMap[eveName])
+                );
+            }
+        },
+
+        /**
+         * Get selected state of each region of map type
+         * @param  {string} mapType
+         * @return {Object}
+         * @private
+         */
+        _getRegionSelectedMap: function (mapType) {
+            return this._selectedRegions[mapType]
+                || (this._selectedRegions[mapType] = {});
+        },
+
+        /**
+         * Toggle selected state of the region clicked if selectedMode is enabled
+         * @param  {Object} globe
+         * @param  {module:zrender/shape/Base} shape
+         * @param  {Event} event
+         * @private
+         */
+        _onRegionClick: function (globe, shape, event) {
+            // Label text shapes on surface can also be picked
+            if (
+                ! this.deepQuery(globe.seriesGroup, 'selectedMode')
+                || globe.regionShapes[shape.name] !== shape
+            ) {
+                return;
+            }
+            var selectedMap = this._getRegionSelectedMap(globe.mapType);
+            this._setRegionSelected(globe, shape.name, ! selectedMap[shape.name]);
+            this._dispatchMapSelected(globe.mapType, shape.name, event);
+        },
+
+        /**
+         * Select or unselect a region.
+         * Other regions are unselected when a region is selected if selectedMode is 'single'.
+         * @param  {Object} globe
+         * @param  {string} name Display name of region
+         * @param  {boolean} selected
+         * @private
+         */
+        _setRegionSelected: function (globe, name, selected) {
+            var selectedMap = this._getRegionSelectedMap(globe.mapType);
+            if (selected && this.deepQuery(globe.seriesGroup, 'selectedMode') === 'single') {
+                for (var key in selectedMap) {
+                    if (key !== name && selectedMap[key]) {
+                        selectedMap[key] = false;
+                        this._updateRegionSelected(globe, key);
+                    }
+                }
+            }
+            selectedMap[name] = selected;
+            this._updateRegionSelected(globe, name);
+        },
+
+        /**
+         * Render region with the style of its selected state
+         * @param  {Object} globe
+         * @param  {string} name
+         * @private
+         */
+        _updateRegionSelected: function (globe, name) {
+            var shape = globe.regionShapes[name];
+            if (! shape) {
+                return;
+            }
+            var selected = !! this._getRegionSelectedMap(globe.mapType)[name];
+            var mesh = globe.regionMeshes[name];
+            if (mesh) {
+                shape.isSelected = selected;
+                this._updateRegionMeshColor(mesh, shape);
+                this.zr.refreshNextFrame();
+            }
+            else {
+                globe.globeSurface.setSelected(shape, selected);
+            }
+        },
+
+        /**
+         * Dispatch mapSelected event with the selected regions and markers of map type
+         * @param  {string} mapType
+         * @param  {string} target Name of region or marker data item clicked
+         * @param  {Event} event
+         * @private
+         */
+        _dispatchMapSelected: function (mapType, target, event) {
+            var param = this.getSelected(mapType);
+            param.target = target;
+            this.messageCenter.dispatch(
+                ecEvent.MAP_SELECTED, event, param, this.myChart
+            );
+        },
+
+        // Overwrite onmarkerSelected
+        onmarkerSelected: function (param, event) {
+            var serie = this.series[param.seriesIndex];
+            var dataItem = serie[param.markType].data[param.dataIndex];
+            this._dispatchMapSelected(
+                serie.mapType,
+                param.markType === 'markLine'
+                    ? (dataItem[0].name || '') + ' > ' + (dataItem[1].name || '')
+                    : dataItem.name,
+                event
+            );
+        },
+
+        /**
+         * Get display name of region, name can be the name in geoJSON or already the display name
+         * @param  {string} mapType
+         * @param  {string} name
+         * @return {string}
+         * @private
+         */
+        _getDisplayName: function (mapType, name) {
+            var nameMap = this._nameMap[mapType];
+            return (nameMap && nameMap[name]) || name;
+        },
+
+        /**
+         * Get name of region in geoJSON from the display name
+         * @param  {string} mapType
+         * @param  {string} name
+         * @return {string}
+         * @private
+         */
+        _getFeatureName: function (mapType, name) {
+            var nameMapReversed = this._nameMapReversed[mapType];
+            return (nameMapReversed && nameMapReversed[name]) || name;
+        },
+
+        /**
+         * Get item from a map keyed by region name, like geoCoord and textFixed.
+         * Both the display name and the name in geoJSON are tried.
+         * @param  {Object} map
+         * @param  {string} mapType
+         * @param  {string} name
+         * @return {*}
+         * @private
+         */
+        _getByName: function (map, mapType, name) {
+            return map[name]
+                || map[this._getDisplayName(mapType, name)]
+                || map[this._getFeatureName(mapType, name)];
+        },
+
+        /**
+         * Get names in series data which don't match any region in the map.
+         * Available after the map data is loaded.
+         * @param  {string} mapType
+         * @return {Array.<string>}
+         */
+        getUnmatchedNames: function (mapType) {
+            return (this._unmatchedNames[mapType] || []).slice();
+        },
+
+        /**
+         * If mouse event on globe should be handled, depends on the clickable and hoverable option
+         * @param  {Object} globe
+         * @param  {string} eventType
+         * @return {boolean}
+         * @private
+         */
+        _isGlobeEventEnabled: function (globe, eventType) {
+            // Series group may be changed after refresh
+            var seriesGroup = globe.seriesGroup;
+            if (
+                eventType === zrConfig.EVENT.CLICK || eventType === zrConfig.EVENT.DBLCLICK
+            ) {
+                return !! this.deepQuery(seriesGroup, 'clickable');
+            }
+            // Hover Events
+            return !! this.deepQuery(seriesGroup, 'hoverable');
         },
 
         _eulerToSphere: function (x, y, z) {
@@ -1156,101 +2478,533 @@ define(function (require) {
         },
 
         /**
-         * Zoom and rotate to focus on the shape
+         * Get globe of the given map type, or the first globe if map type is not given
+         * @param  {string} [mapType]
+         * @return {Object}
+         * @private
+         */
+        _getGlobe: function (mapType) {
+            if (mapType != null) {
+                return this._globes[mapType];
+            }
+            for (var key in this._globes) {
+                return this._globes[key];
+            }
+        },
+
+        /**
+         * Get longitude and latitude in the center of view
+         * @param  {Object} globe
+         * @param  {Object} state State of orbit control
+         * @return {Array.<number>}
+         * @private
          */
-        _focusOnShape: function (shape) {
-            if (!shape) {
+        _getViewCenter: function (globe, state) {
+            if (globe.orbitControl.mode !== 'pan') {
+                // Rotation of center [lon, lat] is rotateX(lat) * rotateY(-PI / 2 - lon)
+                var lon = -(state.rotateY + PI / 2) * 180 / PI;
+                return [
+                    ((lon + 180) % 360 + 360) % 360 - 180,
+                    state.rotateX * 180 / PI
+                ];
+            }
+            // Find point on the plane which is transformed to the axis of camera
+            var rotation = new Quaternion()
+                .rotateX(state.rotateX)
+                .rotateY(state.rotateY);
+            var axisY = Vector3.UP.clone().transformQuat(rotation);
+            var axisZ = new Vector3(0, 0, 1).transformQuat(rotation);
+            var x = -state.position[0];
+            var y = -state.position[1];
+            var det = axisY.x * axisZ.y - axisZ.x * axisY.y;
+            var py = (x * axisZ.y - axisZ.x * y) / det;
+            var pz = (axisY.x * y - x * axisY.y) / det;
+
+            var scale = this._earthRadius / 2;
+            var lat = py / scale;
+            if (globe.planeProjection === 'mercator') {
+                lat = 2 * Math.atan(Math.exp(lat)) - PI / 2;
+            }
+            return [
+                -pz / scale * 180 / PI,
+                lat * 180 / PI
+            ];
+        },
+
+        /**
+         * Get state of orbit control which puts the given longitude and latitude in the center of view
+         * @param  {Object} globe
+         * @param  {number} lon
+         * @param  {number} lat
+         * @param  {Object} state Current state of orbit control
+         * @return {Object}
+         * @private
+         */
+        _getCenterState: function (globe, lon, lat, state) {
+            if (globe.orbitControl.mode !== 'pan') {
+                return {
+                    rotateX: lat * PI / 180,
+                    rotateY: -PI / 2 - lon * PI / 180
+                };
+            }
+            var point = new Vector3();
+            geoProjection.plane(
+                point._array, lon, lat, this._earthRadius, 0, globe.planeProjection
+            );
+            point.transformQuat(
+                new Quaternion().rotateX(state.rotateX).rotateY(state.rotateY)
+            );
+            return {
+                position: [-point.x, -point.y, state.position[2]]
+            };
+        },
+
+        /**
+         * Animate the view of globe to the given longitude and latitude.
+         * Globe rotates along the great circle path. Plane is panned linearly.
+         * @param  {Object} opts
+         * @param  {number} opts.lon
+         * @param  {number} opts.lat
+         * @param  {number} [opts.zoom] Zoom is not changed if not given
+         * @param  {number} [opts.duration=1000]
+         * @param  {string} [opts.easing='CubicInOut']
+         * @param  {string} [opts.mapType] Map type of globe, default is the first globe
+         * @return {module:zrender/animation/Animation~Animator}
+         */
+        flyTo: function (opts) {
+            var globe = this._getGlobe(opts.mapType);
+            if (! globe) {
                 return;
             }
+            var self = this;
+            var orbitControl = globe.orbitControl;
+            var fromState = orbitControl.getState();
+            var fromZoom = fromState.zoom;
+            var toZoom = opts.zoom == null ? fromZoom : Math.max(
+                Math.min(opts.zoom, orbitControl.maxZoom), orbitControl.minZoom
+            );
+            var fromCenter = this._getViewCenter(globe, fromState);
+            var toLon = opts.lon;
+            var toLat = opts.lat;
+
+            var v0 = geoProjection.sphere([], fromCenter[0], fromCenter[1], 1, 0);
+            var v1 = geoProjection.sphere([], toLon, toLat, 1, 0);
+            var angle = Math.acos(Math.max(Math.min(
+                v0[0] * v1[0] + v0[1] * v1[1] + v0[2] * v1[2], 1
+            ), -1));
+            var isPlane = orbitControl.mode === 'pan';
+
+            return orbitControl.animate(function (percent) {
+                var lon;
+                var lat;
+                if (! isPlane && angle > 1e-6 && angle < PI - 1e-6) {
+                    // Spherical linear interpolation
+                    var sinAngle = sin(angle);
+                    var k0 = sin((1 - percent) * angle) / sinAngle;
+                    var k1 = sin(percent * angle) / sinAngle;
+                    var x = v0[0] * k0 + v1[0] * k1;
+                    var y = v0[1] * k0 + v1[1] * k1;
+                    var z = v0[2] * k0 + v1[2] * k1;
+                    lat = Math.asin(Math.max(Math.min(y, 1), -1)) * 180 / PI;
+                    lon = Math.atan2(-z, x) * 180 / PI;
+                }
+                else {
+                    lon = fromCenter[0] + (toLon - fromCenter[0]) * percent;
+                    lat = fromCenter[1] + (toLat - fromCenter[1]) * percent;
+                }
+                // Interpolate zoom exponentially so the camera altitude changes smoothly
+                var zoom = fromZoom * Math.pow(toZoom / fromZoom, percent);
+                var state = self._getCenterState(globe, lon, lat, {
+                    rotateX: fromState.rotateX,
+                    rotateY: fromState.rotateY,
+                    zoom: zoom,
+                    position: fromState.position
+                });
+                state.zoom = zoom;
+                return state;
+            }, {
+                time: opts.duration || 1000,
+                easing: opts.easing || 'CubicInOut'
+            });
+        },
 
-            var surface = this._globeSurface;
-            var w = surface.getWidth();
-            var h = surface.getHeight();
+        /**
+         * Animate the view to frame the region
+         * @param  {string} name Region name, can be the name in geoJSON or the display name
+         * @param  {Object} [opts] Options of flyTo
+         * @return {module:zrender/animation/Animation~Animator}
+         */
+        focusOnRegion: function (name, opts) {
+            opts = opts || {};
+            var globe = this._getGlobe(opts.mapType);
+            if (! globe) {
+                return;
+            }
+            var shape = globe.regionShapes[this._getDisplayName(globe.mapType, name)];
+            if (! shape) {
+                return;
+            }
+
+            var size = globe.baseTextureSize;
+            var rect = shape.getRect(shape.style);
+            var lon = (rect.x + rect.width / 2) / size * 360 - 180;
+            var lat = 90 - (rect.y + rect.height / 2) / size * 180;
+            // Size of region in world space
             var r = this._earthRadius;
+            var isPlane = globe.orbitControl.mode === 'pan';
+            var scale = isPlane ? r / 2 : r * cos(lat * PI / 180);
+            var width = rect.width / size * PI2 * scale;
+            var height = rect.height / size * PI * (isPlane ? r / 2 : r);
+
+            // Fit region in 80% of view
+            var camera = globe.view.camera;
+            var orbitControl = globe.orbitControl;
+            var tanHalfFov = Math.tan(camera.fov * PI / 360) * 0.8;
+            var viewSize = Math.max(width / camera.aspect, height);
+            // Camera altitude where the region fits the view
+            var altitude = viewSize / 2 / tanHalfFov;
+            var zoom = (orbitControl.baseDistance - orbitControl.surfaceDistance) / altitude;
+
+            return this.flyTo({
+                mapType: globe.mapType,
+                lon: lon,
+                lat: lat,
+                zoom: zoom,
+                duration: opts.duration,
+                easing: opts.easing
+            });
+        },
 
-            function convertCoord(x, y) {
-                x /= w;
-                y /= h;
+        /**
+         * Get current view of globe, which can be serialized and restored with setView
+         * @param  {string} [mapType] Map type of globe, default is the first globe
+         * @return {Object}
+         */
+        getView: function (mapType) {
+            var globe = this._getGlobe(mapType);
+            if (! globe) {
+                return null;
+            }
+            var state = globe.orbitControl.getState();
+            var center = this._getViewCenter(globe, state);
+            var view = {
+                mapType: globe.mapType,
+                lon: center[0],
+                lat: center[1],
+                zoom: state.zoom
+            };
+            if (globe.orbitControl.mode === 'pan') {
+                view.tilt = -state.rotateX * 180 / PI;
+            }
+            return view;
+        },
 
-                var r0 = r * sin(y * PI);
-                return new Vector3(
-                    -r0 * cos(x * PI2),
-                    r * cos(y * PI),
-                    r0 * sin(x * PI2)
+        /**
+         * Restore view of globe got from getView
+         * @param {Object} view
+         * @param {number} view.lon
+         * @param {number} view.lat
+         * @param {number} [view.zoom]
+         * @param {number} [view.tilt] Tilt angle in degree, only in plane projection
+         * @param {string} [view.mapType]
+         */
+        setView: function (view) {
+            var globe = this._getGlobe(view.mapType);
+            if (! globe) {
+                return;
+            }
+            var orbitControl = globe.orbitControl;
+            var state = orbitControl.getState();
+            if (view.zoom != null) {
+                state.zoom = Math.max(
+                    Math.min(view.zoom, orbitControl.maxZoom), orbitControl.minZoom
                 );
             }
+            if (view.tilt != null && orbitControl.mode === 'pan') {
+                state.rotateX = -view.tilt * PI / 180;
+            }
+            var centerState = this._getCenterState(globe, view.lon, view.lat, state);
+            zrUtil.merge(state, centerState, true);
 
-            var rect = shape.getRect(shape.style);
-            var x = rect.x, y = rect.y;
-            var width = rect.width, height = rect.height;
-            var lt = convertCoord(x, y);
-            var rt = convertCoord(x + width, y);
-            var lb = convertCoord(x, y + height);
-            var rb = convertCoord(x + width, y + height);
-
-            // Z
-            var normal = new Vector3()
-                .add(lt).add(rt).add(lb).add(rb).normalize();
-            // Y
-            var tangent = new Vector3();
-            // X
-            var bitangent = new Vector3();
-            bitangent.cross(Vector3.UP, normal).normalize();
-            tangent.cross(normal, bitangent).normalize();
+            orbitControl.autoRotate = false;
+            orbitControl.setState(state);
+        },
 
-            var rotation = new Quaternion().setAxes(
-                normal.negate(), bitangent, tangent
-            ).invert();
-            var self = this;
+        /**
+         * Set time of sun light, the terminator between day and night moves with it.
+         * Available only when light is enabled.
+         * @param {Date|string|number} time
+         * @param {string} [mapType] Map type of globe, default is the first globe
+         */
+        setTime: function (time, mapType) {
+            var globe = this._getGlobe(mapType);
+            if (! globe) {
+                return;
+            }
+            this._setSunTime(globe, new Date(time).getTime());
+        },
+
+        /**
+         * Get time of sun light
+         * @param  {string} [mapType] Map type of globe, default is the first globe
+         * @return {Date}
+         */
+        getTime: function (mapType) {
+            var globe = this._getGlobe(mapType);
+            if (! globe || globe.sunTime == null) {
+                return null;
+            }
+            return new Date(globe.sunTime);
+        },
+
+        /**
+         * Select a region or marker data items.
+         * Regions are selected by name, markers are selected like the opts in highlight.
+         * @param  {Object} opts
+         * @param  {string} [opts.mapType] Map type of region, default is the first globe
+         * @param  {string} [opts.name] Region name, can be the name in geoJSON or the display name
+         * @param  {string} [opts.markType] 'markPoint', 'markLine' or 'markBar' if select markers
+         * @param  {number} [opts.seriesIndex]
+         * @param  {string} [opts.seriesName]
+         * @param  {number} [opts.dataIndex]
+         */
+        select: function (opts) {
+            this._select(opts, true);
+        },
 
-            this._orbitControl.rotateTo({
-                rotation: rotation,
-                easing: 'CubicOut',
-            }).done(function () {
-                var layer3d = self.baseLayer;
-                var camera = layer3d.camera;
-                var width = Math.max(lt.dist(rt), lb.dist(rb));
-                var height = Math.max(lt.dist(lb), rt.dist(rb));
-
-                var rad = camera.fov * PI / 360;
-                var tanRad = Math.tan(rad);
-                var z = Math.max(
-                    width / 2 / tanRad / camera.aspect,
-                    height / 2 / tanRad 
+        /**
+         * Unselect a region or marker data items.
+         * All regions of globe are unselected if name is not given.
+         * @param  {Object} opts Same as the opts in select
+         */
+        unselect: function (opts) {
+            this._select(opts, false);
+        },
+
+        /**
+         * @param  {Object} opts
+         * @param  {boolean} selected
+         * @private
+         */
+        _select: function (opts, selected) {
+            opts = opts || {};
+            if (opts.markType) {
+                this.setMarkerSelected(opts, selected);
+                return;
+            }
+            var globe = this._getGlobe(opts.mapType);
+            if (! globe) {
+                return;
+            }
+            if (opts.name != null) {
+                this._setRegionSelected(
+                    globe, this._getDisplayName(globe.mapType, opts.name), selected
                 );
-                self._orbitControl.zoomTo({
-                    zoom: (camera.position.z - z) / r,
-                    easing: 'CubicOut'
+            }
+            else if (! selected) {
+                var selectedMap = this._getRegionSelectedMap(globe.mapType);
+                for (var name in selectedMap) {
+                    if (selectedMap[name]) {
+                        this._setRegionSelected(globe, name, false);
+                    }
+                }
+            }
+        },
+
+        /**
+         * Get selected regions and marker data items of globe, same as the param of mapSelected event
+         * @param  {string} [mapType] Map type of globe, default is the first globe
+         * @return {Object}
+         */
+        getSelected: function (mapType) {
+            var globe = this._getGlobe(mapType);
+            if (! globe) {
+                return null;
+            }
+            var series = this.series;
+            return {
+                mapType: globe.mapType,
+                selected: zrUtil.clone(this._getRegionSelectedMap(globe.mapType)),
+                markerSelected: this.getSelectedMarkers().filter(function (item) {
+                    return series[item.seriesIndex].mapType === globe.mapType;
+                })
+            };
+        },
+
+        /**
+         * Handle keyboard events on the focused chart container.
+         * Tab and Shift + Tab cycle the focus through regions and markers,
+         * other keys control the view of globe.
+         * @param  {KeyboardEvent} e
+         * @private
+         */
+        _onKeyDown: function (e) {
+            // Tab
+            if (e.keyCode === 9) {
+                // Focus leaves the chart after the last item
+                if (this._focusNextItem(e.shiftKey ? -1 : 1)) {
+                    e.preventDefault();
+                }
+                return;
+            }
+            var globe = this._globes[this._focusMapType] || this._getGlobe();
+            if (globe && globe.orbitControl.onKeyDown(e)) {
+                e.preventDefault();
+            }
+        },
+
+        /**
+         * Get regions having data and markers which can be focused by keyboard
+         * @return {Array.<Object>}
+         * @private
+         */
+        _getFocusableItems: function () {
+            var items = [];
+            for (var mapType in this._globes) {
+                var regionShapes = this._globes[mapType].regionShapes;
+                for (var name in regionShapes) {
+                    var shape = regionShapes[name];
+                    var value = ecData.get(shape, 'value');
+                    if (value == null || isNaN(value)) {
+                        continue;
+                    }
+                    items.push({
+                        mapType: mapType,
+                        seriesName: ecData.get(shape, 'name'),
+                        name: name,
+                        value: value,
+                        shape: shape
+                    });
+                }
+            }
+
+            var series = this.series;
+            for (var i = 0; i < series.length; i++) {
+                var serie = series[i];
+                if (
+                    serie.type !== ecConfig.CHART_TYPE_MAP3D
+                    || ! this.selectedMap[serie.name]
+                    || ! this._globes[serie.mapType]
+                ) {
+                    continue;
+                }
+                var markers = [serie.markPoint, serie.markBar];
+                for (var k = 0; k < markers.length; k++) {
+                    var data = (markers[k] && markers[k].data) || [];
+                    for (var j = 0; j < data.length; j++) {
+                        var geoCoord = data[j].geoCoord
+                            || this._getByName(geoCoordMap, serie.mapType, data[j].name);
+                        if (! geoCoord) {
+                            continue;
+                        }
+                        items.push({
+                            mapType: serie.mapType,
+                            seriesName: serie.name,
+                            name: data[j].name,
+                            value: data[j].value,
+                            coord: formatGeoPoint([
+                                geoCoord.x == null ? geoCoord[0] : geoCoord.x,
+                                geoCoord.y == null ? geoCoord[1] : geoCoord.y
+                            ])
+                        });
+                    }
+                }
+            }
+            return items;
+        },
+
+        /**
+         * Move keyboard focus to the next or previous item
+         * @param  {number} step 1 or -1
+         * @return {boolean} False if focus moves out of the items
+         * @private
+         */
+        _focusNextItem: function (step) {
+            var items = this._getFocusableItems();
+            var index = this._focusIndex + step;
+
+            for (var mapType in this._globes) {
+                this._globes[mapType].globeSurface.highlight(null);
+            }
+            if (index < 0 || index >= items.length) {
+                this._focusIndex = -1;
+                return false;
+            }
+            this._focusIndex = index;
+
+            var item = items[index];
+            this._focusMapType = item.mapType;
+            if (item.shape) {
+                this._globes[item.mapType].globeSurface.highlight(item.shape);
+                this.focusOnRegion(item.name, {
+                    mapType: item.mapType
                 });
-            });
+            }
+            else {
+                this.flyTo({
+                    mapType: item.mapType,
+                    lon: item.coord[0],
+                    lat: item.coord[1]
+                });
+            }
+
+            // Same content as the default tooltip
+            if (this._a11y) {
+                var value = this._isValueNone(item.value) ? '-' : item.value;
+                this._a11y.announce(
+                    (item.seriesName ? item.seriesName + ' - ' : '') + item.name + ' : ' + value
+                );
+            }
+            return true;
         },
 
         // Overwrite getMarkCoord
-        getMarkCoord: function (seriesIdx, data, point) {
-            var geoCoord = data.geoCoord || geoCoordMap[data.name];
-            var coords = [];
+        getMarkCoord: function (seriesIdx, data, point, markType) {
             var serie = this.series[seriesIdx];
-            var distance = this.deepQuery([
-                data, serie.markPoint || serie.markLine || serie.markBar
-            ], 'distance');
+            var geoCoord = data.geoCoord
+                || this._getByName(geoCoordMap, serie.mapType, data.name);
+            var coords = [];
+            // distance and onTerrain can be configured in the marker which data belongs to
+            var queryTarget = markType ? [data, serie[markType]] : [data];
+            var distance = this.deepQuery(queryTarget, 'distance') || 0;
             coords[0] = geoCoord.x == null ? geoCoord[0] : geoCoord.x;
             coords[1] = geoCoord.y == null ? geoCoord[1] : geoCoord.y;
             coords = formatGeoPoint(coords);
 
-            var lon = coords[0];
-            var lat = coords[1];
-
-            lon = PI * lon / 180;
-            lat = PI * lat / 180;
-
-            var r = this._earthRadius + distance;
-            var r0 = cos(lat) * r;
-            point._array[1] = sin(lat) * r;
-            // TODO
-            point._array[0] = -r0 * cos(lon + PI);
-            point._array[2] = r0 * sin(lon + PI);
+            var globe = this._globes[serie.mapType];
+            // Sit on the displaced terrain
+            if (globe && globe.heightField && this.deepQuery(queryTarget, 'onTerrain')) {
+                distance += globe.heightField.getHeight(coords[0], coords[1])
+                    * globe.displacementScale;
+            }
+            geoProjection.project(
+                point._array, coords[0], coords[1], this._earthRadius, distance,
+                globe ? globe.morph : 0,
+                globe ? globe.planeProjection : 'equirectangular'
+            );
         },
 
+        /**
+         * Get normal of globe surface at the given point.
+         * @param  {number} seriesIdx
+         * @param  {qtek.math.Vector3} point
+         * @param  {qtek.math.Vector3} out
+         * @return {qtek.math.Vector3}
+         * @private
+         */
+        _getSurfaceNormal: (function () {
+            var planeNormal = new Vector3(1, 0, 0);
+            return function (seriesIdx, point, out) {
+                var globe = this._globes[this.series[seriesIdx].mapType];
+                Vector3.normalize(out, point);
+                if (globe && globe.morph > 0) {
+                    Vector3.lerp(out, out, planeNormal, globe.morph);
+                    Vector3.normalize(out, out);
+                }
+                return out;
+            };
+        })(),
+
         // Overwrite getMarkPointTransform
         getMarkPointTransform: (function () {
             var xAxis = new Vector3();
@@ -1264,8 +3018,8 @@ define(function (require) {
                 var orientation = this.deepQuery(queryTarget, 'orientation');
                 var orientationAngle = this.deepQuery(queryTarget, 'orientationAngle');
 
-                this.getMarkCoord(seriesIdx, data, position);
-                Vector3.normalize(zAxis, position);
+                this.getMarkCoord(seriesIdx, data, position, 'markPoint');
+                this._getSurfaceNormal(seriesIdx, position, zAxis);
                 Vector3.cross(xAxis, Vector3.UP, zAxis);
                 Vector3.normalize(xAxis, xAxis);
                 Vector3.cross(yAxis, zAxis, xAxis);
@@ -1309,13 +3063,9 @@ define(function (require) {
         getMarkBarPoints: (function () {
             var normal = new Vector3();
             return function (seriesIdx, data, start, end) {
-                var barHeight = data.barHeight != null ? data.barHeight : 1;
-                if (typeof(barHeight) == 'function') {
-                    barHeight = barHeight(data);
-                }
-                this.getMarkCoord(seriesIdx, data, start);
-                Vector3.copy(normal, start);
-                Vector3.normalize(normal, normal);
+                var barHeight = this.getMarkBarHeight(seriesIdx, data);
+                this.getMarkCoord(seriesIdx, data, start, 'markBar');
+                this._getSurfaceNormal(seriesIdx, start, normal);
                 Vector3.scaleAndAdd(end, start, normal, barHeight);
             };
         })(),
@@ -1331,14 +3081,23 @@ define(function (require) {
                 if (!isCurve) { // Mark line is not a curve
                     p3 = p1;
                 }
-                this.getMarkCoord(seriesIdx, data[0], p0);
-                this.getMarkCoord(seriesIdx, data[1], p3);
+                this.getMarkCoord(seriesIdx, data[0], p0, 'markLine');
+                this.getMarkCoord(seriesIdx, data[1], p3, 'markLine');
 
                 var normalize = Vector3.normalize;
                 var cross = Vector3.cross;
                 var sub = Vector3.sub;
                 var add = Vector3.add;
-                if (isCurve) {
+                var globe = this._globes[this.series[seriesIdx].mapType];
+                if (isCurve && globe && globe.morph > 0) {
+                    // Curve on the plane rises along the normal
+                    var len = Vector3.dist(p0, p3) / 2;
+                    this._getSurfaceNormal(seriesIdx, p0, normal);
+                    Vector3.scaleAndAdd(p1, p0, normal, len);
+                    this._getSurfaceNormal(seriesIdx, p3, normal);
+                    Vector3.scaleAndAdd(p2, p3, normal, len);
+                }
+                else if (isCurve) {
                     // Get p1
                     normalize(normal, p0);
                     // TODO p0-p3 is parallel with normal
@@ -1376,24 +3135,44 @@ define(function (require) {
             }
         })(),
 
+        // Overwrite isLightEnabled
+        isLightEnabled: function (seriesIdx) {
+            var globe = this._globes[this.series[seriesIdx].mapType];
+            return !! (globe && this.deepQuery(globe.seriesGroup, 'light.enable'));
+        },
+
         // Overwrite onframe
         onframe: function (deltaTime) {
-            if (! this._globeNode) {
+            if (this._disposed) {
                 return;
             }
 
             ChartBase3D.prototype.onframe.call(this, deltaTime);
 
-            this._orbitControl.update(deltaTime);
+            for (var mapType in this._globes) {
+                var globe = this._globes[mapType];
 
-            for (var i = 0; i < this._vfParticleSurfaceList.length; i++) {
-                this._vfParticleSurfaceList[i].update(Math.min(deltaTime / 1000, 0.5));
-                this.zr.refreshNextFrame();
-            }
+                globe.orbitControl.update(deltaTime);
 
-            // Background
-            if (this._skydome) {
-                this._skydome.rotation.copy(this._globeNode.rotation);
+                this._updateCameraClip(globe);
+                this._updateLevelOfDetail(globe);
+                if (globe.tileLayer) {
+                    this._updateTiles(globe);
+                }
+
+                if (globe.sunTimeSpeed) {
+                    this._setSunTime(globe, globe.sunTime + deltaTime * globe.sunTimeSpeed);
+                }
+
+                for (var i = 0; i < globe.vfParticleSurfaceList.length; i++) {
+                    globe.vfParticleSurfaceList[i].update(Math.min(deltaTime / 1000, 0.5));
+                    this.zr.refreshNextFrame();
+                }
+
+                // Background
+                if (globe.skydome) {
+                    globe.skydome.rotation.copy(globe.globeNode.rotation);
+                }
             }
         },
 
@@ -1425,18 +3204,19 @@ define(function (require) {
 
             ChartBase3D.prototype.dispose.call(this);
 
-            this.baseLayer.dispose();
-            if (this._orbitControl) {
-                this._orbitControl.dispose();
+            for (var mapType in this._globes) {
+                this._disposeGlobe(this._globes[mapType]);
             }
+            this._globes = {};
 
-            this._globeNode = null;
-
-            this._disposed = true;
+            this.baseLayer.dispose();
 
-            for (var i = 0; i < this._vfParticleSurfaceList.length; i++) {
-                this._vfParticleSurfaceList[i].dispose();
+            if (this._a11y) {
+                this._a11y.dispose();
+                this._a11y = null;
             }
+
+            this._disposed = true;
         }
     }
 
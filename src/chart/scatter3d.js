@@ -0,0 +1,517 @@
+/**
+ * Scatter plot in 3D cartesian space
+ *
+ * @module echarts-x/chart/scatter3d
+ * @author Yi Shen(https://github.com/pissang)
+ */
+
+define(function (require) {
+
+    var zrUtil = require('zrender/tool/util');
+
+    var IconShape = require('echarts/util/shape/Icon');
+
+    var Node = require('qtek/Node');
+    var Renderable = require('qtek/Renderable');
+    var Material = require('qtek/Material');
+    var Shader = require('qtek/Shader');
+    var Texture2D = require('qtek/Texture2D');
+    var Vector3 = require('qtek/math/Vector3');
+    var BoundingBox = require('qtek/math/BoundingBox');
+
+    var ecConfig = require('../config');
+    var ChartBase3D = require('./base3d');
+    var OrbitControl = require('../util/OrbitControl');
+    var PointsGeometry = require('../util/geometry/Points');
+    var spriteUtil = require('../util/sprite');
+
+    function isSameBoundingBox(a, b) {
+        for (var i = 0; i < 3; i++) {
+            if (
+                a.min._array[i] !== b.min._array[i]
+                || a.max._array[i] !== b.max._array[i]
+            ) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * @constructor
+     * @extends module:echarts-x/chart/base3d
+     * @alias module:echarts-x/chart/scatter3d
+     * @param {Object} ecTheme
+     * @param {Object} messageCenter
+     * @param {module:zrender~ZRender} zr
+     * @param {Object} option
+     * @param {module:echarts~ECharts} myChart
+     */
+    function Scatter3D(ecTheme, messageCenter, zr, option, myChart) {
+
+        ChartBase3D.call(this, ecTheme, messageCenter, zr, option, myChart);
+
+        // Browser not support WebGL
+        if (! this.baseLayer.renderer) {
+            return;
+        }
+
+        /**
+         * Root scene node controlled by the orbit control
+         * @type {qtek.Node}
+         * @private
+         */
+        this._rootNode = null;
+
+        /**
+         * Scene node of all points and markers.
+         * Data is in a z up coordinate system, so it is rotated to the y up world space
+         * @type {qtek.Node}
+         * @private
+         */
+        this._contentNode = null;
+
+        /**
+         * @type {module:echarts-x/util/OrbitControl}
+         * @private
+         */
+        this._orbitControl = null;
+
+        /**
+         * Points renderables, one for each symbol
+         * @type {Object}
+         * @private
+         */
+        this._pointsRenderables = {};
+
+        /**
+         * Cached sprite texture of each symbol
+         * @type {Object}
+         * @private
+         */
+        this._spriteTextures = {};
+
+        /**
+         * Size of the sprite texture
+         * @type {number}
+         * @private
+         */
+        this._spriteSize = 128;
+
+        /**
+         * Bounding box which the view is fitted to last time
+         * @type {qtek.math.BoundingBox}
+         * @private
+         */
+        this._fittedBoundingBox = null;
+
+        this.refresh(option);
+    }
+
+    Scatter3D.prototype = {
+
+        /**
+         * @type {string}
+         */
+        type: ecConfig.CHART_TYPE_SCATTER3D,
+
+        constructor: Scatter3D,
+
+        /**
+         * Initialize scatter3d chart
+         * @private
+         */
+        _init: function () {
+            var legend = this.component.legend;
+            var series = this.series;
+            this.selectedMap = {};
+
+            if (! this._rootNode) {
+                this._createRoot();
+            }
+
+            this.beforeBuildMark();
+
+            for (var symbol in this._pointsRenderables) {
+                this._pointsRenderables[symbol].geometry.clearPoints();
+            }
+
+            var seriesGroup = [];
+            var seriesIndices = [];
+            for (var i = 0; i < series.length; i++) {
+                if (series[i].type === ecConfig.CHART_TYPE_SCATTER3D) {
+                    series[i] = this.reformOption(series[i]);
+                    var seriesName = series[i].name;
+                    this.selectedMap[seriesName] = legend
+                        ? legend.isSelected(seriesName) : true;
+
+                    if (! this.selectedMap[seriesName]) {
+                        continue;
+                    }
+                    seriesGroup.push(series[i]);
+                    seriesIndices.push(i);
+                }
+            }
+
+            var grid3D = this.updateGrid3D(this._contentNode);
+            if (grid3D) {
+                this._updateGridExtent(grid3D, seriesGroup);
+            }
+
+            for (var i = 0; i < seriesIndices.length; i++) {
+                this._buildSeriesPoints(seriesIndices[i]);
+                this.buildMark(seriesIndices[i], this._contentNode);
+            }
+
+            for (var symbol in this._pointsRenderables) {
+                var renderable = this._pointsRenderables[symbol];
+                renderable.geometry.dirty();
+                // Hide the renderable if no point use this symbol
+                renderable.visible = renderable.geometry.getVertexNumber() > 0;
+            }
+
+            this._fitView();
+
+            var orbitControl = this._orbitControl;
+            orbitControl.autoRotate = this.deepQuery(seriesGroup, 'autoRotate');
+            orbitControl.autoRotateAfterStill = this.deepQuery(seriesGroup, 'autoRotateAfterStill');
+
+            this.baseLayer.pickingMode = this.deepQuery(seriesGroup, 'pickingMode');
+
+            this.afterBuildMark();
+
+            this.zr.refreshNextFrame();
+        },
+
+        /**
+         * Create root scene node and orbit control.
+         * @private
+         */
+        _createRoot: function () {
+            this._rootNode = new Node({
+                name: 'scatter3d'
+            });
+            this._contentNode = new Node();
+            // Convert z up data space to y up world space
+            this._contentNode.rotation.rotateX(-Math.PI / 2);
+            this._rootNode.add(this._contentNode);
+
+            this.baseLayer.scene.add(this._rootNode);
+
+            this._orbitControl = new OrbitControl(this._rootNode, this.zr, this.baseLayer);
+            this._orbitControl.init();
+        },
+
+        /**
+         * Collect data extent of all series and update the axes of grid
+         * @param  {module:echarts-x/component/grid3d} grid3D
+         * @param  {Array.<Object>} seriesGroup
+         * @private
+         */
+        _updateGridExtent: function (grid3D, seriesGroup) {
+            grid3D.clearExtent();
+            for (var i = 0; i < seriesGroup.length; i++) {
+                var dataList = seriesGroup[i].data || [];
+                for (var k = 0; k < dataList.length; k++) {
+                    var value = this.getDataFromOption(dataList[k], null);
+                    if (value instanceof Array && value.length >= 3) {
+                        grid3D.unionExtent('x', value[0]);
+                        grid3D.unionExtent('y', value[1]);
+                        grid3D.unionExtent('z', value[2]);
+                    }
+                }
+            }
+            grid3D.update();
+        },
+
+        /**
+         * Add points of a single series into the points geometry
+         * @param {number} seriesIndex
+         * @private
+         */
+        _buildSeriesPoints: function (seriesIndex) {
+            var serie = this.series[seriesIndex];
+            var dataList = serie.data || [];
+            var dataRange = this.component.dataRange;
+            var legend = this.component.legend;
+
+            var serieColor;
+            if (legend) {
+                serieColor = legend.getColor(serie.name);
+            }
+            serieColor = this.query(serie, 'itemStyle.normal.color') || serieColor;
+            var serieDefaultColor = this.zr.getColor(seriesIndex);
+            var devicePixelRatio = window.devicePixelRatio || 1;
+
+            for (var i = 0; i < dataList.length; i++) {
+                var dataItem = dataList[i];
+                var value = this.getDataFromOption(dataItem, null);
+                if (! (value instanceof Array) || value.length < 3) {
+                    // Invalid data
+                    continue;
+                }
+                var queryTarget = [dataItem, serie];
+
+                // Use the 4th dimension as visual value if have, or the z value
+                var visualValue = value[3] != null ? value[3] : value[2];
+                var dataRangeColor = null;
+                if (dataRange) {
+                    dataRangeColor = dataRange.getColor(visualValue);
+                    // Hide the point if dataRange is enabled and return null from the given value
+                    if (dataRangeColor == null) {
+                        continue;
+                    }
+                }
+                var itemColor = this.query(dataItem, 'itemStyle.normal.color');
+
+                // 0. Use the color of itemStyle in single data
+                // 1. Use the color provided by data range component
+                // 2. Color in user customized itemStyle
+                // 3. Use the color provided by legend component
+                // 4. Use series default color
+                var color = itemColor || dataRangeColor || serieColor || serieDefaultColor;
+                if (typeof(color) == 'function') {
+                    color = color(dataItem);
+                }
+                var colorArr = this.parseColor(color) || new Float32Array(4);
+
+                var symbol = this.deepQuery(queryTarget, 'symbol');
+                var symbolSize = this.deepQuery(queryTarget, 'symbolSize');
+                if (typeof(symbolSize) == 'function') {
+                    symbolSize = symbolSize(value);
+                }
+                symbolSize *= devicePixelRatio;
+
+                var coord = new Vector3();
+                this.getMarkCoord(seriesIndex, {
+                    x: value[0],
+                    y: value[1],
+                    z: value[2]
+                }, coord);
+
+                this._getPointsRenderable(symbol).geometry.addPoint(
+                    coord, colorArr, symbolSize
+                );
+            }
+        },
+
+        /**
+         * Get the points renderable of given symbol, create one if not exists.
+         * @param  {string} symbol
+         * @return {qtek.Renderable}
+         * @private
+         */
+        _getPointsRenderable: function (symbol) {
+            var renderable = this._pointsRenderables[symbol];
+            if (renderable) {
+                return renderable;
+            }
+
+            var material = new Material({
+                shader: new Shader({
+                    vertex: Shader.source('ecx.points.vertex'),
+                    fragment: Shader.source('ecx.points.fragment')
+                }),
+                depthMask: false,
+                transparent: true
+            });
+            material.shader.enableTexture('sprite');
+            material.set('sprite', this._getSpriteTexture(symbol));
+
+            renderable = new Renderable({
+                geometry: new PointsGeometry(),
+                material: material,
+                mode: Renderable.POINTS,
+                ignorePicking: true
+            });
+
+            this._pointsRenderables[symbol] = renderable;
+            this._contentNode.add(renderable);
+
+            return renderable;
+        },
+
+        /**
+         * Get the sprite texture of given symbol
+         * @param  {string} symbol
+         * @return {qtek.Texture2D}
+         * @private
+         */
+        _getSpriteTexture: function (symbol) {
+            var texture = this._spriteTextures[symbol];
+            if (texture) {
+                return texture;
+            }
+            var self = this;
+            texture = new Texture2D({
+                flipY: false
+            });
+            if (symbol.match(/^image:\/\//)) {
+                texture.load(symbol.replace(/^image:\/\//, '')).success(function () {
+                    self.zr.refreshNextFrame();
+                });
+            }
+            else {
+                var size = this._spriteSize;
+                var shape = new IconShape({
+                    style: {
+                        x: 0,
+                        y: 0,
+                        width: size,
+                        height: size,
+                        iconType: symbol,
+                        // Color is multiplied by the vertex color in the shader
+                        color: 'white'
+                    }
+                });
+                texture.image = spriteUtil.makeSpriteFromShape(size, shape);
+            }
+            this._spriteTextures[symbol] = texture;
+
+            return texture;
+        },
+
+        /**
+         * Get bounding box of the grid, or all the data if there is no grid.
+         * Series unselected in legend and points hidden by dataRange are also included,
+         * so the box won't change with them.
+         * @return {qtek.math.BoundingBox}
+         * @private
+         */
+        _getViewBoundingBox: function () {
+            var bbox = new BoundingBox();
+            if (this.grid3D) {
+                var gridBBox = this.grid3D.getBoundingBox();
+                Vector3.copy(bbox.min, gridBBox.min);
+                Vector3.copy(bbox.max, gridBBox.max);
+                return bbox;
+            }
+            var min = bbox.min;
+            var max = bbox.max;
+            var series = this.series;
+            var coord = new Vector3();
+            for (var i = 0; i < series.length; i++) {
+                if (series[i].type !== ecConfig.CHART_TYPE_SCATTER3D) {
+                    continue;
+                }
+                var dataList = series[i].data || [];
+                for (var k = 0; k < dataList.length; k++) {
+                    var value = this.getDataFromOption(dataList[k], null);
+                    if (value instanceof Array && value.length >= 3) {
+                        this.getMarkCoord(i, {
+                            x: value[0],
+                            y: value[1],
+                            z: value[2]
+                        }, coord);
+                        Vector3.min(min, min, coord);
+                        Vector3.max(max, max, coord);
+                    }
+                }
+            }
+            return bbox;
+        },
+
+        /**
+         * Put the bounding box of grid or all points in the center of view.
+         * View is only fitted again when the box is changed, so the rotation and zoom
+         * applied by user are kept in the refresh from legend and dataRange.
+         * @private
+         */
+        _fitView: function () {
+            var bbox = this._getViewBoundingBox();
+            var lastBBox = this._fittedBoundingBox;
+            if (lastBBox && isSameBoundingBox(lastBBox, bbox)) {
+                return;
+            }
+            this._fittedBoundingBox = bbox;
+
+            var contentNode = this._contentNode;
+            var min = bbox.min;
+            var max = bbox.max;
+            var camera = this.baseLayer.camera;
+            var center = new Vector3();
+            var radius = 1;
+            if (isFinite(min.x)) {
+                Vector3.add(center, min, max);
+                Vector3.scale(center, center, 0.5);
+                radius = Math.max(Vector3.dist(min, max) / 2, 1e-3);
+            }
+            // Content node is rotated to y up. (x, y, z) => (x, z, -y)
+            contentNode.position.set(-center.x, -center.z, center.y);
+
+            camera.position.set(0, 0, radius * 2.5);
+            camera.lookAt(Vector3.ZERO);
+            camera.near = radius * 0.01;
+            camera.far = radius * 10;
+            // Orbit control moves the camera from this distance when zooming
+            this._orbitControl.baseDistance = radius * 2.5;
+        },
+
+        // Overwrite getMarkBarPoints
+        getMarkBarPoints: function (seriesIndex, data, start, end) {
+            var barHeight = this.getMarkBarHeight(seriesIndex, data);
+            this.getMarkCoord(seriesIndex, data, start, 'markBar');
+            // Markers are in the z up data space, bar grows along the z axis
+            Vector3.scaleAndAdd(end, start, Vector3.POSITIVE_Z, barHeight);
+        },
+
+        // Overwrite onframe
+        onframe: function (deltaTime) {
+            if (! this._rootNode) {
+                return;
+            }
+
+            ChartBase3D.prototype.onframe.call(this, deltaTime);
+
+            this._orbitControl.update(deltaTime);
+        },
+
+        // Overwrite refresh
+        refresh: function (newOption) {
+            // Browser not support WebGL
+            if (! this.baseLayer.renderer) {
+                return;
+            }
+
+            if (newOption) {
+                this.option = newOption;
+                this.series = newOption.series;
+            }
+
+            this._init();
+        },
+
+        // Overwrite ondataRange
+        ondataRange: function (param, status) {
+            if (this.component.dataRange) {
+                this.refresh();
+                this.zr.refreshNextFrame();
+            }
+        },
+
+        // Overwrite dispose
+        dispose: function () {
+
+            ChartBase3D.prototype.dispose.call(this);
+
+            this.baseLayer.dispose();
+            if (this._orbitControl) {
+                this._orbitControl.dispose();
+            }
+
+            this._rootNode = null;
+            this._contentNode = null;
+            this._pointsRenderables = {};
+            this._spriteTextures = {};
+            this._fittedBoundingBox = null;
+
+            this._disposed = true;
+        }
+    };
+
+    zrUtil.inherits(Scatter3D, ChartBase3D);
+
+    require('echarts/chart').define(ecConfig.CHART_TYPE_SCATTER3D, Scatter3D);
+
+    return Scatter3D;
+});
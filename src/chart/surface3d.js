@@ -0,0 +1,535 @@
+/**
+ * Surface rendering of z = f(x, y) equation or gridded data
+ *
+ * @module echarts-x/chart/surface3d
+ * @author Yi Shen(https://github.com/pissang)
+ */
+
+define(function (require) {
+
+    var zrUtil = require('zrender/tool/util');
+
+    var Node = require('qtek/Node');
+    var Mesh = require('qtek/Mesh');
+    var Renderable = require('qtek/Renderable');
+    var DynamicGeometry = require('qtek/DynamicGeometry');
+    var Material = require('qtek/Material');
+    var Shader = require('qtek/Shader');
+    var Vector3 = require('qtek/math/Vector3');
+    var DirectionalLight = require('qtek/light/Directional');
+    var AmbientLight = require('qtek/light/Ambient');
+    var vec3 = require('qtek/dep/glmatrix').vec3;
+
+    var ecConfig = require('../config');
+    var ChartBase3D = require('./base3d');
+    var OrbitControl = require('../util/OrbitControl');
+    var LinesGeometry = require('../util/geometry/Lines');
+
+    /**
+     * @constructor
+     * @extends module:echarts-x/chart/base3d
+     * @alias module:echarts-x/chart/surface3d
+     * @param {Object} ecTheme
+     * @param {Object} messageCenter
+     * @param {module:zrender~ZRender} zr
+     * @param {Object} option
+     * @param {module:echarts~ECharts} myChart
+     */
+    function Surface3D(ecTheme, messageCenter, zr, option, myChart) {
+
+        ChartBase3D.call(this, ecTheme, messageCenter, zr, option, myChart);
+
+        // Browser not support WebGL
+        if (! this.baseLayer.renderer) {
+            return;
+        }
+
+        /**
+         * Root scene node controlled by the orbit control
+         * @type {qtek.Node}
+         * @private
+         */
+        this._rootNode = null;
+
+        /**
+         * Scene node of all surfaces and markers.
+         * Data is in a z up coordinate system, so it is rotated to the y up world space
+         * @type {qtek.Node}
+         * @private
+         */
+        this._contentNode = null;
+
+        /**
+         * @type {module:echarts-x/util/OrbitControl}
+         * @private
+         */
+        this._orbitControl = null;
+
+        /**
+         * Surface meshes of each series. Cached and reused in each refresh
+         * @type {Array.<qtek.Mesh>}
+         * @private
+         */
+        this._surfaceMeshes = [];
+
+        /**
+         * Wireframe renderables of each series.
+         * @type {Array.<qtek.Renderable>}
+         * @private
+         */
+        this._wireframeRenderables = [];
+
+        /**
+         * @type {qtek.Shader}
+         * @private
+         */
+        this._lambertShader = new Shader({
+            vertex: Shader.source('ecx.lambert.vertex'),
+            fragment: Shader.source('ecx.lambert.fragment')
+        });
+        this._lambertShader.define('both', 'VERTEX_COLOR');
+        this._lambertShader.define('fragment', 'DOUBLE_SIDE');
+
+        /**
+         * @type {qtek.Shader}
+         * @private
+         */
+        this._albedoShader = new Shader({
+            vertex: Shader.source('ecx.albedo.vertex'),
+            fragment: Shader.source('ecx.albedo.fragment')
+        });
+        this._albedoShader.define('both', 'VERTEX_COLOR');
+
+        this.refresh(option);
+    }
+
+    Surface3D.prototype = {
+
+        /**
+         * @type {string}
+         */
+        type: ecConfig.CHART_TYPE_SURFACE3D,
+
+        constructor: Surface3D,
+
+        /**
+         * Initialize surface3d chart
+         * @private
+         */
+        _init: function () {
+            var legend = this.component.legend;
+            var series = this.series;
+            this.selectedMap = {};
+
+            if (! this._rootNode) {
+                this._createRoot();
+            }
+
+            this.beforeBuildMark();
+
+            var seriesGroup = [];
+            var seriesIndices = [];
+            // Sampled grid points of each series
+            var grids = [];
+            var count = 0;
+            for (var i = 0; i < series.length; i++) {
+                if (series[i].type === ecConfig.CHART_TYPE_SURFACE3D) {
+                    series[i] = this.reformOption(series[i]);
+                    var seriesName = series[i].name;
+                    this.selectedMap[seriesName] = legend
+                        ? legend.isSelected(seriesName) : true;
+
+                    if (! this.selectedMap[seriesName]) {
+                        continue;
+                    }
+                    seriesGroup.push(series[i]);
+                    seriesIndices.push(i);
+                    grids.push(this._getSurfaceGrid(series[i]));
+                }
+            }
+
+            var grid3D = this.updateGrid3D(this._contentNode);
+            if (grid3D) {
+                grid3D.clearExtent();
+                for (var i = 0; i < grids.length; i++) {
+                    var points = grids[i].points;
+                    for (var k = 0; k < points.length; k++) {
+                        grid3D.unionExtent('x', points[k][0]);
+                        grid3D.unionExtent('y', points[k][1]);
+                        grid3D.unionExtent('z', points[k][2]);
+                    }
+                }
+                grid3D.update();
+            }
+
+            for (var i = 0; i < seriesIndices.length; i++) {
+                this._buildSurface(seriesIndices[i], count++, grids[i]);
+                this.buildMark(seriesIndices[i], this._contentNode);
+            }
+
+            // Remove the meshes no longer used
+            var renderer = this.baseLayer.renderer;
+            for (var i = count; i < this._surfaceMeshes.length; i++) {
+                this._contentNode.remove(this._surfaceMeshes[i]);
+                this._contentNode.remove(this._wireframeRenderables[i]);
+                renderer.disposeNode(this._surfaceMeshes[i], true);
+                renderer.disposeNode(this._wireframeRenderables[i], true);
+            }
+            this._surfaceMeshes.length = count;
+            this._wireframeRenderables.length = count;
+
+            this._updateLightShading(seriesGroup);
+
+            this._fitView();
+
+            var orbitControl = this._orbitControl;
+            orbitControl.autoRotate = this.deepQuery(seriesGroup, 'autoRotate');
+            orbitControl.autoRotateAfterStill = this.deepQuery(seriesGroup, 'autoRotateAfterStill');
+
+            this.baseLayer.pickingMode = this.deepQuery(seriesGroup, 'pickingMode');
+
+            this.afterBuildMark();
+
+            this.zr.refreshNextFrame();
+        },
+
+        /**
+         * Create root scene node, lights and orbit control.
+         * @private
+         */
+        _createRoot: function () {
+            var scene = this.baseLayer.scene;
+
+            this._rootNode = new Node({
+                name: 'surface3d'
+            });
+            this._contentNode = new Node();
+            // Convert z up data space to y up world space
+            this._contentNode.rotation.rotateX(-Math.PI / 2);
+            this._rootNode.add(this._contentNode);
+
+            scene.add(this._rootNode);
+
+            // Lights are fixed in the view and not rotated with the surface
+            var sunLight = new DirectionalLight({ name: 'sun' });
+            sunLight.position.set(1, 2, 3);
+            sunLight.lookAt(Vector3.ZERO);
+            scene.add(sunLight);
+            scene.add(new AmbientLight({ name: 'ambient' }));
+
+            this._orbitControl = new OrbitControl(this._rootNode, this.zr, this.baseLayer);
+            this._orbitControl.init();
+        },
+
+        /**
+         * Build surface mesh and wireframe of a single series
+         * @param {number} seriesIndex
+         * @param {number} idx Index of surface mesh
+         * @param {Object} grid Grid points sampled by _getSurfaceGrid
+         * @private
+         */
+        _buildSurface: function (seriesIndex, idx, grid) {
+            var serie = this.series[seriesIndex];
+
+            var mesh = this._surfaceMeshes[idx];
+            var wireframe = this._wireframeRenderables[idx];
+            if (! mesh) {
+                mesh = new Mesh({
+                    geometry: new DynamicGeometry(),
+                    material: new Material({
+                        shader: this._lambertShader
+                    }),
+                    culling: false
+                });
+                wireframe = new Renderable({
+                    geometry: new LinesGeometry(),
+                    material: new Material({
+                        shader: this._albedoShader,
+                        transparent: true
+                    }),
+                    mode: Renderable.LINES,
+                    ignorePicking: true
+                });
+                this._surfaceMeshes[idx] = mesh;
+                this._wireframeRenderables[idx] = wireframe;
+                this._contentNode.add(mesh);
+                this._contentNode.add(wireframe);
+            }
+
+            var geometry = mesh.geometry;
+            var attributes = geometry.attributes;
+            var positionArr = attributes.position.value;
+            var colorArr = attributes.color.value;
+            var faces = geometry.faces;
+            positionArr.length = 0;
+            colorArr.length = 0;
+            attributes.normal.value.length = 0;
+            faces.length = 0;
+
+            var dataRange = this.component.dataRange;
+            var legend = this.component.legend;
+            var serieColor;
+            if (legend) {
+                serieColor = legend.getColor(serie.name);
+            }
+            serieColor = this.query(serie, 'itemStyle.normal.color') || serieColor
+                || this.zr.getColor(seriesIndex);
+
+            var point = new Vector3();
+            var points = grid.points;
+            // Vertex which is NaN or out of the dataRange
+            var invalid = [];
+            for (var i = 0; i < points.length; i++) {
+                var z = points[i][2];
+                var color = serieColor;
+                if (dataRange) {
+                    color = dataRange.getColor(z);
+                }
+                if (typeof(color) == 'function') {
+                    color = color(points[i]);
+                }
+                var vertexColor = this.parseColor(color);
+                invalid[i] = isNaN(z) || ! vertexColor;
+                vertexColor = vertexColor || [0, 0, 0, 1];
+                this.getMarkCoord(seriesIndex, {
+                    x: points[i][0],
+                    y: points[i][1],
+                    z: isNaN(z) ? 0 : z
+                }, point);
+                positionArr.push(vec3.clone(point._array));
+                colorArr.push(vertexColor);
+            }
+
+            var xCount = grid.xCount;
+            var yCount = grid.yCount;
+            for (var j = 0; j < yCount - 1; j++) {
+                for (var i = 0; i < xCount - 1; i++) {
+                    var i0 = j * xCount + i;
+                    var i1 = i0 + 1;
+                    var i2 = i0 + xCount;
+                    var i3 = i2 + 1;
+                    // Leave a hole if any of the vertex is invalid
+                    if (invalid[i0] || invalid[i1] || invalid[i2] || invalid[i3]) {
+                        continue;
+                    }
+                    faces.push([i0, i1, i3], [i0, i3, i2]);
+                }
+            }
+            geometry.generateVertexNormals();
+            geometry.dirty();
+
+            // Wireframe
+            var linesGeometry = wireframe.geometry;
+            linesGeometry.clearLines();
+            wireframe.visible = !! this.query(serie, 'wireframe.show');
+            if (wireframe.visible) {
+                var lineColor = this.parseColor(
+                    this.query(serie, 'wireframe.lineStyle.color')
+                ) || [0, 0, 0, 1];
+                var lineWidth = this.query(serie, 'wireframe.lineStyle.width') || 1;
+                wireframe.lineWidth = lineWidth * (window.devicePixelRatio || 1);
+                var p0 = new Vector3();
+                var p1 = new Vector3();
+                for (var j = 0; j < yCount; j++) {
+                    for (var i = 0; i < xCount; i++) {
+                        var i0 = j * xCount + i;
+                        p0.setArray(positionArr[i0]);
+                        if (i < xCount - 1) {
+                            p1.setArray(positionArr[i0 + 1]);
+                            linesGeometry.addLine(p0.clone(), p1.clone(), lineColor);
+                        }
+                        if (j < yCount - 1) {
+                            p1.setArray(positionArr[i0 + xCount]);
+                            linesGeometry.addLine(p0.clone(), p1.clone(), lineColor);
+                        }
+                    }
+                }
+            }
+            linesGeometry.dirty();
+        },
+
+        /**
+         * Sample the grid points from data matrix or equation.
+         * @param  {Object} serie
+         * @return {Object} Grid with xCount, yCount and row major points list
+         * @private
+         */
+        _getSurfaceGrid: function (serie) {
+            var points = [];
+            var xCount = 0;
+            var yCount = 0;
+            var equation = serie.equation;
+            if (equation && typeof(equation.z) === 'function') {
+                var xRange = equation.x || {};
+                var yRange = equation.y || {};
+                // Range bounds can be 0 explicitly
+                var xMin = xRange.min != null ? xRange.min : 0;
+                var yMin = yRange.min != null ? yRange.min : 0;
+                var xMax = xRange.max != null ? xRange.max : 1;
+                var yMax = yRange.max != null ? yRange.max : 1;
+                var xStep = xRange.step || 0.1;
+                var yStep = yRange.step || 0.1;
+                xCount = Math.floor((xMax - xMin) / xStep + 1e-6) + 1;
+                yCount = Math.floor((yMax - yMin) / yStep + 1e-6) + 1;
+                for (var j = 0; j < yCount; j++) {
+                    var y = yMin + j * yStep;
+                    for (var i = 0; i < xCount; i++) {
+                        var x = xMin + i * xStep;
+                        points.push([x, y, equation.z(x, y)]);
+                    }
+                }
+            }
+            else {
+                // Data matrix, each row is along x axis.
+                // Item can be a single z value or [x, y, z] array
+                var data = serie.data || [];
+                yCount = data.length;
+                xCount = yCount > 0 ? data[0].length : 0;
+                for (var j = 0; j < yCount; j++) {
+                    for (var i = 0; i < xCount; i++) {
+                        var item = data[j][i];
+                        var value = this.getDataFromOption(item, NaN);
+                        if (value instanceof Array) {
+                            points.push([value[0], value[1], value[2]]);
+                        }
+                        else {
+                            points.push([i, j, value == null ? NaN : +value]);
+                        }
+                    }
+                }
+            }
+
+            return {
+                xCount: xCount,
+                yCount: yCount,
+                points: points
+            };
+        },
+
+        /**
+         * Update light and shader of surface meshes
+         * @param  {Array.<Object>} seriesGroup
+         * @private
+         */
+        _updateLightShading: function (seriesGroup) {
+            var scene = this.baseLayer.scene;
+            var enableLight = this.deepQuery(seriesGroup, 'light.enable');
+            var shader = enableLight ? this._lambertShader : this._albedoShader;
+            for (var i = 0; i < this._surfaceMeshes.length; i++) {
+                var material = this._surfaceMeshes[i].material;
+                if (material.shader !== shader) {
+                    material.attachShader(shader, true);
+                }
+            }
+            var sunLight = scene.queryNode('sun');
+            var ambientLight = scene.queryNode('ambient');
+            sunLight.intensity = this.deepQuery(seriesGroup, 'light.sunIntensity');
+            ambientLight.intensity = this.deepQuery(seriesGroup, 'light.ambientIntensity');
+        },
+
+        /**
+         * Put the bounding box of grid or all surfaces in the center of view
+         * @private
+         */
+        _fitView: function () {
+            var min = new Vector3(Infinity, Infinity, Infinity);
+            var max = new Vector3(-Infinity, -Infinity, -Infinity);
+            if (this.grid3D) {
+                var bbox = this.grid3D.getBoundingBox();
+                Vector3.copy(min, bbox.min);
+                Vector3.copy(max, bbox.max);
+            }
+            for (var i = 0; i < this._surfaceMeshes.length; i++) {
+                var geometry = this._surfaceMeshes[i].geometry;
+                if (geometry.getVertexNumber() > 0) {
+                    geometry.updateBoundingBox();
+                    Vector3.min(min, min, geometry.boundingBox.min);
+                    Vector3.max(max, max, geometry.boundingBox.max);
+                }
+            }
+            var camera = this.baseLayer.camera;
+            var center = new Vector3();
+            var radius = 1;
+            if (isFinite(min.x)) {
+                Vector3.add(center, min, max);
+                Vector3.scale(center, center, 0.5);
+                radius = Math.max(Vector3.dist(min, max) / 2, 1e-3);
+            }
+            // Content node is rotated to y up. (x, y, z) => (x, z, -y)
+            this._contentNode.position.set(-center.x, -center.z, center.y);
+
+            camera.position.set(0, 0, radius * 2.5);
+            camera.lookAt(Vector3.ZERO);
+            camera.near = radius * 0.01;
+            camera.far = radius * 10;
+            // Orbit control moves the camera from this distance when zooming
+            this._orbitControl.baseDistance = radius * 2.5;
+        },
+
+        // Overwrite getMarkBarPoints
+        getMarkBarPoints: function (seriesIndex, data, start, end) {
+            var barHeight = this.getMarkBarHeight(seriesIndex, data);
+            this.getMarkCoord(seriesIndex, data, start, 'markBar');
+            // Markers are in the z up data space, bar grows along the z axis
+            Vector3.scaleAndAdd(end, start, Vector3.POSITIVE_Z, barHeight);
+        },
+
+        // Overwrite onframe
+        onframe: function (deltaTime) {
+            if (! this._rootNode) {
+                return;
+            }
+
+            ChartBase3D.prototype.onframe.call(this, deltaTime);
+
+            this._orbitControl.update(deltaTime);
+        },
+
+        // Overwrite refresh
+        refresh: function (newOption) {
+            // Browser not support WebGL
+            if (! this.baseLayer.renderer) {
+                return;
+            }
+
+            if (newOption) {
+                this.option = newOption;
+                this.series = newOption.series;
+            }
+
+            this._init();
+        },
+
+        // Overwrite ondataRange
+        ondataRange: function (param, status) {
+            if (this.component.dataRange) {
+                this.refresh();
+                this.zr.refreshNextFrame();
+            }
+        },
+
+        // Overwrite dispose
+        dispose: function () {
+
+            ChartBase3D.prototype.dispose.call(this);
+
+            this.baseLayer.dispose();
+            if (this._orbitControl) {
+                this._orbitControl.dispose();
+            }
+
+            this._rootNode = null;
+            this._contentNode = null;
+            this._surfaceMeshes = [];
+            this._wireframeRenderables = [];
+
+            this._disposed = true;
+        }
+    };
+
+    zrUtil.inherits(Surface3D, ChartBase3D);
+
+    require('echarts/chart').define(ecConfig.CHART_TYPE_SURFACE3D, Surface3D);
+
+    return Surface3D;
+});
@@ -17,19 +17,32 @@ define(function (require) {
      * @constructor
      * @alias module:echarts-x/component/base3d
      * @extends module:echarts/component/base
+     * @param {Object} ecTheme
+     * @param {Object} messageCenter
+     * @param {module:zrender~ZRender} zr
+     * @param {Object} option
+     * @param {module:echarts~ECharts} myChart
+     * @param {module:echarts-x/core/Layer3D} [layer]
+     *        Existing layer to render in. Components like grid3D are rendered
+     *        in the layer of the chart they belong to.
      */
-    var Base3D = function (ecTheme, messageCenter, zr, option, myChart) {
+    var Base3D = function (ecTheme, messageCenter, zr, option, myChart, layer) {
 
         ComponentBase.call(this, ecTheme, messageCenter, zr, option, myChart);
 
-        var zlevel = this.getZlevelBase();
+        if (layer instanceof Layer3D) {
+            /**
+             * @type {module:echarts-x/core/Layer3D}
+             */
+            this.baseLayer = layer;
+        }
+        else {
+            var zlevel = this.getZlevelBase();
 
-        /**
-         * @type {module:echarts-x/core/Layer3D}
-         */
-        this.baseLayer = new Layer3D(zlevel, this.zr.painter);
+            this.baseLayer = new Layer3D(zlevel, this.zr.painter);
 
-        this.zr.painter.insertLayer(zlevel, this.baseLayer);
+            this.zr.painter.insertLayer(zlevel, this.baseLayer);
+        }
 
         this.zr.animation.bind('frame', this.onframe, this);
     };
@@ -0,0 +1,635 @@
+/**
+ * Cartesian grid with x, y, z axes for charts not on the globe.
+ * Maps data values into the 3D space of grid box.
+ *
+ * @module echarts-x/component/grid3d
+ * @author Yi Shen(http://github.com/pissang)
+ */
+
+define(function (require) {
+
+    'use strict';
+
+    var zrUtil = require('zrender/tool/util');
+    var zrArea = require('zrender/tool/area');
+    var TextShape = require('zrender/shape/Text');
+
+    var smartSteps = require('echarts/util/smartSteps');
+
+    var Node = require('qtek/Node');
+    var Renderable = require('qtek/Renderable');
+    var Material = require('qtek/Material');
+    var Shader = require('qtek/Shader');
+    var Vector3 = require('qtek/math/Vector3');
+    var Matrix4 = require('qtek/math/Matrix4');
+
+    var ecConfig = require('../config');
+    var ComponentBase3D = require('./base3d');
+    var LinesGeometry = require('../util/geometry/Lines');
+    var SpritesGeometry = require('../util/geometry/Sprites');
+    var TextureAtlasSurface = require('../surface/TextureAtlasSurface');
+    var colorUtil = require('../util/color');
+
+    var AXIS_DIMENSIONS = ['x', 'y', 'z'];
+
+    /**
+     * @constructor
+     * @alias module:echarts-x/component/grid3d
+     * @extends module:echarts-x/component/base3d
+     * @param {Object} ecTheme
+     * @param {Object} messageCenter
+     * @param {module:zrender~ZRender} zr
+     * @param {Object} option
+     * @param {module:echarts~ECharts} myChart
+     * @param {module:echarts-x/core/Layer3D} layer Layer of the chart grid belongs to
+     */
+    var Grid3D = function (ecTheme, messageCenter, zr, option, myChart, layer) {
+
+        ComponentBase3D.call(this, ecTheme, messageCenter, zr, option, myChart, layer);
+
+        /**
+         * Root scene node of axes, split lines and labels
+         * @type {qtek.Node}
+         * @private
+         */
+        this._sceneNode = new Node({
+            name: 'grid3D'
+        });
+
+        /**
+         * @type {qtek.Renderable}
+         * @private
+         */
+        this._axisLineRenderable = this._createLinesRenderable();
+
+        /**
+         * @type {qtek.Renderable}
+         * @private
+         */
+        this._splitLineRenderable = this._createLinesRenderable();
+
+        /**
+         * @type {qtek.Renderable}
+         * @private
+         */
+        this._labelsRenderable = null;
+
+        /**
+         * @type {module:echarts-x/surface/TextureAtlasSurface}
+         * @private
+         */
+        this._textureAtlas = null;
+
+        /**
+         * Data extent of each axis, collected by the charts
+         * @type {Object}
+         * @private
+         */
+        this._extent = {};
+
+        /**
+         * Scale of each axis, calculated in update
+         * @type {Object}
+         * @private
+         */
+        this._scales = {};
+
+        this.clearExtent();
+
+        this.refresh(option);
+    };
+
+    Grid3D.prototype = {
+
+        /**
+         * @type {string}
+         */
+        type: ecConfig.COMPONENT_TYPE_GRID3D,
+
+        constructor: Grid3D,
+
+        _createLinesRenderable: function () {
+            var material = new Material({
+                shader: new Shader({
+                    vertex: Shader.source('ecx.albedo.vertex'),
+                    fragment: Shader.source('ecx.albedo.fragment')
+                }),
+                transparent: true
+            });
+            material.shader.define('both', 'VERTEX_COLOR');
+            var renderable = new Renderable({
+                geometry: new LinesGeometry(),
+                material: material,
+                mode: Renderable.LINES,
+                ignorePicking: true
+            });
+            this._sceneNode.add(renderable);
+            return renderable;
+        },
+
+        _createLabelsRenderable: function () {
+            this._textureAtlas = new TextureAtlasSurface(this.zr, 1024, 1024);
+            var material = new Material({
+                shader: new Shader({
+                    vertex: Shader.source('ecx.albedo.vertex'),
+                    fragment: Shader.source('ecx.albedo.fragment')
+                }),
+                transparent: true,
+                depthMask: false
+            });
+            material.shader.enableTexture('diffuseMap');
+            material.set('diffuseMap', this._textureAtlas.getTexture());
+            this._labelsRenderable = new Renderable({
+                geometry: new SpritesGeometry(),
+                material: material,
+                culling: false,
+                ignorePicking: true
+            });
+            this._sceneNode.add(this._labelsRenderable);
+        },
+
+        /**
+         * Reset data extent of all axes
+         */
+        clearExtent: function () {
+            for (var i = 0; i < AXIS_DIMENSIONS.length; i++) {
+                this._extent[AXIS_DIMENSIONS[i]] = [Infinity, -Infinity];
+            }
+        },
+
+        /**
+         * Union data extent of axis with given value
+         * @param  {string} dim 'x' | 'y' | 'z'
+         * @param  {number} value
+         */
+        unionExtent: function (dim, value) {
+            var extent = this._extent[dim];
+            value = +value;
+            if (! extent || isNaN(value)) {
+                return;
+            }
+            extent[0] = Math.min(extent[0], value);
+            extent[1] = Math.max(extent[1], value);
+        },
+
+        /**
+         * Calculate axis scales from the collected data extent.
+         * And rebuild the axis lines, split lines and labels.
+         */
+        update: function () {
+            for (var i = 0; i < AXIS_DIMENSIONS.length; i++) {
+                var dim = AXIS_DIMENSIONS[i];
+                this._scales[dim] = this._calculateScale(dim);
+            }
+
+            this._buildLines();
+            this._buildLabels();
+
+            this.zr.refreshNextFrame();
+        },
+
+        /**
+         * Get axis configuration
+         * @param  {string} dim
+         * @return {Object}
+         */
+        getAxisOption: function (dim) {
+            return this.grid3DOption[dim + 'Axis'] || {};
+        },
+
+        /**
+         * Map data value to the coordinates in grid box
+         * @param  {number|string} x
+         * @param  {number|string} y
+         * @param  {number|string} z
+         * @param  {qtek.math.Vector3} out
+         * @return {qtek.math.Vector3}
+         */
+        dataToPoint: function (x, y, z, out) {
+            var opt = this.grid3DOption;
+            var arr = out._array;
+            arr[0] = (this._normalize('x', x) - 0.5) * opt.boxWidth;
+            arr[1] = (this._normalize('y', y) - 0.5) * opt.boxDepth;
+            arr[2] = (this._normalize('z', z) - 0.5) * opt.boxHeight;
+            return out;
+        },
+
+        /**
+         * Get bounding box of grid including the labels
+         * @return {qtek.math.BoundingBox}
+         */
+        getBoundingBox: function () {
+            var opt = this.grid3DOption;
+            var margin = this._getLabelUnit() * 20;
+            return {
+                min: new Vector3(
+                    -opt.boxWidth / 2 - margin,
+                    -opt.boxDepth / 2 - margin,
+                    -opt.boxHeight / 2 - margin
+                ),
+                max: new Vector3(
+                    opt.boxWidth / 2 + margin,
+                    opt.boxDepth / 2 + margin,
+                    opt.boxHeight / 2 + margin
+                )
+            };
+        },
+
+        /**
+         * Get root scene node
+         * @return {qtek.Node}
+         */
+        getSceneNode: function () {
+            return this._sceneNode;
+        },
+
+        /**
+         * Normalize value to [0, 1] in the scale of axis
+         * @param  {string} dim
+         * @param  {number|string} value
+         * @return {number}
+         * @private
+         */
+        _normalize: function (dim, value) {
+            var scale = this._scales[dim];
+            if (! scale) {
+                return 0.5;
+            }
+            if (scale.type === 'category') {
+                // Number value is offset by the first category generated from data extent
+                var idx = typeof(value) === 'number'
+                    ? value - scale.min : scale.data.indexOf(value);
+                return scale.data.length > 1 ? idx / (scale.data.length - 1) : 0.5;
+            }
+            value = +value;
+            if (scale.type === 'log') {
+                value = value > 0 ? Math.log(value) / Math.LN10 : scale.min;
+            }
+            var span = scale.max - scale.min;
+            return span === 0 ? 0.5 : (value - scale.min) / span;
+        },
+
+        /**
+         * Calculate scale of axis. Ticks of value axis is calculated with smartSteps in ECharts
+         * @param  {string} dim
+         * @return {Object}
+         * @private
+         */
+        _calculateScale: function (dim) {
+            var axisOpt = this.getAxisOption(dim);
+            var extent = this._extent[dim];
+            var type = axisOpt.type || 'value';
+            var scale = {
+                type: type,
+                min: 0,
+                max: 0,
+                // Tick values in the scale space
+                ticks: [],
+                // Raw value of each tick used in label
+                tickValues: []
+            };
+
+            if (type === 'category') {
+                var data = axisOpt.data || [];
+                scale.data = [];
+                for (var i = 0; i < data.length; i++) {
+                    var name = data[i] != null && data[i].value != null ? data[i].value : data[i];
+                    scale.data.push(name);
+                    scale.ticks.push(i);
+                    scale.tickValues.push(name);
+                }
+                if (! data.length && extent[0] <= extent[1]) {
+                    // Use index of data if not give the categories
+                    scale.min = Math.floor(extent[0]);
+                    for (var i = scale.min; i <= extent[1]; i++) {
+                        scale.data.push(i);
+                        scale.ticks.push(i);
+                        scale.tickValues.push(i);
+                    }
+                }
+                scale.max = scale.min + Math.max(scale.data.length - 1, 0);
+                return scale;
+            }
+
+            var min = axisOpt.min != null ? axisOpt.min : extent[0];
+            var max = axisOpt.max != null ? axisOpt.max : extent[1];
+            if (! isFinite(min) || ! isFinite(max)) {
+                // No data
+                min = 0;
+                max = 1;
+            }
+
+            if (type === 'log') {
+                min = Math.floor(Math.log(Math.max(min, 1e-10)) / Math.LN10);
+                max = Math.ceil(Math.log(Math.max(max, 1e-10)) / Math.LN10);
+                if (min === max) {
+                    max = min + 1;
+                }
+                scale.min = min;
+                scale.max = max;
+                for (var i = min; i <= max; i++) {
+                    scale.ticks.push(i);
+                    scale.tickValues.push(Math.pow(10, i));
+                }
+                return scale;
+            }
+
+            var stepOpt = {};
+            if (axisOpt.min != null) {
+                stepOpt.min = axisOpt.min;
+            }
+            if (axisOpt.max != null) {
+                stepOpt.max = axisOpt.max;
+            }
+            var steps = smartSteps(min, max, axisOpt.splitNumber, stepOpt);
+            scale.min = steps.min;
+            scale.max = steps.max;
+            for (var i = 0; i < steps.pnts.length; i++) {
+                scale.ticks.push(steps.pnts[i]);
+                scale.tickValues.push(steps.pnts[i]);
+            }
+            return scale;
+        },
+
+        /**
+         * Query the style of axis, fallback to the grid configuration
+         * @param  {string} dim
+         * @param  {string} path
+         * @return {*}
+         * @private
+         */
+        _queryAxis: function (dim, path) {
+            return this.deepQuery([this.getAxisOption(dim), this.grid3DOption], path);
+        },
+
+        /**
+         * Get the point of tick on the axis
+         * @param  {string} dim
+         * @param  {number} tick Tick value in the scale space
+         * @return {number}
+         * @private
+         */
+        _tickToCoord: function (dim, tick) {
+            var scale = this._scales[dim];
+            var opt = this.grid3DOption;
+            var size = dim === 'x' ? opt.boxWidth : (dim === 'y' ? opt.boxDepth : opt.boxHeight);
+            var span = scale.max - scale.min;
+            var percent = span === 0 ? 0.5 : (tick - scale.min) / span;
+            return (percent - 0.5) * size;
+        },
+
+        _parseColor: function (color) {
+            var colorArr = colorUtil.parse(color || '#000');
+            colorArr[0] /= 255;
+            colorArr[1] /= 255;
+            colorArr[2] /= 255;
+            return colorArr;
+        },
+
+        /**
+         * Build axis lines and split lines on the back walls of grid box
+         * @private
+         */
+        _buildLines: function () {
+            var opt = this.grid3DOption;
+            var hw = opt.boxWidth / 2;
+            var hd = opt.boxDepth / 2;
+            var hh = opt.boxHeight / 2;
+            var devicePixelRatio = window.devicePixelRatio || 1;
+
+            var axisLineGeo = this._axisLineRenderable.geometry;
+            var splitLineGeo = this._splitLineRenderable.geometry;
+            axisLineGeo.clearLines();
+            splitLineGeo.clearLines();
+
+            this._axisLineRenderable.lineWidth = (
+                this.query(opt, 'axisLine.lineStyle.width') || 1
+            ) * devicePixelRatio;
+            this._splitLineRenderable.lineWidth = (
+                this.query(opt, 'splitLine.lineStyle.width') || 1
+            ) * devicePixelRatio;
+
+            // Axis lines start from the front left bottom corner
+            var axisLines = {
+                x: [[-hw, -hd, -hh], [hw, -hd, -hh]],
+                y: [[hw, -hd, -hh], [hw, hd, -hh]],
+                z: [[-hw, -hd, -hh], [-hw, -hd, hh]]
+            };
+            for (var i = 0; i < AXIS_DIMENSIONS.length; i++) {
+                var dim = AXIS_DIMENSIONS[i];
+                if (this._queryAxis(dim, 'axisLine.show')) {
+                    var color = this._parseColor(this._queryAxis(dim, 'axisLine.lineStyle.color'));
+                    axisLineGeo.addLine(
+                        new Vector3(axisLines[dim][0][0], axisLines[dim][0][1], axisLines[dim][0][2]),
+                        new Vector3(axisLines[dim][1][0], axisLines[dim][1][1], axisLines[dim][1][2]),
+                        color
+                    );
+                }
+
+                if (! this._queryAxis(dim, 'splitLine.show')) {
+                    continue;
+                }
+                var color = this._parseColor(this._queryAxis(dim, 'splitLine.lineStyle.color'));
+                var ticks = this._scales[dim].ticks;
+                for (var k = 0; k < ticks.length; k++) {
+                    var c = this._tickToCoord(dim, ticks[k]);
+                    switch (dim) {
+                        case 'x':
+                            // On the bottom and back wall
+                            splitLineGeo.addLine(new Vector3(c, -hd, -hh), new Vector3(c, hd, -hh), color);
+                            splitLineGeo.addLine(new Vector3(c, hd, -hh), new Vector3(c, hd, hh), color);
+                            break;
+                        case 'y':
+                            // On the bottom and left wall
+                            splitLineGeo.addLine(new Vector3(-hw, c, -hh), new Vector3(hw, c, -hh), color);
+                            splitLineGeo.addLine(new Vector3(-hw, c, -hh), new Vector3(-hw, c, hh), color);
+                            break;
+                        case 'z':
+                            // On the back and left wall
+                            splitLineGeo.addLine(new Vector3(-hw, hd, c), new Vector3(hw, hd, c), color);
+                            splitLineGeo.addLine(new Vector3(-hw, -hd, c), new Vector3(-hw, hd, c), color);
+                            break;
+                    }
+                }
+            }
+
+            axisLineGeo.dirty();
+            splitLineGeo.dirty();
+        },
+
+        /**
+         * Size of one pixel font in the 3D space
+         * @return {number}
+         * @private
+         */
+        _getLabelUnit: function () {
+            var opt = this.grid3DOption;
+            return Math.max(opt.boxWidth, opt.boxDepth, opt.boxHeight) / 300;
+        },
+
+        /**
+         * Build tick labels and axis names with sprites in texture atlas
+         * @private
+         */
+        _buildLabels: function () {
+            if (! this._labelsRenderable) {
+                this._createLabelsRenderable();
+            }
+            var opt = this.grid3DOption;
+            var hw = opt.boxWidth / 2;
+            var hd = opt.boxDepth / 2;
+            var hh = opt.boxHeight / 2;
+            var unit = this._getLabelUnit();
+
+            var textureAtlas = this._textureAtlas;
+            var geometry = this._labelsRenderable.geometry;
+            textureAtlas.clear();
+            geometry.clearSprites();
+
+            var position = new Vector3();
+            for (var i = 0; i < AXIS_DIMENSIONS.length; i++) {
+                var dim = AXIS_DIMENSIONS[i];
+                var scale = this._scales[dim];
+                var axisOpt = this.getAxisOption(dim);
+
+                var textStyle = this._queryAxis(dim, 'axisLabel.textStyle') || {};
+                var fontSize = textStyle.fontSize || 12;
+                var offset = fontSize * unit;
+                var labels = [];
+                if (this._queryAxis(dim, 'axisLabel.show')) {
+                    var formatter = this._queryAxis(dim, 'axisLabel.formatter');
+                    for (var k = 0; k < scale.ticks.length; k++) {
+                        var text = scale.tickValues[k];
+                        if (typeof(formatter) === 'function') {
+                            text = formatter.call(this.myChart, text);
+                        }
+                        else if (typeof(formatter) === 'string') {
+                            text = formatter.replace('{value}', text);
+                        }
+                        else if (typeof(text) === 'number') {
+                            text = this.numAddCommas(text);
+                        }
+                        labels.push({
+                            text: text + '',
+                            coord: this._tickToCoord(dim, scale.ticks[k])
+                        });
+                    }
+                }
+                if (axisOpt.name) {
+                    labels.push({
+                        text: axisOpt.name + '',
+                        coord: null
+                    });
+                }
+                for (var k = 0; k < labels.length; k++) {
+                    var label = labels[k];
+                    var isName = label.coord == null;
+                    // Axis name is put beyond the end of axis
+                    var c = isName
+                        ? (dim === 'x' ? hw : (dim === 'y' ? hd : hh)) + offset * 2
+                        : label.coord;
+                    switch (dim) {
+                        case 'x':
+                            position.set(c, -hd - offset * (isName ? 1 : 2), -hh);
+                            break;
+                        case 'y':
+                            position.set(hw + offset * 2, c, -hh);
+                            break;
+                        case 'z':
+                            position.set(-hw - offset * 2, -hd, c);
+                            break;
+                    }
+                    this._addLabel(label.text, textStyle, fontSize * unit, position);
+                }
+            }
+
+            textureAtlas.refresh();
+            geometry.dirty();
+        },
+
+        /**
+         * Add a label sprite facing the front of grid box
+         * @param {string} text
+         * @param {Object} textStyle
+         * @param {number} height Label height in the 3D space
+         * @param {qtek.math.Vector3} position Center of label
+         * @private
+         */
+        _addLabel: function (text, textStyle, height, position) {
+            // Draw the text in double size for better quality
+            var textFont = this.getFont(zrUtil.merge({
+                fontSize: (textStyle.fontSize || 12) * 2
+            }, textStyle));
+            var width = Math.ceil(zrArea.getTextWidth(text, textFont));
+            var textHeight = Math.ceil(zrArea.getTextHeight(text, textFont));
+            if (! width || ! textHeight) {
+                return;
+            }
+            var shape = new TextShape({
+                style: {
+                    x: 0,
+                    y: 0,
+                    text: text,
+                    textFont: textFont,
+                    textBaseline: 'top',
+                    color: textStyle.color
+                }
+            });
+            var coords = this._textureAtlas.addShape(shape, width, textHeight);
+            if (! coords) {
+                // Texture atlas is full
+                return;
+            }
+
+            var matrix = new Matrix4();
+            var arr = matrix._array;
+            var halfHeight = height / 2;
+            var halfWidth = halfHeight * width / textHeight;
+            // X axis
+            arr[0] = halfWidth;
+            arr[1] = 0;
+            arr[2] = 0;
+            // Y axis is up in the z up grid space
+            arr[4] = 0;
+            arr[5] = 0;
+            arr[6] = halfHeight;
+            // Z axis is facing the front
+            arr[8] = 0;
+            arr[9] = -1;
+            arr[10] = 0;
+            arr[12] = position.x;
+            arr[13] = position.y;
+            arr[14] = position.z;
+
+            this._labelsRenderable.geometry.addSprite(matrix, coords);
+        },
+
+        /**
+         * Refresh grid3D configuration.
+         * Scene will be rebuilt in update after the charts collected data extent.
+         * @param {Object} newOption
+         */
+        refresh: function (newOption) {
+            if (newOption) {
+                this.option = newOption;
+                this.series = newOption.series;
+                this.grid3DOption = this.reformOption(newOption.grid3D);
+            }
+        },
+
+        // Overwrite dispose
+        dispose: function () {
+            ComponentBase3D.prototype.dispose.call(this);
+
+            var sceneNode = this._sceneNode;
+            if (sceneNode.getParent()) {
+                sceneNode.getParent().remove(sceneNode);
+            }
+            this.baseLayer.renderer.disposeNode(sceneNode, true, true);
+        }
+    };
+
+    zrUtil.inherits(Grid3D, ComponentBase3D);
+
+    return Grid3D;
+});
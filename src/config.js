@@ -2,6 +2,23 @@ define({
 
     CHART_TYPE_MAP3D: 'map3d',
 
+    CHART_TYPE_SCATTER3D: 'scatter3d',
+
+    CHART_TYPE_SURFACE3D: 'surface3d',
+
+    COMPONENT_TYPE_GRID3D: 'grid3D',
+
+    EVENT: {
+        // View of map3d is rotated, zoomed or panned, throttled
+        MAP3D_VIEW_CHANGE: 'map3dViewChange',
+        // View of map3d stops changing
+        MAP3D_VIEW_CHANGE_END: 'map3dViewChangeEnd',
+        MAP3D_AUTO_ROTATE_START: 'map3dAutoRotateStart',
+        MAP3D_AUTO_ROTATE_STOP: 'map3dAutoRotateStop',
+        // Names in data of map3d matched no region after map data is loaded
+        MAP3D_NAMES_UNMATCHED: 'map3dNamesUnmatched'
+    },
+
     map3d: {
 
         // Background image
@@ -14,9 +31,20 @@ define({
 
         clickable: true,
 
+        // Select regions and markers by click, 'single' | 'multiple'
+        // Selected items are drawn with the emphasis style
+        // selectedMode: false,
+
         // Base map configuration
         mapType: 'world',
 
+        // Calculation of region value merged from series of the same mapType
+        // 'sum' | 'average' | 'max' | 'min' | function (valueList, name) {}
+        mapValueCalculation: 'sum',
+
+        // Precision of average and custom calculation result, not rounded by default
+        // mapValuePrecision: 0,
+
         // Globe location, same as ECharts map
         mapLocation: {
             x: 0,
@@ -24,6 +52,13 @@ define({
             width: '100%',
             height: '100%'
         },
+
+        // Layout of map, 'globe' | 'plane'
+        // Switching between them will be animated as a morph
+        projection: 'globe',
+
+        // Projection of plane layout, 'equirectangular' | 'mercator'
+        planeProjection: 'equirectangular',
         
         baseLayer: {
             // Base map background color
@@ -40,8 +75,42 @@ define({
 
             // Image providing elevation infomation
             // Used for light shading
+            // Used for light shading when light.enable: true
+            // and terrain displacement when displacement.show: true
+            heightImage: '',
+
+            // Mask of specular highlight like the ocean
+            // Available only when light.enable: true
+            specularImage: '',
+
+            // Image of the night side like the city lights
             // Available only when light.enable: true
-            heightImage: ''
+            nightImage: '',
+
+            // Displace the globe surface by heightImage
+            displacement: {
+                show: false,
+                // Height of the white pixel in heightImage, radius of globe is 100
+                scale: 2
+            },
+
+            // Web Mercator tiles mapped on the globe, covered by the map regions
+            // Can be an url template like 'tiles/{z}/{x}/{y}.png',
+            // a loader function (z, x, y, callback) {},
+            // or an object
+            // {
+            //     url: '',
+            //     loader: null,
+            //     // 'xyz' | 'tms'
+            //     scheme: 'xyz',
+            //     subdomains: 'abc',
+            //     minLevel: 0,
+            //     maxLevel: 18,
+            //     tileSize: 256,
+            //     // Max number of tile images cached
+            //     cacheSize: 256
+            // }
+            tiles: null
         },
 
         light: {
@@ -51,7 +120,41 @@ define({
             sunIntensity: 1,
             ambientIntensity: 0.1,
             // Time, default it will use system time
-            time: ''
+            time: '',
+            // Milliseconds of time passed in each millisecond
+            // 0 means time is still, 1 is the real time, 3600 is an hour per second
+            timeSpeed: 0,
+            // Width of the soft terminator between day and night in degree
+            // Available only when baseLayer.nightImage is set
+            terminatorWidth: 10,
+            // Blinn-Phong specular highlight
+            // Available only when baseLayer.specularImage is set
+            specularIntensity: 0.5,
+            shininess: 32,
+            // Shadow of markBar casted by the sun
+            shadow: false,
+            // Size of shadow map
+            shadowResolution: 2048,
+            // Depth bias to avoid the shadow acne on surface
+            shadowBias: 0.0002
+        },
+
+        // Fresnel halo around the sphere, hidden in the plane layout
+        atmosphere: {
+            show: false,
+            color: '#8cf',
+            // Thickness of halo, radius of globe is 100
+            thickness: 8,
+            intensity: 1
+        },
+
+        // Build regions as extruded 3D meshes instead of drawing them on the base texture
+        extrude: {
+            show: false,
+            // Height of region with the min value
+            minHeight: 1,
+            // Height of region with the max value
+            maxHeight: 10
         },
 
         // {
@@ -114,16 +217,195 @@ define({
 
         // Start rotating after still for a given time
         // default is 3 seconds
-        autoRotateAfterStill: 3
+        autoRotateAfterStill: 3,
+
+        // Zoom range, 1 is the initial size of globe
+        minZoom: 0.5,
+        maxZoom: 1.5,
+
+        // Scale of zoom speed of mouse wheel and keyboard
+        zoomSensitivity: 1,
+
+        // Scale of rotate speed of dragging and keyboard
+        rotateSensitivity: 1,
+
+        // Ratio of speed lost in each frame after released, range (0, 1]
+        // 1 means no inertia
+        damping: 0.2,
+
+        // Zoom toward the point under the mouse instead of the center of globe
+        zoomToCursor: true,
+
+        // How to pick the item under the mouse, 'auto' | 'color' | 'ray'
+        // 'ray' tests the triangles on CPU, 'color' reads back the item rendered on GPU,
+        // 'auto' uses 'color' when there are more than 100000 vertices
+        pickingMode: 'auto',
+
+        // Make the chart container focusable, and operate the map with keyboard
+        accessibility: {
+            enable: true,
+            // Usage description read by screen readers
+            description: 'Use arrow keys to rotate or pan the map, plus and minus keys to zoom, '
+                + 'Home key to reset the view. '
+                + 'Use Tab and Shift + Tab to go through regions and markers.'
+        }
+    },
+
+    scatter3d: {
+
+        zlevel: -2,
+
+        // Symbol of each point, can be all the symbol types supported by ECharts
+        // Or an image like 'image://xxx.png'
+        symbol: 'circle',
+
+        // Symbol size in pixel
+        // Points are drawn as GL points, so the size is limited by the max point size
+        // supported by the GPU (64 on some devices), and label of each point is not supported
+        symbolSize: 4,
+
+        itemStyle: {
+            normal: {
+                // color: '#000'
+            }
+        },
+
+        // If rotate on on init
+        autoRotate: false,
+
+        // Start rotating after still for a given time
+        autoRotateAfterStill: 0,
+
+        // How to pick the item under the mouse, 'auto' | 'color' | 'ray'
+        pickingMode: 'auto'
+    },
+
+    surface3d: {
+
+        zlevel: -3,
+
+        // Surface can be defined by an equation instead of a data matrix
+        // {
+        //     x: { min: -1, max: 1, step: 0.1 },
+        //     y: { min: -1, max: 1, step: 0.1 },
+        //     z: function (x, y) {}
+        // }
+        equation: null,
+
+        itemStyle: {
+            normal: {
+                // color: '#000'
+            }
+        },
+
+        light: {
+            // If enable light in lambert shading
+            enable: true,
+            sunIntensity: 1,
+            ambientIntensity: 0.2
+        },
+
+        wireframe: {
+            show: false,
+            lineStyle: {
+                color: 'rgba(0,0,0,0.5)',
+                width: 1
+            }
+        },
+
+        // If rotate on on init
+        autoRotate: false,
+
+        // Start rotating after still for a given time
+        autoRotateAfterStill: 0,
+
+        // How to pick the item under the mouse, 'auto' | 'color' | 'ray'
+        pickingMode: 'auto'
+    },
+
+    grid3D: {
+        // Size of the grid box in the 3D space.
+        // Width is along the x axis, depth is along the y axis and height is along the z axis
+        boxWidth: 100,
+        boxDepth: 100,
+        boxHeight: 100,
+
+        axisLine: {
+            show: true,
+            lineStyle: {
+                color: '#333',
+                width: 1
+            }
+        },
+
+        splitLine: {
+            show: true,
+            lineStyle: {
+                color: '#ccc',
+                width: 1
+            }
+        },
+
+        axisLabel: {
+            show: true,
+            // formatter: null,
+            textStyle: {
+                color: '#333',
+                fontSize: 12
+            }
+        },
+
+        // Each axis can be 'value', 'category' or 'log'
+        // Axis can overwrite the axisLine, splitLine, axisLabel configuration
+        xAxis: {
+            type: 'value',
+            name: 'X',
+            // Number of split segments of value axis
+            splitNumber: 5
+            // min: null,
+            // max: null,
+            // Categories of category axis
+            // data: []
+        },
+        yAxis: {
+            type: 'value',
+            name: 'Y',
+            splitNumber: 5
+        },
+        zAxis: {
+            type: 'value',
+            name: 'Z',
+            splitNumber: 5
+        }
     },
 
     markBar: {
         barSize: 1,
+        // 'cube' | 'cylinder' | 'cone' | 'pyramid'
+        barShape: 'cube',
+        // Gradient color from the bar base to the top
+        gradient: false,
         // Distance to the surface
         distance: 1,
+        // Distance is from the displaced terrain of map3d
+        onTerrain: true,
+        // Height range which the data value is mapped into, barHeight in data is used first.
+        // Height of bar is 1 if both are not given
+        // heightRange: [1, 20],
+        // Scale of mapping value to height, 'linear' | 'log' | 'sqrt'
+        scale: 'linear',
         itemStyle: {
             normal: {
                 // color: '#000'
+                // Color of the bar base in gradient,
+                // default is the dataRange color of value 0 or a darker color
+                // baseColor: '#000'
+            },
+            emphasis: {
+                // Emphasis color is lifted from the normal color by default
+                // color: '#000'
+                // Scale of the bar height when highlighted
+                heightScale: 1
             }
         }
     },
@@ -132,6 +414,8 @@ define({
         symbolSize: 4,
         // Distance to the surface
         distance: 1,
+        // Distance is from the displaced terrain of map3d
+        onTerrain: true,
         // Marker orientation in 3D space. Only available when large is false.
         // Value can be 'normal', 'tangent', 'eye'.
         orientation: 'tangent',
@@ -151,6 +435,13 @@ define({
                         color: 'black'
                     }
                 }
+            },
+            emphasis: {
+                // Emphasis color is lifted from the normal color by default
+                // color: '#000'
+                // Scale of the symbol size when highlighted
+                sizeScale: 1.2
+                // Border and label fall back to the normal style if not given
             }
         }
     },
@@ -158,12 +449,22 @@ define({
     markLine: {
         // Distance to the surface
         distance: 1,
+        // Distance is from the displaced terrain of map3d
+        onTerrain: true,
         itemStyle: {
             normal: {
                 lineStyle: {
                     width: 1,
                     opacity: 0.2
                 }
+            },
+            emphasis: {
+                // Emphasis color is lifted from the normal color by default
+                // color: '#000'
+                lineStyle: {
+                    width: 2,
+                    opacity: 1
+                }
             }
         }
     }
@@ -0,0 +1,227 @@
+/**
+ * Picking on GPU. Renderables are rendered to an offscreen framebuffer
+ * with their id and primitive index encoded in color,
+ * then the pixel under the mouse is read back.
+ *
+ * @module echarts-x/core/ColorPicking
+ * @author Yi Shen(http://github.com/pissang)
+ */
+
+define(function (require) {
+
+    var FrameBuffer = require('qtek/FrameBuffer');
+    var Texture2D = require('qtek/Texture2D');
+    var Shader = require('qtek/Shader');
+    var Material = require('qtek/Material');
+    var Renderable = require('qtek/Renderable');
+    var glenum = require('qtek/core/glenum');
+
+    // Renderable id takes the high 12 bits of color, zero is the background
+    var MAX_RENDERABLE_NUMBER = 4095;
+
+    /**
+     * @constructor
+     * @alias module:echarts-x/core/ColorPicking
+     * @param {qtek.Renderer} renderer
+     */
+    var ColorPicking = function (renderer) {
+
+        /**
+         * @type {qtek.Renderer}
+         */
+        this.renderer = renderer;
+
+        this._frameBuffer = new FrameBuffer();
+
+        this._texture = new Texture2D({
+            minFilter: glenum.NEAREST,
+            magFilter: glenum.NEAREST,
+            useMipmap: false
+        });
+
+        this._shader = new Shader({
+            vertex: Shader.source('ecx.picking.vertex'),
+            fragment: Shader.source('ecx.picking.fragment')
+        });
+        this._pointsShader = this._shader.clone();
+        this._pointsShader.define('vertex', 'POINTS');
+
+        /**
+         * Picking material of each renderable, reused between updates
+         * @type {Array.<qtek.Material>}
+         * @private
+         */
+        this._materials = [];
+
+        /**
+         * Renderables rendered in last update, id of renderable is its index plus one
+         * @type {Array.<qtek.Renderable>}
+         * @private
+         */
+        this._renderables = [];
+
+        this._pixel = new Uint8Array(4);
+
+        this._supported = true;
+
+        this._dirty = true;
+    };
+
+    /**
+     * Max number of renderables can be picked
+     * @type {number}
+     */
+    ColorPicking.MAX_RENDERABLE_NUMBER = MAX_RENDERABLE_NUMBER;
+
+    /**
+     * If framebuffer can be rendered to. It is known after the first update.
+     * @return {boolean}
+     */
+    ColorPicking.prototype.isSupported = function () {
+        return this._supported;
+    };
+
+    /**
+     * Mark the picking buffer out of date, it will be rendered again in next pick
+     */
+    ColorPicking.prototype.dirty = function () {
+        this._dirty = true;
+    };
+
+    /**
+     * If the picking buffer is out of date
+     * @return {boolean}
+     */
+    ColorPicking.prototype.isDirty = function () {
+        return this._dirty;
+    };
+
+    /**
+     * Render the renderables to picking buffer in the viewport of view
+     * @param  {Array.<qtek.Renderable>} renderables
+     * @param  {module:echarts-x/core/View3D} view
+     * @return {boolean} If rendered successfully
+     */
+    ColorPicking.prototype.update = function (renderables, view) {
+        var renderer = this.renderer;
+        var _gl = renderer.gl;
+        var texture = this._texture;
+        var frameBuffer = this._frameBuffer;
+
+        if (renderables.length > MAX_RENDERABLE_NUMBER) {
+            return false;
+        }
+
+        // Size of buffer is the size of canvas in device pixels
+        var width = renderer.canvas.width;
+        var height = renderer.canvas.height;
+        if (texture.width !== width || texture.height !== height) {
+            texture.width = width;
+            texture.height = height;
+            texture.dirty();
+        }
+
+        frameBuffer.attach(_gl, texture);
+        frameBuffer.bind(renderer);
+        if (_gl.checkFramebufferStatus(_gl.FRAMEBUFFER) !== _gl.FRAMEBUFFER_COMPLETE) {
+            frameBuffer.unbind(renderer);
+            this._supported = false;
+            return false;
+        }
+
+        _gl.colorMask(true, true, true, true);
+        _gl.depthMask(true);
+        _gl.clearColor(0, 0, 0, 0);
+        _gl.clear(_gl.COLOR_BUFFER_BIT | _gl.DEPTH_BUFFER_BIT);
+        _gl.disable(_gl.BLEND);
+
+        view.applyViewport();
+
+        this._renderables = renderables.slice();
+        for (var i = 0; i < renderables.length; i++) {
+            var renderable = renderables[i];
+            renderer.renderQueue(
+                [renderable], view.camera, this._getMaterial(i, renderable)
+            );
+        }
+
+        frameBuffer.unbind(renderer);
+
+        this._dirty = false;
+        return true;
+    };
+
+    /**
+     * Get picking material of the renderable at the given index
+     * @param  {number} idx
+     * @param  {qtek.Renderable} renderable
+     * @return {qtek.Material}
+     * @private
+     */
+    ColorPicking.prototype._getMaterial = function (idx, renderable) {
+        var material = this._materials[idx];
+        if (! material) {
+            material = this._materials[idx] = new Material({
+                shader: this._shader
+            });
+            material.set('renderableId', idx + 1);
+        }
+        var shader = renderable.mode === Renderable.POINTS
+            ? this._pointsShader : this._shader;
+        if (material.shader !== shader) {
+            material.attachShader(shader, true);
+        }
+        // Renderable drawn on top of others is also picked on top
+        material.depthTest = renderable.material.depthTest;
+        return material;
+    };
+
+    /**
+     * Read the pixel under the given point in layer
+     * @param  {number} x
+     * @param  {number} y
+     * @return {Object} Picked target and primitive index, null if nothing picked
+     */
+    ColorPicking.prototype.pick = function (x, y) {
+        var renderer = this.renderer;
+        var _gl = renderer.gl;
+        var dpr = renderer.devicePixelRatio;
+        var texture = this._texture;
+
+        // In WebGL [0, 0] is left bottom corner
+        x = Math.floor(x * dpr);
+        y = Math.floor((renderer.getHeight() - y) * dpr);
+        if (x < 0 || x >= texture.width || y < 0 || y >= texture.height) {
+            return null;
+        }
+
+        var pixel = this._pixel;
+        this._frameBuffer.bind(renderer);
+        _gl.readPixels(x, y, 1, 1, _gl.RGBA, _gl.UNSIGNED_BYTE, pixel);
+        this._frameBuffer.unbind(renderer);
+
+        var id = (pixel[2] >> 4) + pixel[3] * 16;
+        var target = this._renderables[id - 1];
+        if (! target) {
+            return null;
+        }
+        return {
+            target: target,
+            index: pixel[0] + pixel[1] * 256 + (pixel[2] & 15) * 65536
+        };
+    };
+
+    /**
+     * Dispose the framebuffer and texture
+     */
+    ColorPicking.prototype.dispose = function () {
+        var _gl = this.renderer.gl;
+        this._frameBuffer.dispose(_gl);
+        this._texture.dispose(_gl);
+        this._shader.dispose(_gl);
+        this._pointsShader.dispose(_gl);
+        this._renderables = [];
+    };
+
+    return ColorPicking;
+});
@@ -8,13 +8,19 @@
 define(function (require) {
     
     var Renderer = require('qtek/Renderer');
-    var Scene = require('qtek/Scene');
-    var PerspectiveCamera = require('qtek/camera/Perspective');
-    var OrthoCamera = require('qtek/camera/Orthographic');
-    var RayPicking = require('qtek/picking/RayPicking');
+
+    var View3D = require('./View3D');
 
     var Eventful = require('zrender/mixin/Eventful');
     var zrUtil = require('zrender/tool/util');
+    // Touch event has no offsetX, use the position fixed by zrender
+    var eventTool = require('zrender/tool/event');
+
+    var requestAnimationFrame = window.requestAnimationFrame
+        || window.msRequestAnimationFrame
+        || window.mozRequestAnimationFrame
+        || window.webkitRequestAnimationFrame
+        || function (func) { setTimeout(func, 16); };
 
     /**
      * @constructor
@@ -62,46 +68,98 @@ define(function (require) {
         style.top = '0';
 
         /**
+         * Views rendered in the layer. Each view has its own scene, camera and viewport.
+         * Layer has one default view at least.
+         * @type {Array.<module:echarts-x/core/View3D>}
+         */
+        this.views = [];
+
+        var defaultView = this.createView();
+
+        /**
+         * Camera of default view
          * @type {qtek.camera.Perspective}
          */
-        this.camera = new PerspectiveCamera();
-        this.camera.aspect = painter.getWidth() / painter.getHeight();
+        this.camera = defaultView.camera;
 
         /**
+         * Scene of default view
          * @type {qtek.Scene}
          */
-        this.scene = new Scene();
+        this.scene = defaultView.scene;
 
         /**
-         * Renderer viewport, represented with percent
+         * Picked object under the mouse in last mousemove
          * @type {Object}
+         * @private
          */
-        this._viewport = {
-            x: 0,
-            y: 0,
-            width: 1,
-            height: 1
-        };
+        this._hovered = null;
+
+        /**
+         * Picking mode, 'ray' | 'color' | 'auto'.
+         * 'ray' casts ray and tests triangles on CPU.
+         * 'color' renders the renderable id and primitive index to an offscreen framebuffer
+         * and reads back the pixel under the mouse.
+         * 'auto' uses 'color' when the scene has large data.
+         * Ray picking is used if framebuffer is not supported.
+         * Charts set it from the pickingMode option of series.
+         * @type {string}
+         */
+        this.pickingMode = 'auto';
 
-        this._initHandlers();
+        /**
+         * Last mousemove event waiting to be picked in next animation frame
+         * @type {Object}
+         * @private
+         */
+        this._mouseMoveEvent = null;
+
+        var self = this;
+        this._pickMouseMove = function () {
+            var e = self._mouseMoveEvent;
+            self._mouseMoveEvent = null;
+            // Event is cleared if layer is disposed before the frame
+            if (e) {
+                self._hover(e);
+            }
+        };
     }
 
     /**
-     * Register event handling functions
+     * Create a new view rendered in the layer
+     * @return {module:echarts-x/core/View3D}
      */
-    Layer3D.prototype._initHandlers = function () {
-
-        // Mouse event handling
-        this.bind('click', this._clickHandler, this);
-        this.bind('mousedown', this._mouseDownHandler, this);
-        this.bind('mouseup', this._mouseUpHandler, this);
-        this.bind('mousemove', this._mouseMoveHandler, this);
-
-        this._picking = new RayPicking({
-            scene: this.scene,
-            camera: this.camera,
-            renderer: this.renderer
-        });
+    Layer3D.prototype.createView = function () {
+        var view = new View3D(this);
+        this.views.push(view);
+        return view;
+    };
+
+    /**
+     * Remove and dispose a view. Default view can't be removed.
+     * @param {module:echarts-x/core/View3D} view
+     */
+    Layer3D.prototype.removeView = function (view) {
+        var idx = this.views.indexOf(view);
+        if (idx > 0) {
+            this.views.splice(idx, 1);
+            view.dispose();
+        }
+    };
+
+    /**
+     * Get the top most view which contains the given point
+     * @param  {number} x
+     * @param  {number} y
+     * @return {module:echarts-x/core/View3D}
+     */
+    Layer3D.prototype.getViewAt = function (x, y) {
+        for (var i = this.views.length - 1; i >= 0; i--) {
+            if (this.views[i].containPoint(x, y)) {
+                return this.views[i];
+            }
+        }
+        return null;
     };
 
     /**
@@ -110,62 +168,42 @@ define(function (require) {
      * @param  {number} height
      */
     Layer3D.prototype.resize = function (width, height) {
-        var renderer = this.renderer;
-        renderer.resize(width, height);
-        var viewport = this._viewport;
-        this.setViewport(
-            viewport.x * width, viewport.y * height,
-            viewport.width * width, viewport.height * height
-        );
+        this.renderer.resize(width, height);
+        // Viewport of views is represented with percent
+        for (var i = 0; i < this.views.length; i++) {
+            this.views[i].updateCameraAspect();
+        }
     };
 
     /**
-     * Set layer renderer viewport
-     * @param {number} x Viewport left bottom x
-     * @param {number} y Viewport left bottom y
-     * @param {number} width Viewport height
+     * Set viewport of the default view
+     * @param {number} x Viewport left top x
+     * @param {number} y Viewport left top y
+     * @param {number} width Viewport width
      * @param {number} height Viewport height
      */
     Layer3D.prototype.setViewport = function (x, y, width, height) {
-        var renderer = this.renderer;
-        var rendererWidth = renderer.getWidth();
-        var rendererHeight = renderer.getHeight();
-        // Set viewport
-        var viewport = this._viewport;
-        viewport.x = x / rendererWidth;
-        viewport.y = y / rendererHeight;
-        viewport.width = width / rendererWidth;
-        // Invert y, in WebGL [0, 0] is left bottom coorner
-        viewport.height = 1 - height / rendererHeight;
-
-        renderer.setViewport(x, y, width, height);
-
-        // Set camera aspect
-        var camera = this.camera;
-        if (camera instanceof PerspectiveCamera) {
-            camera.aspect = width / height;
-        }
+        this.views[0].setViewport(x, y, width, height);
     };
 
     /**
-     * Get viewport width in pixel
+     * Get viewport width of default view in pixel
      * @return {number}
      */
     Layer3D.prototype.getViewportWidth = function () {
-        return this._viewport.width * this.renderer.getWidth();
+        return this.views[0].getViewport().width;
     };
 
     /**
-     * Get viewport height in pixel
+     * Get viewport height of default view in pixel
      * @return {number}
      */
     Layer3D.prototype.getViewportHeight = function () {
-        return this._viewport.height * this.renderer.getHeight();
+        return this.views[0].getViewport().height;
     };
 
     /**
      * Clear color and depth
-     * @return {[type]} [description]
      */
     Layer3D.prototype.clear = function () {
         var gl = this.renderer.gl;
@@ -195,15 +233,18 @@ define(function (require) {
      */
     Layer3D.prototype.refresh = function () {
         this.clear();
-        this.renderer.render(this.scene, this.camera);
+        for (var i = 0; i < this.views.length; i++) {
+            this.views[i].render();
+        }
     };
 
     /**
-     * Render the give scene with layer renderer and camera
+     * Render the give scene with layer renderer and camera of default view
      * Without clear the buffer
      * @return {qtek.Scene}
      */
     Layer3D.prototype.renderScene = function (scene) {
+        this.views[0].applyViewport();
         this.renderer.render(scene, this.camera);
     };
 
@@ -211,44 +252,119 @@ define(function (require) {
      * Dispose the layer
      */
     Layer3D.prototype.dispose = function () {
-        this.renderer.disposeScene(this.scene);
+        this._mouseMoveEvent = null;
+        for (var i = 0; i < this.views.length; i++) {
+            this.views[i].dispose();
+        }
     };
 
     // Event handlers
+    // Events which start an interaction are only delivered to the view under the cursor.
+    // Events may happen out of the view when dragging are delivered to all views.
     Layer3D.prototype.onmousedown = function (e) {
-        e = e.event;
-        var obj = this.pickObject(e.offsetX, e.offsetY);
-        if (obj) {
-            this._dispatchEvent('mousedown', e, obj);
-        }
+        this._dispatchViewEvent('mousedown', e, false);
+        this._pickAndDispatch('mousedown', e.event);
     };
 
     Layer3D.prototype.onmousemove = function (e) {
-        e = e.event;
-        var obj = this.pickObject(e.offsetX, e.offsetY);
+        this._dispatchViewEvent('mousemove', e, true);
+
+        // Picking is throttled to the animation frame, only the last mousemove is picked
+        if (! this._mouseMoveEvent) {
+            requestAnimationFrame(this._pickMouseMove);
+        }
+        this._mouseMoveEvent = e;
+    };
+
+    /**
+     * Pick object under the mouse and trigger mouseover, mouseout and mousemove
+     * @param  {Object} e
+     * @private
+     */
+    Layer3D.prototype._hover = function (e) {
+        var obj = this.pickObject(eventTool.getX(e.event), eventTool.getY(e.event));
+        var lastHovered = this._hovered;
+        var target = obj && obj.target;
+        var targetChanged = ! lastHovered || lastHovered.target !== target
+            || lastHovered.dataIndex !== (obj && obj.dataIndex);
+        // Trigger mouseout and mouseover when mouse moves between meshes,
+        // or between data items of a marker renderable
+        if (lastHovered && targetChanged) {
+            this._dispatchEvent('mouseout', e.event, lastHovered);
+        }
+        this._hovered = obj;
         if (obj) {
-            this._dispatchEvent('mousemove', e, obj);
+            if (targetChanged) {
+                this._dispatchEvent('mouseover', e.event, obj);
+            }
+            this._dispatchEvent('mousemove', e.event, obj);
         }
     };
 
     Layer3D.prototype.onmouseup = function (e) {
-        e = e.event;
-        var obj = this.pickObject(e.offsetX, e.offsetY);
+        this._dispatchViewEvent('mouseup', e, true);
+        this._pickAndDispatch('mouseup', e.event);
+    };
+
+    Layer3D.prototype.onclick = function (e) {
+        this._dispatchViewEvent('click', e, false);
+        this._pickAndDispatch('click', e.event);
+    };
+
+    Layer3D.prototype.onmousewheel = function (e) {
+        this._dispatchViewEvent('mousewheel', e, false);
+    };
+
+    /**
+     * Pick object in the view under the given point
+     * @param  {number} x
+     * @param  {number} y
+     * @return {Object}
+     */
+    Layer3D.prototype.pickObject = function (x, y) {
+        var view = this.getViewAt(x, y);
+        if (! view) {
+            return null;
+        }
+        var obj = view.pickObject(x, y, this.pickingMode);
         if (obj) {
-            this._dispatchEvent('mouseup', e, obj);
+            obj.view = view;
         }
+        return obj;
     };
 
-    Layer3D.prototype.onclick = function (e) {
-        e = e.event;
-        var obj = this.pickObject(e.offsetX, e.offsetY);
+    /**
+     * Cast a ray through the given point from camera of the view under the point
+     * @param  {number} x
+     * @param  {number} y
+     * @param  {qtek.math.Ray} [out]
+     * @return {qtek.math.Ray}
+     */
+    Layer3D.prototype.castRay = function (x, y, out) {
+        var view = this.getViewAt(x, y);
+        return view ? view.castRay(x, y, out) : null;
+    };
+
+    Layer3D.prototype._pickAndDispatch = function (eveName, e) {
+        var obj = this.pickObject(eventTool.getX(e), eventTool.getY(e));
         if (obj) {
-            this._dispatchEvent('click', e, obj);
+            this._dispatchEvent(eveName, e, obj);
         }
     };
 
-    Layer3D.prototype.pickObject = function (x, y) {
-        return this._picking.pick(x, y);
+    Layer3D.prototype._dispatchViewEvent = function (eveName, e, toAllViews) {
+        var views = this.views;
+        if (toAllViews) {
+            for (var i = 0; i < views.length; i++) {
+                views[i].dispatch(eveName, e);
+            }
+        }
+        else {
+            var view = this.getViewAt(eventTool.getX(e.event), eventTool.getY(e.event));
+            if (view) {
+                view.dispatch(eveName, e);
+            }
+        }
     };
 
     Layer3D.prototype._dispatchEvent = function (eveName, e, obj) {
@@ -0,0 +1,451 @@
+/**
+ * View of a scene rendered with its own camera in a sub area of Layer3D
+ *
+ * @module echarts-x/core/View3D
+ * @author Yi Shen(http://github.com/pissang)
+ */
+
+define(function (require) {
+
+    var Scene = require('qtek/Scene');
+    var PerspectiveCamera = require('qtek/camera/Perspective');
+    var RayPicking = require('qtek/picking/RayPicking');
+    var ShadowMapPass = require('qtek/prePass/ShadowMap');
+    var Renderable = require('qtek/Renderable');
+    var Vector2 = require('qtek/math/Vector2');
+    var Vector3 = require('qtek/math/Vector3');
+    var vec4 = require('qtek/dep/glmatrix').vec4;
+
+    var Eventful = require('zrender/mixin/Eventful');
+    var zrUtil = require('zrender/tool/util');
+
+    var ColorPicking = require('./ColorPicking');
+
+    // Scene with more pickable vertices than this is picked on GPU in 'auto' picking mode
+    var LARGE_DATA_VERTEX_NUMBER = 1e5;
+
+    /**
+     * @constructor
+     * @alias module:echarts-x/core/View3D
+     * @param {module:echarts-x/core/Layer3D} layer Layer the view belongs to
+     */
+    var View3D = function (layer) {
+
+        Eventful.call(this);
+
+        /**
+         * @type {module:echarts-x/core/Layer3D}
+         */
+        this.layer = layer;
+
+        /**
+         * @type {qtek.camera.Perspective}
+         */
+        this.camera = new PerspectiveCamera();
+
+        /**
+         * @type {qtek.Scene}
+         */
+        this.scene = new Scene();
+
+        /**
+         * Viewport, represented with percent of layer size.
+         * Origin is the left top corner like the zrender coordinates
+         * @type {Object}
+         * @private
+         */
+        this._viewport = {
+            x: 0,
+            y: 0,
+            width: 1,
+            height: 1
+        };
+
+        /**
+         * Shadow map pass rendered before the scene, null if shadow is disabled
+         * @type {qtek.prePass.ShadowMap}
+         */
+        this.shadowMapPass = null;
+
+        this._picking = new RayPicking({
+            scene: this.scene,
+            camera: this.camera,
+            renderer: layer.renderer
+        });
+
+        /**
+         * Ray picking on the renderable picked by color,
+         * which gets the intersection point and face
+         * @type {qtek.picking.RayPicking}
+         * @private
+         */
+        this._renderablePicking = new RayPicking({
+            camera: this.camera,
+            renderer: layer.renderer
+        });
+
+        /**
+         * Created when picking on GPU the first time
+         * @type {module:echarts-x/core/ColorPicking}
+         * @private
+         */
+        this._colorPicking = null;
+
+        /**
+         * Pickable renderables and their vertex number, collected once after each render
+         * @type {Array.<qtek.Renderable>}
+         * @private
+         */
+        this._pickableRenderables = null;
+
+        /**
+         * @type {number}
+         * @private
+         */
+        this._pickableVertexNumber = 0;
+
+        this.updateCameraAspect();
+    };
+
+    /**
+     * Set viewport of view
+     * @param {number} x Viewport left top x
+     * @param {number} y Viewport left top y
+     * @param {number} width Viewport width
+     * @param {number} height Viewport height
+     */
+    View3D.prototype.setViewport = function (x, y, width, height) {
+        var renderer = this.layer.renderer;
+        var rendererWidth = renderer.getWidth();
+        var rendererHeight = renderer.getHeight();
+        var viewport = this._viewport;
+        viewport.x = x / rendererWidth;
+        viewport.y = y / rendererHeight;
+        viewport.width = width / rendererWidth;
+        viewport.height = height / rendererHeight;
+
+        this.updateCameraAspect();
+    };
+
+    /**
+     * Get viewport in pixel.
+     * @return {Object}
+     */
+    View3D.prototype.getViewport = function () {
+        var renderer = this.layer.renderer;
+        var rendererWidth = renderer.getWidth();
+        var rendererHeight = renderer.getHeight();
+        var viewport = this._viewport;
+        return {
+            x: viewport.x * rendererWidth,
+            y: viewport.y * rendererHeight,
+            width: viewport.width * rendererWidth,
+            height: viewport.height * rendererHeight
+        };
+    };
+
+    /**
+     * Get viewport width in pixel
+     * @return {number}
+     */
+    View3D.prototype.getViewportWidth = function () {
+        return this._viewport.width * this.layer.renderer.getWidth();
+    };
+
+    /**
+     * Get viewport height in pixel
+     * @return {number}
+     */
+    View3D.prototype.getViewportHeight = function () {
+        return this._viewport.height * this.layer.renderer.getHeight();
+    };
+
+    /**
+     * Set the viewport of renderer to the area of view.
+     * In WebGL [0, 0] is left bottom coorner, so y is inverted.
+     */
+    View3D.prototype.applyViewport = function () {
+        var renderer = this.layer.renderer;
+        var viewport = this.getViewport();
+        renderer.setViewport(
+            viewport.x,
+            renderer.getHeight() - viewport.y - viewport.height,
+            viewport.width,
+            viewport.height
+        );
+    };
+
+    /**
+     * Update camera aspect after viewport or layer size changed
+     */
+    View3D.prototype.updateCameraAspect = function () {
+        var camera = this.camera;
+        if (camera instanceof PerspectiveCamera) {
+            var viewport = this.getViewport();
+            if (viewport.width > 0 && viewport.height > 0) {
+                camera.aspect = viewport.width / viewport.height;
+            }
+        }
+    };
+
+    /**
+     * If the view contains the given point in layer
+     * @param  {number} x
+     * @param  {number} y
+     * @return {boolean}
+     */
+    View3D.prototype.containPoint = function (x, y) {
+        var viewport = this.getViewport();
+        return x >= viewport.x && x <= viewport.x + viewport.width
+            && y >= viewport.y && y <= viewport.y + viewport.height;
+    };
+
+    /**
+     * Pick object in the scene of view
+     * @param  {number} x
+     * @param  {number} y
+     * @param  {string} [mode='ray'] Picking mode, 'ray' | 'color' | 'auto'.
+     *         'ray' casts ray on CPU. 'color' reads back the renderable and primitive
+     *         rendered on GPU, 'auto' uses 'color' if the scene has large data.
+     *         Ray is used if framebuffer is not supported.
+     * @return {Object}
+     */
+    View3D.prototype.pickObject = function (x, y, mode) {
+        if (mode === 'color' || mode === 'auto') {
+            var renderables = this._getPickableRenderables();
+            if (mode === 'color' || this._pickableVertexNumber > LARGE_DATA_VERTEX_NUMBER) {
+                var obj = this._pickByColor(x, y, renderables);
+                if (obj !== undefined) {
+                    return obj;
+                }
+            }
+        }
+        return this._pickByRay(x, y);
+    };
+
+    /**
+     * @param  {number} x
+     * @param  {number} y
+     * @return {Object}
+     * @private
+     */
+    View3D.prototype._pickByRay = function (x, y) {
+        // Picking computes the NDC from the renderer viewport
+        this.applyViewport();
+        var obj = this._picking.pick(x, y);
+
+        // Renderables can't be picked by triangles, like lines and points,
+        // or having too many triangles, like markers, provide their own pick method
+        var self = this;
+        this.scene.traverse(function (node) {
+            if (node.pick && node.isRenderable()) {
+                var intersection = node.pick(x, y, self);
+                if (intersection && (! obj || intersection.distance < obj.distance)) {
+                    obj = intersection;
+                }
+            }
+        });
+        return obj;
+    };
+
+    /**
+     * @param  {number} x
+     * @param  {number} y
+     * @param  {Array.<qtek.Renderable>} renderables
+     * @return {Object} Undefined if color picking is not available
+     * @private
+     */
+    View3D.prototype._pickByColor = function (x, y, renderables) {
+        var colorPicking = this._colorPicking;
+        if (! colorPicking) {
+            colorPicking = this._colorPicking = new ColorPicking(this.layer.renderer);
+        }
+        if (! colorPicking.isSupported()) {
+            return;
+        }
+        if (colorPicking.isDirty()) {
+            this.scene.update();
+            if (! this.camera.getScene()) {
+                this.camera.update(true);
+            }
+            if (! colorPicking.update(renderables, this)) {
+                return;
+            }
+        }
+
+        var picked = colorPicking.pick(x, y);
+        if (! picked) {
+            return null;
+        }
+        var target = picked.target;
+        // Only the picked primitive is tested
+        if (target.pick) {
+            return target.pick(x, y, this, picked.index);
+        }
+        // Get intersection point and face of the picked renderable
+        var picking = this._renderablePicking;
+        this.applyViewport();
+        picking.scene = target;
+        var obj = picking.pick(x, y);
+        picking.scene = null;
+        return obj;
+    };
+
+    /**
+     * Get renderables can be picked, by triangles or their own pick method.
+     * Scene is only traversed in the first picking after render
+     * @return {Array.<qtek.Renderable>}
+     * @private
+     */
+    View3D.prototype._getPickableRenderables = function () {
+        var renderables = this._pickableRenderables;
+        if (! renderables) {
+            renderables = this._pickableRenderables = [];
+            var vertexNumber = 0;
+            this.scene.traverse(function (node) {
+                if ((node instanceof Renderable) && node.isRenderable()
+                    && (node.pick || (! node.ignorePicking && node.geometry.isUseFace()))
+                ) {
+                    renderables.push(node);
+                    vertexNumber += node.geometry.getVertexNumber();
+                }
+            });
+            this._pickableVertexNumber = vertexNumber;
+        }
+        return renderables;
+    };
+
+    /**
+     * Project a point in world space to the layer
+     * @param  {qtek.math.Vector3} point
+     * @param  {qtek.math.Vector2} [out]
+     * @return {qtek.math.Vector2} Null if point is behind the camera
+     */
+    View3D.prototype.project = (function () {
+        var pos = vec4.create();
+        return function (point, out) {
+            var camera = this.camera;
+            var arr = point._array;
+            vec4.set(pos, arr[0], arr[1], arr[2], 1);
+            vec4.transformMat4(pos, pos, camera.viewMatrix._array);
+            vec4.transformMat4(pos, pos, camera.projectionMatrix._array);
+            if (pos[3] <= 0) {
+                return null;
+            }
+            var viewport = this.getViewport();
+            out = out || new Vector2();
+            out.x = viewport.x + (pos[0] / pos[3] + 1) / 2 * viewport.width;
+            out.y = viewport.y + (1 - pos[1] / pos[3]) / 2 * viewport.height;
+            return out;
+        };
+    })();
+
+    /**
+     * Cast a ray from camera through the given point in layer
+     * @param  {number} x
+     * @param  {number} y
+     * @param  {qtek.math.Ray} [out]
+     * @return {qtek.math.Ray}
+     */
+    View3D.prototype.castRay = function (x, y, out) {
+        var ndc = new Vector2();
+        this.applyViewport();
+        this.layer.renderer.screenToNdc(x, y, ndc);
+        return this.camera.castRay(ndc, out);
+    };
+
+    /**
+     * Enable shadow of the lights which cast shadow in the scene
+     * @return {qtek.prePass.ShadowMap}
+     */
+    View3D.prototype.enableShadow = function () {
+        if (! this.shadowMapPass) {
+            this.shadowMapPass = new ShadowMapPass();
+        }
+        return this.shadowMapPass;
+    };
+
+    /**
+     * Disable shadow and reset the shadow receivers
+     */
+    View3D.prototype.disableShadow = function () {
+        if (! this.shadowMapPass) {
+            return;
+        }
+        this.shadowMapPass.dispose(this.layer.renderer);
+        this.shadowMapPass = null;
+        this.scene.traverse(function (node) {
+            if (node.material) {
+                node.material.set('shadowEnabled', 0);
+                node.material.shader.unDefine('fragment', 'DIRECTIONAL_LIGHT_SHADOWMAP_NUMBER');
+            }
+        });
+    };
+
+    /**
+     * Render shadow maps of the lights casting shadow.
+     * Light camera of qtek shadow map is oriented by the local rotation of light,
+     * so the lights mounted under a rotated node use their world rotation in the pass.
+     * @private
+     */
+    View3D.prototype._renderShadowMap = (function () {
+        var position = new Vector3();
+        return function () {
+            var scene = this.scene;
+            scene.update();
+
+            var lights = scene.lights;
+            var localRotations = [];
+            for (var i = 0; i < lights.length; i++) {
+                var light = lights[i];
+                localRotations.push(light.rotation.clone());
+                if (light.castShadow && light.getParent() !== scene) {
+                    light.worldTransform.decomposeMatrix(null, light.rotation, position);
+                }
+            }
+
+            this.shadowMapPass.render(this.layer.renderer, scene, this.camera);
+
+            for (var i = 0; i < lights.length; i++) {
+                lights[i].rotation.copy(localRotations[i]);
+            }
+        };
+    })();
+
+    /**
+     * Render the scene of view without clearing the buffer
+     */
+    View3D.prototype.render = function () {
+        var renderer = this.layer.renderer;
+        if (this.shadowMapPass) {
+            this._renderShadowMap();
+        }
+        // Picking buffer is rendered again when picking after the scene changed
+        if (this._colorPicking) {
+            this._colorPicking.dirty();
+        }
+        this._pickableRenderables = null;
+        this.applyViewport();
+        renderer.saveClear();
+        renderer.clear = 0;
+        renderer.render(this.scene, this.camera);
+        renderer.restoreClear();
+    };
+
+    /**
+     * Dispose the scene of view
+     */
+    View3D.prototype.dispose = function () {
+        if (this.shadowMapPass) {
+            this.shadowMapPass.dispose(this.layer.renderer);
+        }
+        if (this._colorPicking) {
+            this._colorPicking.dispose();
+        }
+        this.layer.renderer.disposeScene(this.scene);
+    };
+
+    zrUtil.inherits(View3D, Eventful);
+
+    return View3D;
+});
@@ -80,7 +80,9 @@ define(function (require) {
     Shader['import'](require('text!./util/shader/curveAnimatingPoints.essl'));
     Shader['import'](require('text!./util/shader/vectorFieldParticle.essl'));
     Shader['import'](require('text!./util/shader/lambert.essl'));
+    Shader['import'](require('text!./util/shader/atmosphere.essl'));
     Shader['import'](require('text!./util/shader/motionBlur.essl'));
+    Shader['import'](require('text!./util/shader/picking.essl'));
 
     return ecx;
 });
\ No newline at end of file
@@ -7,6 +7,14 @@
 
 define(function (require) {
 
+    var zrConfig = require('zrender/config');
+    var zrColor = require('zrender/tool/color');
+
+    var eventList = ['CLICK', 'DBLCLICK', 'MOUSEOVER', 'MOUSEOUT', 'MOUSEMOVE'];
+
+    // Emphasis color is lifted from the normal color if it is not given
+    var EMPHASIS_LIFT = 0.3;
+
     /**
      * @constructor
      * @alias module:echarts-x/entity/marker/Base
@@ -40,6 +48,60 @@ define(function (require) {
      */
     MarkerBase.prototype.getSceneNode = function () {};
 
+    /**
+     * Pick the renderable with the given method instead of the triangles,
+     * and deliver its mouse events to chart with the data index picked.
+     * @param {qtek.Renderable} renderable
+     * @param {string} markType 'markPoint', 'markLine' or 'markBar'
+     * @param {Function} pick Method of marker called with renderable, x, y, view
+     *        and the primitive index if it is picked by color already,
+     *        returns an intersection with dataIndex or null.
+     */
+    MarkerBase.prototype.initPicking = function (renderable, markType, pick) {
+        var self = this;
+        renderable.ignorePicking = true;
+        renderable.pick = function (x, y, view, index) {
+            return pick.call(self, renderable, x, y, view, index);
+        };
+        var mouseEventHandler = function (e) {
+            self.chart.dispatchMarkerEvent(self, markType, e);
+        };
+        eventList.forEach(function (eveName) {
+            renderable.on(zrConfig.EVENT[eveName], mouseEventHandler);
+        });
+    };
+
+    /**
+     * Highlight a data item with the emphasis style,
+     * called when mouse is over it, legend is hovered or by the highlight method of chart.
+     * Only the vertices of data item are updated.
+     * @param {number} [dataIndex] All the data items are highlighted if not given
+     */
+    MarkerBase.prototype.highlight = function (dataIndex) {};
+
+    /**
+     * Downplay a highlighted data item to the normal style
+     * @param {number} [dataIndex] All the data items are downplayed if not given
+     */
+    MarkerBase.prototype.downplay = function (dataIndex) {};
+
+    /**
+     * Get emphasis color of data item
+     * @param  {Object} dataItem
+     * @param  {Object} markOption markPoint, markLine or markBar option of series
+     * @param  {string} color Normal color of data item
+     * @return {string}
+     */
+    MarkerBase.prototype.getEmphasisColor = function (dataItem, markOption, color) {
+        var emphasisColor = this.chart.deepQuery(
+            [dataItem, markOption], 'itemStyle.emphasis.color'
+        );
+        if (typeof(emphasisColor) == 'function') {
+            emphasisColor = emphasisColor(dataItem);
+        }
+        return emphasisColor || zrColor.lift(color, -EMPHASIS_LIFT);
+    };
+
     /**
      * Disipose all the markers in a single series
      */
@@ -18,6 +18,9 @@ define(function (require) {
     var Texture2D = require('qtek/Texture2D');
     var spriteUtil = require('../../util/sprite');
     var Vector3 = require('qtek/math/Vector3');
+    var Vector2 = require('qtek/math/Vector2');
+    var Ray = require('qtek/math/Ray');
+    var RayPicking = require('qtek/picking/RayPicking');
     var IconShape = require('echarts/util/shape/Icon');
 
     /**
@@ -59,6 +62,30 @@ define(function (require) {
          * @private
          */
         this._elapsedTime = 0;
+
+        /**
+         * Data index of each point, data filtered by dataRange has no point
+         * @type {Array.<number>}
+         * @private
+         */
+        this._dataIndices = [];
+
+        /**
+         * Renderable of points in current series, with or without animation
+         * @type {qtek.Renderable}
+         * @private
+         */
+        this._pointsRenderable = null;
+
+        /**
+         * Color and size of each point in normal and emphasis state
+         * @type {Object}
+         * @private
+         */
+        this._styles = {
+            normal: { colors: [], sizes: [] },
+            emphasis: { colors: [], sizes: [] }
+        };
     };
 
     LargeMarkPoint.prototype = {
@@ -79,8 +106,10 @@ define(function (require) {
             this._markPointRenderable = new Renderable({
                 geometry: new PointsGeometry(),
                 material: mat,
-                mode: Renderable.POINTS
+                mode: Renderable.POINTS,
+                castShadow: false
             });
+            this.initPicking(this._markPointRenderable, 'markPoint', this._pick);
 
             if (this._spriteTexture) {
                 mat.set('sprite', this._spriteTexture);
@@ -104,8 +133,10 @@ define(function (require) {
             this._animatingMarkPointRenderable = new Renderable({
                 geometry: new AnimatingPointsGeometry(),
                 material: mat,
-                mode: Renderable.POINTS
+                mode: Renderable.POINTS,
+                castShadow: false
             });
+            this.initPicking(this._animatingMarkPointRenderable, 'markPoint', this._pick);
 
             if (this._spriteTexture) {
                 mat.set('sprite', this._spriteTexture);
@@ -114,6 +145,55 @@ define(function (require) {
             this._sceneNode.add(this._animatingMarkPointRenderable);
         },
 
+        // Points are picked in screen space
+        _pick: (function () {
+            var ray = new Ray();
+            var position = new Vector3();
+            var screenPos = new Vector2();
+            return function (renderable, x, y, view, pointIndex) {
+                var attributes = renderable.geometry.attributes;
+                var positions = attributes.position.value;
+                var sizes = attributes.size.value;
+                var worldTransform = renderable.worldTransform;
+                var dpr = window.devicePixelRatio || 1;
+
+                var minDist = Infinity;
+                var idx = -1;
+                var point = null;
+                var pointWorld = null;
+                var start = pointIndex >= 0 ? pointIndex : 0;
+                var end = pointIndex >= 0 ? Math.min(pointIndex + 1, positions.length) : positions.length;
+                // Point picked by color is not tested with its size
+                var tolerance = pointIndex >= 0 ? Infinity : 0;
+                for (var i = start; i < end; i++) {
+                    Vector3.transformMat4(position, position.setArray(positions[i]), worldTransform);
+                    if (! view.project(position, screenPos)) {
+                        continue;
+                    }
+                    var dist = Math.sqrt(
+                        Math.pow(screenPos.x - x, 2) + Math.pow(screenPos.y - y, 2)
+                    );
+                    // Size of point is in device pixels
+                    if (dist <= sizes[i] / dpr / 2 + 1 + tolerance && dist < minDist) {
+                        minDist = dist;
+                        idx = i;
+                        pointWorld = position.clone();
+                        point = new Vector3().setArray(positions[i]);
+                    }
+                }
+                if (idx < 0) {
+                    return null;
+                }
+                view.castRay(x, y, ray);
+                var intersection = new RayPicking.Intersection(
+                    point, pointWorld, renderable, null,
+                    Vector3.dist(pointWorld, ray.origin)
+                );
+                intersection.dataIndex = this._dataIndices[idx];
+                return intersection;
+            };
+        })(),
+
         _updateSpriteTexture: function (size, shape) {
             if (! this._spriteTexture) {
                 this._spriteTexture = new Texture2D({
@@ -137,6 +217,12 @@ define(function (require) {
             }
 
             this._elapsedTime = 0;
+            this._dataIndices = [];
+            this._pointsRenderable = null;
+            this._styles = {
+                normal: { colors: [], sizes: [] },
+                emphasis: { colors: [], sizes: [] }
+            };
         },
 
         // Implement setSeries
@@ -177,12 +263,16 @@ define(function (require) {
                     this._createAnimatingMarkPointRenderable();
                 }
                 this._animatingMarkPointRenderable.geometry.dirty();
+                this._pointsRenderable = this._animatingMarkPointRenderable;
             } else {
                 if (! this._markPointRenderable) {
                     this._createMarkPointRenderable();
                 }
                 this._markPointRenderable.geometry.dirty();
+                this._pointsRenderable = this._markPointRenderable;
             }
+            var normalStyles = this._styles.normal;
+            var emphasisStyles = this._styles.emphasis;
 
             var dataList = markPoint.data;
 
@@ -226,8 +316,19 @@ define(function (require) {
                 }
                 size *= window.devicePixelRatio || 1;
 
+                var emphasisColorArr = chart.parseColor(
+                    this.getEmphasisColor(dataItem, markPoint, color)
+                ) || colorArr;
+                var sizeScale = chart.deepQuery(
+                    [dataItem, markPoint], 'itemStyle.emphasis.sizeScale'
+                );
+                normalStyles.colors.push(colorArr);
+                normalStyles.sizes.push(size);
+                emphasisStyles.colors.push(emphasisColorArr);
+                emphasisStyles.sizes.push(size * sizeScale);
+
                 var coord = new Vector3();
-                chart.getMarkCoord(seriesIndex, dataItem, coord);
+                chart.getMarkCoord(seriesIndex, dataItem, coord, 'markPoint');
                 if (showMarkPointEffect) {
                     this._animatingMarkPointRenderable.geometry.addPoint(
                         coord, colorArr, size, Math.random() * 2
@@ -235,6 +336,7 @@ define(function (require) {
                 } else {
                     this._markPointRenderable.geometry.addPoint(coord, colorArr, size);
                 }
+                this._dataIndices.push(i);
             }
         },
 
@@ -243,6 +345,43 @@ define(function (require) {
             return this._sceneNode;
         },
 
+        // Implement highlight
+        highlight: function (dataIndex) {
+            this._updateStyle(dataIndex, this._styles.emphasis);
+        },
+
+        // Implement downplay
+        downplay: function (dataIndex) {
+            this._updateStyle(dataIndex, this._styles.normal);
+        },
+
+        /**
+         * Update color and size of the points of data item
+         * @param  {number} [dataIndex]
+         * @param  {Object} styles
+         * @private
+         */
+        _updateStyle: function (dataIndex, styles) {
+            if (! this._pointsRenderable) {
+                return;
+            }
+            var geometry = this._pointsRenderable.geometry;
+            var colors = geometry.attributes.color.value;
+            var sizes = geometry.attributes.size.value;
+            var dataIndices = this._dataIndices;
+            var changed = false;
+            for (var i = 0; i < dataIndices.length; i++) {
+                if (dataIndex == null || dataIndices[i] === dataIndex) {
+                    colors[i] = styles.colors[i];
+                    sizes[i] = styles.sizes[i];
+                    changed = true;
+                }
+            }
+            if (changed) {
+                geometry.dirty();
+            }
+        },
+
         // Implement onframe
         onframe: function (deltaTime) {
             if (this._animatingMarkPointRenderable) {
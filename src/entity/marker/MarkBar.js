@@ -1,5 +1,5 @@
 /**
- * Bar rendering with basic color shading
+ * Bar rendering with basic color shading, or lambert shading if chart has light enabled
  *
  * @module echarts-x/entity/marker/MarkBar
  * @author Yi Shen(https://github.com/pissang)
@@ -13,6 +13,15 @@ define(function (require) {
     var Shader = require('qtek/Shader');
     var BarsGeometry = require('../../util/geometry/Bars');
     var Vector3 = require('qtek/math/Vector3');
+    var Matrix4 = require('qtek/math/Matrix4');
+    var Ray = require('qtek/math/Ray');
+    var RayPicking = require('qtek/picking/RayPicking');
+
+    // Brightness of the bar base in gradient if no base color is given
+    var GRADIENT_BASE_BRIGHTNESS = 0.3;
+
+    // Bar of zero height is built and grows from this height
+    var MIN_ANIMATING_HEIGHT = 1e-3;
 
     /**
      * @constructor
@@ -27,6 +36,50 @@ define(function (require) {
          * @type {qtek.Renderable}
          */
         this._markBarRenderable = null;
+
+        /**
+         * @type {qtek.Shader}
+         */
+        this._albedoShader = null;
+
+        /**
+         * @type {qtek.Shader}
+         */
+        this._lambertShader = null;
+
+        /**
+         * Data index of each bar in geometry, data filtered by dataRange has no bar
+         * @type {Array.<number>}
+         */
+        this._dataIndices = [];
+
+        /**
+         * Position, height, size and colors of each bar,
+         * used in updating the emphasis state and animating the height
+         * @type {Array.<Object>}
+         */
+        this._bars = [];
+
+        /**
+         * Height of bars before cleared, key is the data index.
+         * Bars animate from these heights after the series is set again.
+         * @type {Object}
+         * @private
+         */
+        this._lastHeights = null;
+
+        /**
+         * Series index of the bars before cleared, cached marker may be used by another series
+         * @type {number}
+         * @private
+         */
+        this._lastSeriesIndex = -1;
+
+        /**
+         * @type {module:zrender/animation/Animation~Animator}
+         * @private
+         */
+        this._heightAnimator = null;
     };
 
     MarkBar.prototype = {
@@ -34,20 +87,59 @@ define(function (require) {
         constructor: MarkBar,
 
         _createMarkBarRenderable: function () {
+            this._albedoShader = new Shader({
+                vertex: Shader.source('ecx.albedo.vertex'),
+                fragment: Shader.source('ecx.albedo.fragment')
+            });
+            this._albedoShader.define('both', 'VERTEX_COLOR');
+            this._lambertShader = new Shader({
+                vertex: Shader.source('ecx.lambert.vertex'),
+                fragment: Shader.source('ecx.lambert.fragment')
+            });
+            this._lambertShader.define('both', 'VERTEX_COLOR');
+
             var material = new Material({
-                shader: new Shader({
-                    vertex: Shader.source('ecx.albedo.vertex'),
-                    fragment: Shader.source('ecx.albedo.fragment')
-                })
+                shader: this._albedoShader
             });
-            material.shader.define('both', 'VERTEX_COLOR');
             this._markBarRenderable = new Renderable({
                 geometry: new BarsGeometry(),
                 material: material,
-                ignorePicking: true
+                // Bars are the only shadow casters in the scene
+                castShadow: true
             });
+            this.initPicking(this._markBarRenderable, 'markBar', this._pick);
         },
 
+        _pick: (function () {
+            var worldRay = new Ray();
+            var ray = new Ray();
+            var worldInverse = new Matrix4();
+            return function (renderable, x, y, view, barIndex) {
+                var geometry = renderable.geometry;
+                if (! geometry.getBarNumber()) {
+                    return null;
+                }
+                view.castRay(x, y, worldRay);
+                ray.copy(worldRay);
+                Matrix4.invert(worldInverse, renderable.worldTransform);
+                ray.applyTransform(worldInverse);
+
+                var point = new Vector3();
+                var idx = geometry.pickBar(ray, point, barIndex);
+                if (idx < 0) {
+                    return null;
+                }
+                var pointWorld = new Vector3();
+                Vector3.transformMat4(pointWorld, point, renderable.worldTransform);
+                var intersection = new RayPicking.Intersection(
+                    point, pointWorld, renderable, null,
+                    Vector3.dist(pointWorld, worldRay.origin)
+                );
+                intersection.dataIndex = this._dataIndices[idx];
+                return intersection;
+            };
+        })(),
+
         setSeries: function (serie, seriesIndex) {
             if (! serie.markBar || ! serie.markBar.data) {
                 return;
@@ -58,6 +150,7 @@ define(function (require) {
             var legend = component.legend;
             var dataRange = component.dataRange;
 
+            this.seriesIndex = seriesIndex;
             if (! this._markBarRenderable) {
                 this._createMarkBarRenderable();
             }
@@ -65,6 +158,13 @@ define(function (require) {
             var dataList = serie.markBar.data;
             var geometry = this._markBarRenderable.geometry;
 
+            var material = this._markBarRenderable.material;
+            var shader = chart.isLightEnabled(seriesIndex)
+                ? this._lambertShader : this._albedoShader;
+            if (material.shader !== shader) {
+                material.attachShader(shader, true);
+            }
+
             var serieColor;
             if (legend) {
                 serieColor = legend.getColor(serie.name);
@@ -77,6 +177,19 @@ define(function (require) {
             var normal = new Vector3();
 
             var globalBarSize = serie.markBar.barSize;
+            var globalBarShape = serie.markBar.barShape;
+            var gradient = serie.markBar.gradient;
+            var serieBaseColor = chart.query(serie.markBar, 'itemStyle.normal.baseColor');
+
+            var animationTarget = [serie.markBar, serie, chart.option];
+            var animation = chart.deepQuery(animationTarget, 'animation');
+            // Bars grow from zero if series is set at the first time
+            var lastHeights = (animation && this._lastSeriesIndex === seriesIndex
+                && this._lastHeights) || {};
+            var isUpdate = !! this._lastHeights && this._lastSeriesIndex === seriesIndex;
+            var needsAnimation = false;
+            var barEnd = new Vector3();
+
             for (var i = 0; i < dataList.length; i++) {
                 var dataItem = dataList[i];
                 var value = chart.getDataFromOption(dataItem, null);
@@ -106,23 +219,209 @@ define(function (require) {
                     barSize = barSize(dataItem);
                 }
 
+                var barShape = dataItem.barShape != null ? dataItem.barShape : globalBarShape;
+                if (typeof(barShape) == 'function') {
+                    barShape = barShape(dataItem);
+                }
+
+                var baseColorArr = null;
+                if (gradient) {
+                    // Bar is colored as the value grows from 0 on the base to the value on the top
+                    var baseColor = chart.query(dataItem, 'itemStyle.normal.baseColor')
+                        || serieBaseColor
+                        || (dataRange && ! isNaN(value) && dataRange.getColor(0));
+                    if (typeof(baseColor) == 'function') {
+                        baseColor = baseColor(dataItem);
+                    }
+                    baseColorArr = chart.parseColor(baseColor);
+                    if (! baseColorArr) {
+                        baseColorArr = new Float32Array(colorArr);
+                        for (var k = 0; k < 3; k++) {
+                            baseColorArr[k] *= GRADIENT_BASE_BRIGHTNESS;
+                        }
+                    }
+                }
+
                 chart.getMarkBarPoints(seriesIndex, dataItem, start, end);
-                this._markBarRenderable.geometry.addBar(start, end, barSize, colorArr);
+                var height = Vector3.dist(start, end);
+                if (height <= 0) {
+                    // Bar of zero height, like the minimum one of heightRange [0, n],
+                    // is still built at the minimum height along the direction of a unit bar
+                    chart.getMarkBarPoints(
+                        seriesIndex, zrUtil.merge({ barHeight: 1 }, dataItem), start, end
+                    );
+                    height = 0;
+                }
+                Vector3.sub(normal, end, start);
+                Vector3.normalize(normal, normal);
+
+                var fromHeight = animation
+                    ? (lastHeights[i] != null ? lastHeights[i] : 0) : height;
+                if (fromHeight !== height) {
+                    needsAnimation = true;
+                }
+                Vector3.scaleAndAdd(
+                    barEnd, start, normal, Math.max(fromHeight, MIN_ANIMATING_HEIGHT)
+                );
+                if (geometry.addBar(start, barEnd, barSize, colorArr, barShape, baseColorArr)) {
+                    this._dataIndices.push(i);
+
+                    this._bars.push({
+                        start: start.clone(),
+                        normal: normal.clone(),
+                        height: fromHeight,
+                        fromHeight: fromHeight,
+                        targetHeight: height,
+                        // Emphasis bar grows from the same start
+                        heightScale: chart.deepQuery(
+                            [dataItem, serie.markBar], 'itemStyle.emphasis.heightScale'
+                        ),
+                        size: barSize,
+                        color: colorArr,
+                        baseColor: baseColorArr,
+                        emphasisColor: chart.parseColor(
+                            this.getEmphasisColor(dataItem, serie.markBar, color)
+                        ) || colorArr,
+                        emphasis: false
+                    });
+                }
             }
 
-            this._markBarRenderable.geometry.dirty();
+            this._lastHeights = null;
+            this._lastSeriesIndex = seriesIndex;
+
+            if (needsAnimation) {
+                this._animateHeight(
+                    chart.deepQuery(
+                        animationTarget, isUpdate ? 'animationDurationUpdate' : 'animationDuration'
+                    ),
+                    chart.deepQuery(animationTarget, 'animationEasing')
+                );
+            }
+
+            geometry.dirty();
+        },
+
+        /**
+         * Animate height of bars from the height before to the target height
+         * @param  {number} duration
+         * @param  {string} easing
+         * @private
+         */
+        _animateHeight: function (duration, easing) {
+            var self = this;
+            var bars = this._bars;
+            var geometry = this._markBarRenderable.geometry;
+            var zr = this.chart.zr;
+            this._stopAnimation();
+            this._heightAnimator = zr.animation.animate({ progress: 0 })
+                .when(duration || 0, {
+                    progress: 1
+                })
+                .during(function (obj) {
+                    for (var i = 0; i < bars.length; i++) {
+                        var bar = bars[i];
+                        bar.height = bar.fromHeight + (bar.targetHeight - bar.fromHeight) * obj.progress;
+                        self._updateBar(i);
+                    }
+                    geometry.dirty();
+                    zr.refreshNextFrame();
+                })
+                .done(function () {
+                    self._heightAnimator = null;
+                })
+                .start(easing || 'Linear');
+        },
+
+        /**
+         * Stop height animation, bars stay at the height animated to
+         * @private
+         */
+        _stopAnimation: function () {
+            if (this._heightAnimator) {
+                this._heightAnimator.stop();
+                this._heightAnimator = null;
+            }
         },
 
+        /**
+         * Update vertices of bar with its current height and emphasis state
+         * @param  {number} idx Index of bar in geometry
+         * @return {boolean}
+         * @private
+         */
+        _updateBar: (function () {
+            var end = new Vector3();
+            return function (idx) {
+                var bar = this._bars[idx];
+                var height = bar.height * (bar.emphasis ? bar.heightScale : 1);
+                Vector3.scaleAndAdd(
+                    end, bar.start, bar.normal, Math.max(height, MIN_ANIMATING_HEIGHT)
+                );
+                return this._markBarRenderable.geometry.updateBar(
+                    idx, bar.start, end, bar.size,
+                    bar.emphasis ? bar.emphasisColor : bar.color, bar.baseColor
+                );
+            };
+        })(),
+
         // Implement getSceneNode
         getSceneNode: function () {
             return this._markBarRenderable;
         },
 
+        // Implement highlight
+        highlight: function (dataIndex) {
+            this._updateBars(dataIndex, true);
+        },
+
+        // Implement downplay
+        downplay: function (dataIndex) {
+            this._updateBars(dataIndex, false);
+        },
+
+        /**
+         * Update height and color of the bars of data item
+         * @param  {number} [dataIndex]
+         * @param  {boolean} emphasis
+         * @private
+         */
+        _updateBars: function (dataIndex, emphasis) {
+            if (! this._markBarRenderable) {
+                return;
+            }
+            var dataIndices = this._dataIndices;
+            var changed = false;
+            for (var i = 0; i < dataIndices.length; i++) {
+                if (dataIndex == null || dataIndices[i] === dataIndex) {
+                    this._bars[i].emphasis = emphasis;
+                    changed = this._updateBar(i) || changed;
+                }
+            }
+            if (changed) {
+                this._markBarRenderable.geometry.dirty();
+            }
+        },
+
         // Implement clear
         clear: function () {
+            this._stopAnimation();
             if (this._markBarRenderable) {
                 this._markBarRenderable.geometry.clearBars();
             }
+            // Keep the current heights, bars animate from them if data changes
+            var lastHeights = this._lastHeights = {};
+            for (var i = 0; i < this._bars.length; i++) {
+                lastHeights[this._dataIndices[i]] = this._bars[i].height;
+            }
+            this._dataIndices = [];
+            this._bars = [];
+        },
+
+        // Overwrite dispose
+        dispose: function () {
+            this._stopAnimation();
+            MarkBase.prototype.dispose.call(this);
         }
     };
 
@@ -16,6 +16,13 @@ define(function (require) {
     var CurveAnimatingPointsGeometry = require('../../util/geometry/CurveAnimatingPoints');
     var Texture2D = require('qtek/Texture2D');
     var Vector3 = require('qtek/math/Vector3');
+    var Vector2 = require('qtek/math/Vector2');
+    var vec3 = require('qtek/dep/glmatrix').vec3;
+    var Ray = require('qtek/math/Ray');
+    var RayPicking = require('qtek/picking/RayPicking');
+
+    // Distance in pixels to the line which can be picked, besides the half line width
+    var PICK_TOLERANCE = 3;
 
     /**
      * @constructor
@@ -36,6 +43,12 @@ define(function (require) {
          */
         this._markLineRenderable = null;
 
+        /**
+         * Highlighted lines drawn over the lines in normal state
+         * @type {qtek.Renderable}
+         */
+        this._emphasisLineRenderable = null;
+
         /**
          * @type {qtek.Renderable}
          */
@@ -45,6 +58,24 @@ define(function (require) {
          * @type {number}
          */
         this._elapsedTime = 0;
+
+        /**
+         * Start vertex of each curve in lines geometry
+         * @type {Array.<number>}
+         */
+        this._curveOffsets = [];
+
+        /**
+         * Data index of each curve
+         * @type {Array.<number>}
+         */
+        this._dataIndices = [];
+
+        /**
+         * Control points and emphasis color of each curve
+         * @type {Array.<Object>}
+         */
+        this._curves = [];
     };
 
     MarkLine.prototype = {
@@ -64,11 +95,95 @@ define(function (require) {
             this._markLineRenderable = new Renderable({
                 geometry: new LinesGeometry(),
                 material: material,
-                mode: Renderable.LINES
+                mode: Renderable.LINES,
+                castShadow: false
             });
             this._sceneNode.add(this._markLineRenderable);
+            this.initPicking(this._markLineRenderable, 'markLine', this._pick);
+
+            this._emphasisLineRenderable = new Renderable({
+                geometry: new LinesGeometry(),
+                material: new Material({
+                    shader: material.shader,
+                    transparent: true,
+                    depthMask: false
+                }),
+                mode: Renderable.LINES,
+                ignorePicking: true,
+                castShadow: false
+            });
+            this._sceneNode.add(this._emphasisLineRenderable);
         },
 
+        // Lines are picked in screen space
+        _pick: (function () {
+            var ray = new Ray();
+            var p0 = new Vector3();
+            var p1 = new Vector3();
+            var s0 = new Vector2();
+            var s1 = new Vector2();
+            return function (renderable, x, y, view, curveIndex) {
+                var positions = renderable.geometry.attributes.position.value;
+                var offsets = this._curveOffsets;
+                if (! positions.length) {
+                    return null;
+                }
+                var worldTransform = renderable.worldTransform;
+                var minDist = Math.max(renderable.lineWidth / (window.devicePixelRatio || 1), 1) / 2
+                    + PICK_TOLERANCE;
+                var curveIdx = 0;
+                var start = 0;
+                var end = positions.length;
+                // Curve picked by color only needs to find the nearest point on it
+                if (curveIndex >= 0 && curveIndex < offsets.length) {
+                    curveIdx = curveIndex;
+                    start = offsets[curveIndex];
+                    end = curveIndex < offsets.length - 1 ? offsets[curveIndex + 1] : positions.length;
+                    minDist = Infinity;
+                }
+                var pickedCurve = -1;
+                var point = null;
+                var pointWorld = null;
+                // Each two vertices is a line segment
+                for (var i = start; i < end; i += 2) {
+                    while (curveIdx < offsets.length - 1 && offsets[curveIdx + 1] <= i) {
+                        curveIdx++;
+                    }
+                    Vector3.transformMat4(p0, p0.setArray(positions[i]), worldTransform);
+                    Vector3.transformMat4(p1, p1.setArray(positions[i + 1]), worldTransform);
+                    if (! view.project(p0, s0) || ! view.project(p1, s1)) {
+                        continue;
+                    }
+                    var dx = s1.x - s0.x;
+                    var dy = s1.y - s0.y;
+                    var len2 = dx * dx + dy * dy;
+                    var t = len2 > 0 ? ((x - s0.x) * dx + (y - s0.y) * dy) / len2 : 0;
+                    t = Math.min(Math.max(t, 0), 1);
+                    var dist = Math.sqrt(
+                        Math.pow(s0.x + dx * t - x, 2) + Math.pow(s0.y + dy * t - y, 2)
+                    );
+                    if (dist < minDist) {
+                        minDist = dist;
+                        pickedCurve = curveIdx;
+                        pointWorld = new Vector3();
+                        Vector3.lerp(pointWorld, p0, p1, t);
+                        point = new Vector3();
+                        vec3.lerp(point._array, positions[i], positions[i + 1], t);
+                    }
+                }
+                if (pickedCurve < 0) {
+                    return null;
+                }
+                view.castRay(x, y, ray);
+                var intersection = new RayPicking.Intersection(
+                    point, pointWorld, renderable, null,
+                    Vector3.dist(pointWorld, ray.origin)
+                );
+                intersection.dataIndex = this._dataIndices[pickedCurve];
+                return intersection;
+            };
+        })(),
+
         _createCurveAnimatingPointsRenderable: function () {
             var material = new Material({
                 shader: new Shader({
@@ -79,7 +194,8 @@ define(function (require) {
             this._curveAnimatingPointsRenderable = new Renderable({
                 material: material,
                 mode: Renderable.POINTS,
-                geometry: new CurveAnimatingPointsGeometry()
+                geometry: new CurveAnimatingPointsGeometry(),
+                castShadow: false
             });
             this._sceneNode.add(this._curveAnimatingPointsRenderable);
         },
@@ -106,6 +222,14 @@ define(function (require) {
             lineRenderable.lineWidth = width * devicePixelRatio;
             lineRenderable.material.set('alpha', opacity);
 
+            var emphasisLineRenderable = this._emphasisLineRenderable;
+            emphasisLineRenderable.lineWidth = chart.query(
+                markLine, 'itemStyle.emphasis.lineStyle.width'
+            ) * devicePixelRatio;
+            emphasisLineRenderable.material.set(
+                'alpha', chart.query(markLine, 'itemStyle.emphasis.lineStyle.opacity')
+            );
+
             var showMarkLineEffect = chart.query(serie.markLine, 'effect.show');
             var pointsRenderable;
             if (showMarkLineEffect) {
@@ -145,7 +269,16 @@ define(function (require) {
 
                 chart.getMarkLinePoints(seriesIndex, dataItem, p0, p1, p2, p3);
 
+                this._curveOffsets.push(lineRenderable.geometry.getVertexNumber());
+                this._dataIndices.push(i);
                 lineRenderable.geometry.addCubicCurve(p0, p1, p2, p3, colorArr);
+                this._curves.push({
+                    points: [p0, p1, p2, p3],
+                    emphasisColor: chart.parseColor(
+                        this.getEmphasisColor(dataItem, markLine, color)
+                    ) || colorArr,
+                    highlighted: false
+                });
 
                 if (showMarkLineEffect) {
                     pointsRenderable.geometry.addPoint(p0, p1, p2, p3, colorArr);
@@ -157,8 +290,12 @@ define(function (require) {
 
         clear: function () {
             this._elapsedTime = 0;
+            this._curveOffsets = [];
+            this._dataIndices = [];
+            this._curves = [];
             if (this._markLineRenderable) {
                 this._markLineRenderable.geometry.clearLines();
+                this._emphasisLineRenderable.geometry.clearLines();
             }
             if (this._curveAnimatingPointsRenderable) {
                 this._curveAnimatingPointsRenderable.geometry.clearPoints();
@@ -170,6 +307,54 @@ define(function (require) {
             return this._sceneNode;
         },
 
+        // Implement highlight
+        highlight: function (dataIndex) {
+            this._updateEmphasisLines(dataIndex, true);
+        },
+
+        // Implement downplay
+        downplay: function (dataIndex) {
+            this._updateEmphasisLines(dataIndex, false);
+        },
+
+        /**
+         * Highlighted curves are added to the emphasis lines with emphasis color and line width.
+         * Lines in normal state are not changed.
+         * @param  {number} [dataIndex]
+         * @param  {boolean} emphasis
+         * @private
+         */
+        _updateEmphasisLines: function (dataIndex, emphasis) {
+            if (! this._emphasisLineRenderable) {
+                return;
+            }
+            var curves = this._curves;
+            var changed = false;
+            for (var i = 0; i < curves.length; i++) {
+                if ((dataIndex == null || this._dataIndices[i] === dataIndex)
+                    && curves[i].highlighted !== emphasis
+                ) {
+                    curves[i].highlighted = emphasis;
+                    changed = true;
+                }
+            }
+            if (! changed) {
+                return;
+            }
+            var geometry = this._emphasisLineRenderable.geometry;
+            geometry.clearLines();
+            for (var i = 0; i < curves.length; i++) {
+                var curve = curves[i];
+                if (curve.highlighted) {
+                    var points = curve.points;
+                    geometry.addCubicCurve(
+                        points[0], points[1], points[2], points[3], curve.emphasisColor
+                    );
+                }
+            }
+            geometry.dirty();
+        },
+
         // Implement onframe
         onframe: function (deltaTime) {
             var renderable = this._curveAnimatingPointsRenderable;
@@ -24,6 +24,9 @@ define(function (require) {
     var ImageShape = require('zrender/shape/Image');
 
     var Matrix4 = require('qtek/math/Matrix4');
+    var Vector3 = require('qtek/math/Vector3');
+    var Ray = require('qtek/math/Ray');
+    var RayPicking = require('qtek/picking/RayPicking');
 
     /**
      * @constructor
@@ -37,6 +40,10 @@ define(function (require) {
         this._sceneNode = new Node();
 
         this._spritesRenderables = [];
+        // Data index of each sprite in the sprites renderables
+        this._spritesDataIndices = [];
+        // Transform and texture coords of each sprite in normal and emphasis state
+        this._spritesItemStates = [];
         this._spritesShader = null;
 
         this._textureAtlasList = [];
@@ -73,8 +80,9 @@ define(function (require) {
             var serieDefaultColor = chart.zr.getColor(seriesIndex);
 
             var matrix = new Matrix4();
+            // Normal and emphasis shape of each data item are both in the atlas
             var atlasSize = Texture.prototype.nextHighestPowerOfTwo(
-                Math.sqrt(dataList.length) * this._spriteSize
+                Math.sqrt(dataList.length * 2) * this._spriteSize
             );
             // According to the webglstats.com. MAX_TEXTURE_SIZE 2048 is supported by all devices
             atlasSize = Math.min(2048, atlasSize);
@@ -107,71 +115,48 @@ define(function (require) {
                 if (typeof(color) == 'function') {
                     color = color(dataItem);
                 }
-                var symbol = chart.deepQuery(queryTarget, 'symbol');
-                var symbolSize = chart.deepQuery(queryTarget, 'symbolSize');
-                var strokeColor = chart.deepQuery(queryTarget, 'itemStyle.normal.borderColor');
-                var lineWidth = chart.deepQuery(queryTarget, 'itemStyle.normal.borderWidth');
-
-                var shape;
-                if (symbol.match(/^image:\/\//)) {
-                    shape = new ImageShape({
-                        style: {
-                            image: symbol.replace(/^image:\/\//, '')
-                        }
-                    });
-                }
-                else {
-                    // Draw symbol shape
-                    shape = new IconShape({
-                        style: {
-                            iconType: symbol,
-                            color: color,
-                            brushType: 'both',
-                            strokeColor: strokeColor,
-                            lineWidth: lineWidth / symbolSize * spriteSize
-                        }
-                    });
-                }
-                var shapeStyle = shape.style;
-                shapeStyle.x = shapeStyle.y = 0;
-                shapeStyle.width = shapeStyle.height = spriteSize;
-
-                if (chart.deepQuery(
-                    queryTarget, 'itemStyle.normal.label.show'
-                )) {
-                    shape.style.text = chart.getSerieLabelText(
-                        markPoint, dataItem, dataItem.name, 'normal'
-                    );
-                    shape.style.textPosition = 'inside';
-                    shape.style.textColor = chart.deepQuery(
-                        queryTarget, 'itemStyle.normal.label.textStyle.color'
-                    );
-                    shape.style.textFont = chart.getFont(
-                        chart.deepQuery(
-                            queryTarget, 'itemStyle.normal.label.textStyle'
-                        )
-                    );
-                }
+                var emphasisColor = this.getEmphasisColor(dataItem, markPoint, color);
 
-                var coords = textureAtlas.addShape(
-                    shape, spriteSize, spriteSize
-                );
-                // Texture Atlas is full
-                if (! coords) {
-                    // Create an other one
+                // Normal and emphasis shapes are put in the same atlas.
+                // Create an other one if there is no space for both of them
+                if (! textureAtlas.hasSpace(spriteSize, spriteSize, 2)) {
                     textureAtlas = new TextureAtlasSurface(
                         chart.zr, atlasSize, atlasSize
                     );
                     this._textureAtlasList.push(textureAtlas);
                     spriteRenderable = this._createSpritesRenderable(textureAtlas);
-                    coords = textureAtlas.addShape(
-                        shape, spriteSize, spriteSize
-                    );
                 }
+                var coords = textureAtlas.addShape(
+                    this._createSymbolShape(dataItem, markPoint, color, 'normal'),
+                    spriteSize, spriteSize
+                );
+                var emphasisCoords = textureAtlas.addShape(
+                    this._createSymbolShape(dataItem, markPoint, emphasisColor, 'emphasis'),
+                    spriteSize, spriteSize
+                );
 
                 chart.getMarkPointTransform(seriesIndex, dataItem, matrix);
 
+                var sizeScale = chart.deepQuery(queryTarget, 'itemStyle.emphasis.sizeScale');
+                var emphasisMatrix = matrix.clone();
+                if (chart.deepQuery(queryTarget, 'orientation') === 'tangent') {
+                    // Symbol stands on the surface, scale it from the bottom
+                    Matrix4.translate(emphasisMatrix, emphasisMatrix, new Vector3(0, -1, 0));
+                    Matrix4.scale(emphasisMatrix, emphasisMatrix, new Vector3(sizeScale, sizeScale, 1));
+                    Matrix4.translate(emphasisMatrix, emphasisMatrix, new Vector3(0, 1, 0));
+                }
+                else {
+                    Matrix4.scale(emphasisMatrix, emphasisMatrix, new Vector3(sizeScale, sizeScale, 1));
+                }
+
                 spriteRenderable.geometry.addSprite(matrix, coords);
+                this._spritesDataIndices[this._spritesDataIndices.length - 1].push(i);
+                this._spritesItemStates[this._spritesItemStates.length - 1].push({
+                    matrix: matrix.clone(),
+                    coords: coords,
+                    emphasisMatrix: emphasisMatrix,
+                    emphasisCoords: emphasisCoords
+                });
             }
 
             for (var i = 0; i < this._textureAtlasList.length; i++) {
@@ -179,6 +164,67 @@ define(function (require) {
             }
         },
 
+        /**
+         * Create symbol shape of data item drawn in the texture atlas
+         * @param  {Object} dataItem
+         * @param  {Object} markPoint
+         * @param  {string} color
+         * @param  {string} status 'normal' or 'emphasis'
+         * @return {zrender/shape/Base}
+         * @private
+         */
+        _createSymbolShape: function (dataItem, markPoint, color, status) {
+            var chart = this.chart;
+            var spriteSize = this._spriteSize;
+            var queryTarget = [dataItem, markPoint];
+
+            var symbol = chart.deepQuery(queryTarget, 'symbol');
+            var symbolSize = chart.deepQuery(queryTarget, 'symbolSize');
+            // Emphasis style falls back to the normal style
+            var queryStyle = function (key) {
+                var val = chart.deepQuery(queryTarget, 'itemStyle.' + status + '.' + key);
+                return val != null
+                    ? val : chart.deepQuery(queryTarget, 'itemStyle.normal.' + key);
+            };
+            var strokeColor = queryStyle('borderColor');
+            var lineWidth = queryStyle('borderWidth');
+
+            var shape;
+            if (symbol.match(/^image:\/\//)) {
+                shape = new ImageShape({
+                    style: {
+                        image: symbol.replace(/^image:\/\//, '')
+                    }
+                });
+            }
+            else {
+                // Draw symbol shape
+                shape = new IconShape({
+                    style: {
+                        iconType: symbol,
+                        color: color,
+                        brushType: 'both',
+                        strokeColor: strokeColor,
+                        lineWidth: lineWidth / symbolSize * spriteSize
+                    }
+                });
+            }
+            var shapeStyle = shape.style;
+            shapeStyle.x = shapeStyle.y = 0;
+            shapeStyle.width = shapeStyle.height = spriteSize;
+
+            if (queryStyle('label.show')) {
+                shapeStyle.text = chart.getSerieLabelText(
+                    markPoint, dataItem, dataItem.name, status
+                );
+                shapeStyle.textPosition = 'inside';
+                shapeStyle.textColor = queryStyle('label.textStyle.color');
+                shapeStyle.textFont = chart.getFont(queryStyle('label.textStyle'));
+            }
+
+            return shape;
+        },
+
         _createSpritesRenderable: function (textureAtlas) {
             if (! this._spritesShader) {
                 this._spritesShader = new Shader({
@@ -195,10 +241,13 @@ define(function (require) {
                 }),
                 culling: false,
                 geometry: new SpritesGeometry(),
-                ignorePicking: true
+                castShadow: false
             });
             renderable.material.set('diffuseMap', textureAtlas.getTexture());
             this._spritesRenderables.push(renderable);
+            this._spritesDataIndices.push([]);
+            this._spritesItemStates.push([]);
+            this.initPicking(renderable, 'markPoint', this._pick);
 
             this._sceneNode.add(renderable);
             return renderable;
@@ -209,9 +258,82 @@ define(function (require) {
             renderer.disposeNode(this._sceneNode, true, true);
             this._sceneNode = new Node();
             this._spritesRenderables = [];
+            this._spritesDataIndices = [];
+            this._spritesItemStates = [];
             this._textureAtlasList = [];
         },
 
+        // Implement highlight
+        highlight: function (dataIndex) {
+            this._updateSprites(dataIndex, true);
+        },
+
+        // Implement downplay
+        downplay: function (dataIndex) {
+            this._updateSprites(dataIndex, false);
+        },
+
+        /**
+         * Switch the sprites of data item between normal and emphasis state
+         * @param  {number} [dataIndex]
+         * @param  {boolean} emphasis
+         * @private
+         */
+        _updateSprites: function (dataIndex, emphasis) {
+            for (var i = 0; i < this._spritesRenderables.length; i++) {
+                var geometry = this._spritesRenderables[i].geometry;
+                var dataIndices = this._spritesDataIndices[i];
+                var itemStates = this._spritesItemStates[i];
+                var changed = false;
+                for (var j = 0; j < dataIndices.length; j++) {
+                    if (dataIndex == null || dataIndices[j] === dataIndex) {
+                        var state = itemStates[j];
+                        geometry.updateSprite(
+                            j,
+                            emphasis ? state.emphasisMatrix : state.matrix,
+                            emphasis ? state.emphasisCoords : state.coords
+                        );
+                        changed = true;
+                    }
+                }
+                if (changed) {
+                    geometry.dirty();
+                }
+            }
+        },
+
+        _pick: (function () {
+            var worldRay = new Ray();
+            var ray = new Ray();
+            var worldInverse = new Matrix4();
+            return function (renderable, x, y, view, spriteIndex) {
+                var dataIndices = this._spritesDataIndices[
+                    this._spritesRenderables.indexOf(renderable)
+                ];
+                if (! dataIndices || ! dataIndices.length) {
+                    return null;
+                }
+                view.castRay(x, y, worldRay);
+                ray.copy(worldRay);
+                Matrix4.invert(worldInverse, renderable.worldTransform);
+                ray.applyTransform(worldInverse);
+
+                var point = new Vector3();
+                var idx = renderable.geometry.pickSprite(ray, point, spriteIndex);
+                if (idx < 0) {
+                    return null;
+                }
+                var pointWorld = new Vector3();
+                Vector3.transformMat4(pointWorld, point, renderable.worldTransform);
+                var intersection = new RayPicking.Intersection(
+                    point, pointWorld, renderable, null,
+                    Vector3.dist(pointWorld, worldRay.origin)
+                );
+                intersection.dataIndex = dataIndices[idx];
+                return intersection;
+            };
+        })(),
+
         getSceneNode: function () {
             return this._sceneNode;
         }
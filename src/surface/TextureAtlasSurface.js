@@ -152,6 +152,34 @@ define(function (require) {
             return coords;
         },
 
+        /**
+         * If there is space for the given number of shapes in atlas
+         * @param  {number} width
+         * @param  {number} height
+         * @param  {number} [count=1]
+         * @return {boolean}
+         */
+        hasSpace: function (width, height, count) {
+            count = count || 1;
+            var x = this._x;
+            var y = this._y;
+            var rowHeight = this._rowHeight;
+            for (var i = 0; i < count; i++) {
+                if (x + width > this._width) {
+                    // Same as the check in addShape
+                    if (y + rowHeight > this._height) {
+                        return false;
+                    }
+                    x = 0;
+                    y += rowHeight;
+                    rowHeight = 0;
+                }
+                x += width;
+                rowHeight = Math.max(rowHeight, height);
+            }
+            return true;
+        },
+
         refresh: function () {
             this._zrenderSurface.refresh();
         },
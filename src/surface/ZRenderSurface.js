@@ -145,7 +145,8 @@ define(function (require) {
             for (var i = 0; i < list.length; i++) {
                 var shape = list[i];
                 if (!shape.invisible) {
-                    shape.brush(ctx, shape.isHighlight, this.refreshNextTick);
+                    // Selected shape is drawn with highlight style persistently
+                    shape.brush(ctx, shape.isHighlight || shape.isSelected, this.refreshNextTick);
                 }
             }
 
@@ -172,33 +173,57 @@ define(function (require) {
 
         /**
          * If hover on a shape. And highlight it.
-         * @param {Object} Event object. delivered in Layer3D
+         * @param {Object} [e] Event object. delivered in Layer3D.
+         *        All shapes will be downplayed if not given.
          */
         hover: function (e) {
             var list = this._storage.getShapeList();
-            var shape = this.pick(e.target, e.face, e.point, list);
+            var shape = e ? this.pick(e.target, e.face, e.point, list) : null;
 
+            this.highlight(shape);
+
+            return shape;
+        },
+
+        /**
+         * Highlight the given shape and downplay others
+         * @param {module:zrender/shape/Base} [shape]
+         */
+        highlight: function (shape) {
+            var list = this._storage.getShapeList();
             var needsRefresh = false;
             for (var i = 0; i < list.length; i++) {
-                list[i].isHighlight = false;
-                list[i].zlevel = 0;
-                if (
-                    list[i] == shape && !list[i].isHighlight
-                    || (list[i] != shape && list[i].isHighlight)
-                ) {
+                var isHighlight = list[i] === shape;
+                var wasHighlight = list[i].isHighlight || false;
+                if (wasHighlight !== isHighlight) {
                     needsRefresh = true;
                 }
-            }
-            if (shape) {
-                shape.isHighlight = true;
-                shape.zlevel = 10;
+                list[i].isHighlight = isHighlight;
+                list[i].zlevel = isHighlight ? 10 : (list[i].isSelected ? 5 : 0);
             }
 
             if (needsRefresh) {
                 this.refresh();
             }
+        },
 
-            return shape;
+        /**
+         * Set selected state of the given shape.
+         * Selected shape is drawn with highlight style until it is unselected.
+         * @param {module:zrender/shape/Base} shape
+         * @param {boolean} selected
+         */
+        setSelected: function (shape, selected) {
+            selected = selected || false;
+            if ((shape.isSelected || false) === selected) {
+                return;
+            }
+            shape.isSelected = selected;
+            if (! shape.isHighlight) {
+                shape.zlevel = selected ? 5 : 0;
+            }
+            // Selected state of many shapes may be changed at once
+            this.refreshNextTick();
         },
 
         /**
@@ -0,0 +1,146 @@
+/**
+ * Make the chart container focusable and described for assistive technologies.
+ * Keyboard events on the focused container are delivered to the chart,
+ * and text can be announced through a live region.
+ *
+ * @module echarts-x/util/Accessibility
+ * @author Yi Shen(https://github.com/pissang)
+ */
+
+define(function (require) {
+
+    var Eventful = require('zrender/mixin/Eventful');
+    var zrUtil = require('zrender/tool/util');
+
+    // Attributes of container which will be restored when disposed
+    var CONTAINER_ATTRIBUTES = ['tabindex', 'role', 'aria-label', 'aria-describedby'];
+
+    // Visually hidden but still read by screen readers
+    var HIDDEN_STYLE = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;'
+        + 'border:0;overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;';
+
+    var idCount = 0;
+
+    /**
+     * @constructor
+     * @alias module:echarts-x/util/Accessibility
+     * @param {HTMLElement} dom Chart container
+     * @param {Object} [opts]
+     * @param {string} [opts.label] Accessible name of chart
+     * @param {string} [opts.description] Usage description of chart
+     *
+     * @fires module:echarts-x/util/Accessibility#keydown
+     */
+    var Accessibility = function (dom, opts) {
+
+        Eventful.call(this);
+
+        opts = opts || {};
+
+        /**
+         * @type {HTMLElement}
+         */
+        this.dom = dom;
+
+        this._originalAttributes = {};
+        for (var i = 0; i < CONTAINER_ATTRIBUTES.length; i++) {
+            var name = CONTAINER_ATTRIBUTES[i];
+            this._originalAttributes[name] = dom.getAttribute(name);
+        }
+
+        var id = 'ecx-a11y-' + (idCount++);
+
+        /**
+         * Element of usage description
+         * @type {HTMLElement}
+         * @private
+         */
+        this._descriptionDom = document.createElement('div');
+        this._descriptionDom.id = id + '-description';
+        this._descriptionDom.style.cssText = HIDDEN_STYLE;
+
+        /**
+         * Live region to announce the focused item
+         * @type {HTMLElement}
+         * @private
+         */
+        this._liveDom = document.createElement('div');
+        this._liveDom.setAttribute('role', 'status');
+        this._liveDom.setAttribute('aria-live', 'polite');
+        this._liveDom.style.cssText = HIDDEN_STYLE;
+
+        dom.appendChild(this._descriptionDom);
+        dom.appendChild(this._liveDom);
+
+        dom.setAttribute('tabindex', '0');
+        dom.setAttribute('role', 'application');
+        dom.setAttribute('aria-describedby', this._descriptionDom.id);
+
+        this.setLabel(opts.label || '');
+        this.setDescription(opts.description || '');
+
+        var self = this;
+        this._keyDownHandler = function (e) {
+            /**
+             * @event module:echarts-x/util/Accessibility#keydown
+             * @type {KeyboardEvent}
+             */
+            self.dispatch('keydown', e);
+        };
+        dom.addEventListener('keydown', this._keyDownHandler);
+    };
+
+    Accessibility.prototype = {
+
+        constructor: Accessibility,
+
+        /**
+         * @param {string} label
+         */
+        setLabel: function (label) {
+            this.dom.setAttribute('aria-label', label);
+        },
+
+        /**
+         * @param {string} description
+         */
+        setDescription: function (description) {
+            this._descriptionDom.textContent = description;
+        },
+
+        /**
+         * Announce text with screen readers
+         * @param {string} text
+         */
+        announce: function (text) {
+            this._liveDom.textContent = text;
+        },
+
+        /**
+         * Remove elements and restore attributes of container
+         */
+        dispose: function () {
+            var dom = this.dom;
+            dom.removeEventListener('keydown', this._keyDownHandler);
+            if (this._descriptionDom.parentNode === dom) {
+                dom.removeChild(this._descriptionDom);
+            }
+            if (this._liveDom.parentNode === dom) {
+                dom.removeChild(this._liveDom);
+            }
+            for (var name in this._originalAttributes) {
+                var value = this._originalAttributes[name];
+                if (value == null) {
+                    dom.removeAttribute(name);
+                }
+                else {
+                    dom.setAttribute(name, value);
+                }
+            }
+        }
+    };
+
+    zrUtil.inherits(Accessibility, Eventful);
+
+    return Accessibility;
+});
@@ -0,0 +1,93 @@
+/**
+ * Height of globe surface sampled from an equirectangular height image.
+ * Red channel of image is used, black is the lowest and white is the highest.
+ *
+ * @module echarts-x/util/HeightField
+ * @author Yi Shen(https://github.com/pissang)
+ */
+
+define(function (require) {
+
+    // Height image is downsampled to save memory,
+    // it is much more than the vertices of globe mesh
+    var MAX_WIDTH = 2048;
+
+    /**
+     * @constructor
+     * @alias module:echarts-x/util/HeightField
+     * @param {HTMLImageElement|HTMLCanvasElement} image
+     */
+    var HeightField = function (image) {
+
+        /**
+         * Source image
+         * @type {HTMLImageElement|HTMLCanvasElement}
+         */
+        this.image = image;
+
+        var width = Math.min(image.width, MAX_WIDTH);
+        var height = Math.max(Math.round(image.height * width / image.width), 1);
+        var canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        var ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0, width, height);
+        var pixels = ctx.getImageData(0, 0, width, height).data;
+
+        /**
+         * @type {number}
+         */
+        this.width = width;
+
+        /**
+         * @type {number}
+         */
+        this.height = height;
+
+        /**
+         * Heights in [0, 1], row by row from north to south
+         * @type {Float32Array}
+         * @private
+         */
+        this._data = new Float32Array(width * height);
+        for (var i = 0; i < this._data.length; i++) {
+            this._data[i] = pixels[i * 4] / 255;
+        }
+    };
+
+    HeightField.prototype = {
+
+        constructor: HeightField,
+
+        /**
+         * Bilinear interpolated height in [0, 1]
+         * @param  {number} lon Longitude in degree
+         * @param  {number} lat Latitude in degree
+         * @return {number}
+         */
+        getHeight: function (lon, lat) {
+            var width = this.width;
+            var height = this.height;
+            // Pixel centers
+            var x = (lon + 180) / 360 * width - 0.5;
+            var y = (90 - lat) / 180 * height - 0.5;
+            y = Math.min(Math.max(y, 0), height - 1);
+
+            var x0 = Math.floor(x);
+            var y0 = Math.floor(y);
+            var tx = x - x0;
+            var ty = y - y0;
+            var y1 = Math.min(y0 + 1, height - 1);
+            // Wrap in longitude
+            var x1 = ((x0 + 1) % width + width) % width;
+            x0 = (x0 % width + width) % width;
+
+            var data = this._data;
+            var h0 = data[y0 * width + x0] * (1 - tx) + data[y0 * width + x1] * tx;
+            var h1 = data[y1 * width + x0] * (1 - tx) + data[y1 * width + x1] * tx;
+            return h0 * (1 - ty) + h1 * ty;
+        }
+    };
+
+    return HeightField;
+});
@@ -10,27 +10,76 @@ define(function (require) {
     'use strict';
 
     var zrConfig = require('zrender/config');
+    var Eventful = require('zrender/mixin/Eventful');
+    var zrUtil = require('zrender/tool/util');
     var Vector2 = require('qtek/math/Vector2');
     var Vector3 = require('qtek/math/Vector3');
     var Quaternion = require('qtek/math/Quaternion');
+    var Matrix4 = require('qtek/math/Matrix4');
+    var eventTool = require('zrender/tool/event');
 
     var EVENT = zrConfig.EVENT;
 
+    // Max interval and distance in pixel between two taps of a double tap
+    var DOUBLE_TAP_INTERVAL = 300;
+    var DOUBLE_TAP_DISTANCE = 30;
+
+    var KEY = {
+        LEFT: 37,
+        UP: 38,
+        RIGHT: 39,
+        DOWN: 40,
+        HOME: 36
+    };
+    // Key codes of '+' and '-' differ in browsers and keypad
+    var ZOOM_IN_KEYS = [187, 61, 107];
+    var ZOOM_OUT_KEYS = [189, 173, 109];
+
+    function getPagePoint(e) {
+        var touches = e.touches;
+        if (touches && touches.length) {
+            return [touches[0].pageX, touches[0].pageY];
+        }
+        return [e.pageX, e.pageY];
+    }
+
+    function getTouchDistance(touches) {
+        var dx = touches[1].pageX - touches[0].pageX;
+        var dy = touches[1].pageY - touches[0].pageY;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    function getTouchAngle(touches) {
+        return Math.atan2(
+            touches[1].pageY - touches[0].pageY,
+            touches[1].pageX - touches[0].pageX
+        );
+    }
+
     /**
      * @alias module:echarts-x/util/OrbitControl
      * @param {qtek.Node} target Target scene node
      * @param {module:zrender~ZRender} zr
-     * @param {module:echarts-x/core/Layer3D} layer
+     * @param {module:echarts-x/core/Layer3D|module:echarts-x/core/View3D} layer
+     *        Layer or view which receives the mouse events.
+     *        Control bound on a view only responds to the events happened in the viewport.
+     *
+     * @fires module:echarts-x/util/OrbitControl#change
+     * @fires module:echarts-x/util/OrbitControl#changeend
+     * @fires module:echarts-x/util/OrbitControl#autorotatestart
+     * @fires module:echarts-x/util/OrbitControl#autorotatestop
      */
     var OrbitControl = function (target, zr, layer) {
-        
+
+        Eventful.call(this);
+
         /**
          * @type {module:zrender~ZRender}
          */
         this.zr = zr;
 
         /**
-         * @type {module:echarts-x/core/Layer3D}
+         * @type {module:echarts-x/core/Layer3D|module:echarts-x/core/View3D}
          */
         this.layer = layer;
 
@@ -46,6 +95,22 @@ define(function (require) {
          */
         this.autoRotate = false;
 
+        /**
+         * Distance from camera to target when zoom is 1.
+         * Measured from the camera when initialized if not given.
+         * Zoom is done by moving camera instead of scaling target.
+         * @type {number}
+         */
+        this.baseDistance = null;
+
+        /**
+         * Distance from target origin to the surface facing camera, like radius of a globe.
+         * Zoom is inversely proportional to the distance between camera and surface.
+         * @type {number}
+         * @default 0
+         */
+        this.surfaceDistance = 0;
+
         /**
          * Minimum zoom rate
          * @type {number}
@@ -56,15 +121,68 @@ define(function (require) {
         /**
          * Maximum zoom rate
          * @type {number}
-         * @default 2
+         * @default 1.5
          */
         this.maxZoom = 1.5;
 
+        /**
+         * Scale of zoom speed of mouse wheel and keyboard
+         * @type {number}
+         * @default 1
+         */
+        this.zoomSensitivity = 1;
+
+        /**
+         * Scale of rotate speed of dragging and keyboard
+         * @type {number}
+         * @default 1
+         */
+        this.rotateSensitivity = 1;
+
+        /**
+         * Ratio of rotate, pan and zoom speed lost in each frame after released, range (0, 1].
+         * 1 means there is no inertia.
+         * @type {number}
+         * @default 0.2
+         */
+        this.damping = 0.2;
+
+        /**
+         * If zoom toward the point under the mouse when wheeling.
+         * In rotate mode target is rotated so that the point keeps under the mouse.
+         * @type {boolean}
+         * @default false
+         */
+        this.zoomToCursor = false;
+
         /**
          * Start auto rotating after still for the given time
          */
         this.autoRotateAfterStill = 0;
 
+        /**
+         * Control mode, 'rotate' | 'pan'.
+         * In pan mode, dragging moves the target, and dragging with right button
+         * or shift key pressed tilts the target.
+         * @type {string}
+         * @default 'rotate'
+         */
+        this.mode = 'rotate';
+
+        /**
+         * Maximum tilt angle in pan mode
+         * @type {number}
+         * @default Math.PI / 3
+         */
+        this.maxTilt = Math.PI / 3;
+
+        /**
+         * Minimum interval in milliseconds between two change events
+         * @type {number}
+         * @default 100
+         */
+        this.changeThrottle = 100;
+
         this._zoom = 1;
 
         this._rotateY = 0;
@@ -75,11 +193,44 @@ define(function (require) {
 
         this._rotateVelocity = new Vector2();
 
+        this._panVelocity = new Vector2();
+
+        this._isPanning = false;
+
+        this._isTilting = false;
+
+        this._isPointerDown = false;
+
+        // Distance and angle between two fingers in pinch
+        this._isPinching = false;
+        this._pinchDistance = 0;
+        this._pinchAngle = 0;
+
+        // Time and position of last tap for detecting double tap
+        this._lastTap = null;
+
+        // State when initialized, restored by Home key
+        this._homeState = null;
+
         this._zoomSpeed = 0;
 
+        // Position in layer and the point in target local space under the mouse when wheeling
+        this._zoomAnchor = null;
+
         this._animating = false;
 
+        this._animator = null;
+
         this._stillTimeout = 0;
+
+        // Rotation, scale and position of target when last checked
+        this._lastTransform = null;
+
+        this._isChanging = false;
+
+        this._changeElapsed = 0;
+
+        this._isAutoRotating = false;
     };
 
     OrbitControl.prototype = {
@@ -92,10 +243,109 @@ define(function (require) {
          */
         init: function () {
             this._animating = false;
+            if (this.baseDistance == null) {
+                this.baseDistance = this.layer.camera.position.dist(this.target.position);
+            }
             this.layer.bind(EVENT.MOUSEDOWN, this._mouseDownHandler, this);
             this.layer.bind(EVENT.MOUSEWHEEL, this._mouseWheelHandler, this);
 
             this._decomposeRotation();
+            this._homeState = this.getState();
+        },
+
+        /**
+         * Handle keyboard event. Arrow keys rotate or pan, '+' and '-' zoom,
+         * Home restores the initial view.
+         * @param  {KeyboardEvent} e
+         * @return {boolean} If the key is handled
+         */
+        onKeyDown: function (e) {
+            if (this._animating) {
+                return false;
+            }
+            var keyCode = e.keyCode;
+            var isPanMode = this.mode === 'pan';
+            var dx = 0;
+            var dy = 0;
+            switch (keyCode) {
+                case KEY.LEFT:
+                    dx = 1;
+                    break;
+                case KEY.RIGHT:
+                    dx = -1;
+                    break;
+                case KEY.UP:
+                    dy = 1;
+                    break;
+                case KEY.DOWN:
+                    dy = -1;
+                    break;
+                case KEY.HOME:
+                    this._goHome();
+                    return true;
+                default:
+                    if (ZOOM_IN_KEYS.indexOf(keyCode) >= 0) {
+                        this._zoomSpeed = 0.05 * this.zoomSensitivity;
+                    }
+                    else if (ZOOM_OUT_KEYS.indexOf(keyCode) >= 0) {
+                        this._zoomSpeed = -0.05 * this.zoomSensitivity;
+                    }
+                    else {
+                        return false;
+                    }
+            }
+            // Move like dragging the mouse in the same direction
+            if (isPanMode) {
+                this._panVelocity.set(dx * 20, dy * 20);
+            }
+            else if (dx || dy) {
+                var rotateSpeed = 0.03 * this.rotateSensitivity;
+                this._rotateVelocity.set(dy * rotateSpeed, dx * rotateSpeed);
+            }
+            this._zoomAnchor = null;
+
+            if (this.autoRotate) {
+                this.autoRotate = false;
+            }
+            this._startCountingStill();
+            this.zr.refreshNextFrame();
+            return true;
+        },
+
+        /**
+         * Animate to the initial state
+         * @private
+         */
+        _goHome: function () {
+            var homeState = this._homeState;
+            if (! homeState) {
+                return;
+            }
+            var fromState = this.getState();
+            var deltaRotateY = (homeState.rotateY - fromState.rotateY) % (Math.PI * 2);
+            if (deltaRotateY > Math.PI) {
+                deltaRotateY -= Math.PI * 2;
+            }
+            else if (deltaRotateY < -Math.PI) {
+                deltaRotateY += Math.PI * 2;
+            }
+            var fromPosition = fromState.position;
+            var toPosition = homeState.position;
+            this.animate(function (percent) {
+                return {
+                    rotateX: fromState.rotateX + (homeState.rotateX - fromState.rotateX) * percent,
+                    rotateY: fromState.rotateY + deltaRotateY * percent,
+                    zoom: fromState.zoom + (homeState.zoom - fromState.zoom) * percent,
+                    position: [
+                        fromPosition[0] + (toPosition[0] - fromPosition[0]) * percent,
+                        fromPosition[1] + (toPosition[1] - fromPosition[1]) * percent,
+                        fromPosition[2] + (toPosition[2] - fromPosition[2]) * percent
+                    ]
+                };
+            }, {
+                time: 500,
+                easing: 'CubicOut'
+            });
         },
 
         /**
@@ -103,6 +353,7 @@ define(function (require) {
          * Mouse event unbinding
          */
         dispose: function () {
+            clearTimeout(this._stillTimeout);
             this.layer.unbind(EVENT.MOUSEDOWN, this._mouseDownHandler); 
             this.layer.unbind(EVENT.MOUSEMOVE, this._mouseMoveHandler);
             this.layer.unbind(EVENT.MOUSEUP, this._mouseUpHandler);
@@ -167,10 +418,151 @@ define(function (require) {
                 })
                 .done(function () {
                     self._animating = false;
+                    self._decomposeRotation();
                 })
                 .start(opts.easing || 'Linear');
         },
 
+        /**
+         * Pan to animation
+         * @param {Object} opts
+         * @param {qtek.math.Vector3} opts.position Target position
+         * @param {number} [opts.time=1000]
+         * @param {number} [opts.easing='Linear']
+         */
+        panTo: function (opts) {
+            var zr = this.zr;
+            var self = this;
+            var position = this.target.position;
+            var obj = {
+                x: position.x,
+                y: position.y,
+                z: position.z
+            };
+            this._animating = true;
+            this._panVelocity.set(0, 0);
+            return zr.animation.animate(obj)
+                .when(opts.time || 1000, {
+                    x: opts.position.x,
+                    y: opts.position.y,
+                    z: opts.position.z
+                })
+                .during(function () {
+                    position.set(obj.x, obj.y, obj.z);
+                    zr.refreshNextFrame();
+                })
+                .done(function () {
+                    self._animating = false;
+                })
+                .start(opts.easing || 'Linear');
+        },
+
+        /**
+         * Get current rotation, zoom and position of target
+         * @return {Object}
+         */
+        getState: function () {
+            var position = this.target.position;
+            return {
+                rotateX: this._rotateX,
+                rotateY: this._rotateY,
+                zoom: this._zoom,
+                position: [position.x, position.y, position.z]
+            };
+        },
+
+        /**
+         * Set rotation, zoom and position of target immediately.
+         * Properties not given are kept.
+         * @param {Object} state
+         * @param {number} [state.rotateX]
+         * @param {number} [state.rotateY]
+         * @param {number} [state.zoom]
+         * @param {Array.<number>} [state.position]
+         */
+        setState: function (state) {
+            if (state.rotateX != null) {
+                this._rotateX = state.rotateX;
+            }
+            if (state.rotateY != null) {
+                this._rotateY = state.rotateY;
+            }
+            if (state.zoom != null) {
+                this._zoom = Math.max(Math.min(state.zoom, this.maxZoom), this.minZoom);
+            }
+            if (state.position) {
+                this.target.position.set(
+                    state.position[0], state.position[1], state.position[2]
+                );
+            }
+            this._rotateVelocity.set(0, 0);
+            this._panVelocity.set(0, 0);
+            this._zoomSpeed = 0;
+
+            this._updateTransform();
+
+            this.zr.refreshNextFrame();
+        },
+
+        /**
+         * Animate target with the state computed by the given function in each frame.
+         * Mouse interaction is disabled during animation.
+         * @example
+         *     control.animate(function (percent) {
+         *         return {
+         *             rotateY: percent * Math.PI
+         *         };
+         *     }, {
+         *         time: 1000,
+         *         easing: 'CubicInOut'
+         *     });
+         * @param {Function} getState Return the state for setState with the animation percent
+         * @param {Object} [opts]
+         * @param {number} [opts.time=1000]
+         * @param {number} [opts.easing='Linear']
+         * @return {module:zrender/animation/Animation~Animator}
+         */
+        animate: function (getState, opts) {
+            opts = opts || {};
+            var self = this;
+            var obj = {
+                p: 0
+            };
+            if (this._animator) {
+                this._animator.stop();
+            }
+            this._animating = true;
+            this.autoRotate = false;
+            this._animator = this.zr.animation.animate(obj)
+                .when(opts.time || 1000, {
+                    p: 1
+                })
+                .during(function () {
+                    self.setState(getState(obj.p));
+                })
+                .done(function () {
+                    self._animating = false;
+                    self._animator = null;
+                    self._startCountingStill();
+                })
+                .start(opts.easing || 'Linear');
+
+            return this._animator;
+        },
+
+        /**
+         * Set control mode and reset the current moving
+         * @param {string} mode 'rotate' | 'pan'
+         */
+        setMode: function (mode) {
+            this.mode = mode;
+            this._rotateVelocity.set(0, 0);
+            this._panVelocity.set(0, 0);
+            this._zoomSpeed = 0;
+
+            this._decomposeRotation();
+        },
+
         /**
          * Zoom to animation
          * @param {Object} opts
@@ -190,8 +582,7 @@ define(function (require) {
                     _zoom: zoom
                 })
                 .during(function () {
-                    var zoom = self._zoom;
-                    self.target.scale.set(zoom, zoom, zoom);
+                    self._updateTransform();
                     zr.refreshNextFrame();
                 })
                 .done(function () {
@@ -207,43 +598,169 @@ define(function (require) {
          */
         update: function (deltaTime) {
             if (this._animating) {
+                this._checkChange(deltaTime);
                 return;
             }
 
-            this._rotateY = (this._rotateVelocity.y + this._rotateY) % (Math.PI * 2);
-            this._rotateX = (this._rotateVelocity.x + this._rotateX) % (Math.PI * 2);
+            var isPanMode = this.mode === 'pan';
+            if (isPanMode) {
+                // Only tilt in pan mode
+                this._rotateX = Math.max(
+                    Math.min(this._rotateVelocity.x + this._rotateX, 0), -this.maxTilt
+                );
+                if (! this._isPanning) {
+                    this._moveTarget(this._panVelocity.x, this._panVelocity.y);
+                }
+            }
+            else {
+                this._rotateY = (this._rotateVelocity.y + this._rotateY) % (Math.PI * 2);
+                this._rotateX = (this._rotateVelocity.x + this._rotateX) % (Math.PI * 2);
 
-            this._rotateX = Math.max(Math.min(this._rotateX, Math.PI / 2), -Math.PI / 2);
+                this._rotateX = Math.max(Math.min(this._rotateX, Math.PI / 2), -Math.PI / 2);
+            }
 
-            this._zoom += this._zoomSpeed;
+            // Zoom exponentially so the speed feels same in large zoom range
+            this._zoom *= 1 + this._zoomSpeed;
             this._zoom = Math.max(Math.min(this._zoom, this.maxZoom), this.minZoom);
 
-            this.target.rotation
-                .identity()
-                .rotateX(this._rotateX)
-                .rotateY(this._rotateY);
+            if (this._zoomAnchor) {
+                if (this._zoomSpeed !== 0) {
+                    this._followZoomAnchor(this._zoomAnchor);
+                }
+                else {
+                    this._zoomAnchor = null;
+                }
+            }
 
-            var zoom = this._zoom;
-            this.target.scale.set(zoom, zoom, zoom);
+            this._updateTransform();
 
-            if (this.autoRotate) {
+            if (this.autoRotate && ! isPanMode) {
                 this._rotateY -= deltaTime * 1e-4;
                 this.zr.refreshNextFrame();
-            } else if (this._rotateVelocity.len() > 0 || this._zoomSpeed !== 0) {
+            } else if (
+                this._rotateVelocity.len() > 0 || this._zoomSpeed !== 0
+                || this._panVelocity.len() > 0
+            ) {
                 this.zr.refreshNextFrame();
             }
+            var dampingFactor = 1 - Math.max(Math.min(this.damping, 1), 0.01);
             // Rotate speed damping
             var speed = this._rotateVelocity.len();
-            speed = speed * 0.8;
+            speed = speed * dampingFactor;
             if (speed < 1e-4) {
                 speed = 0;
             }
             this._rotateVelocity.normalize().scale(speed);
             // Zoom speed damping
-            this._zoomSpeed *= 0.8;
+            this._zoomSpeed *= dampingFactor;
             if (Math.abs(this._zoomSpeed) < 1e-3) {
                 this._zoomSpeed = 0;
             }
+            // Pan speed damping after mouse released
+            if (! this._isPanning) {
+                this._panVelocity.scale(dampingFactor);
+                if (this._panVelocity.len() < 1e-2) {
+                    this._panVelocity.set(0, 0);
+                }
+            }
+
+            this._checkChange(deltaTime);
+        },
+
+        /**
+         * Apply rotation to target, and move camera to the distance of zoom
+         * @private
+         */
+        _updateTransform: function () {
+            var target = this.target;
+            target.rotation
+                .identity()
+                .rotateX(this._rotateX)
+                .rotateY(this._rotateY);
+
+            // Camera looks at target along the -z axis
+            var surfaceDistance = this.surfaceDistance;
+            var distance = surfaceDistance + (this.baseDistance - surfaceDistance) / this._zoom;
+            this.layer.camera.position.z = target.position.z + distance;
+        },
+
+        /**
+         * Check if the transform of target and auto rotating changed, and fire events
+         * @param  {number} deltaTime
+         * @private
+         */
+        _checkChange: function (deltaTime) {
+            var target = this.target;
+            var rotation = target.rotation._array;
+            var position = target.position._array;
+            var transform = [
+                rotation[0], rotation[1], rotation[2], rotation[3],
+                this._zoom, position[0], position[1], position[2]
+            ];
+            var lastTransform = this._lastTransform;
+            var changed = false;
+            if (lastTransform) {
+                for (var i = 0; i < transform.length; i++) {
+                    if (Math.abs(transform[i] - lastTransform[i]) > 1e-6) {
+                        changed = true;
+                        break;
+                    }
+                }
+            }
+            this._lastTransform = transform;
+
+            if (changed) {
+                this._changeElapsed += deltaTime || 0;
+                if (! this._isChanging || this._changeElapsed >= this.changeThrottle) {
+                    this._changeElapsed = 0;
+                    /**
+                     * @event module:echarts-x/util/OrbitControl#change
+                     */
+                    this.dispatch('change');
+                }
+                this._isChanging = true;
+            }
+            else if (this._isChanging) {
+                this._isChanging = false;
+                this._changeElapsed = 0;
+                /**
+                 * @event module:echarts-x/util/OrbitControl#changeend
+                 */
+                this.dispatch('changeend');
+            }
+
+            var isAutoRotating = !! this.autoRotate && this.mode !== 'pan' && ! this._animating;
+            if (isAutoRotating !== this._isAutoRotating) {
+                this._isAutoRotating = isAutoRotating;
+                /**
+                 * @event module:echarts-x/util/OrbitControl#autorotatestart
+                 */
+                /**
+                 * @event module:echarts-x/util/OrbitControl#autorotatestop
+                 */
+                this.dispatch(isAutoRotating ? 'autorotatestart' : 'autorotatestop');
+            }
+        },
+
+        /**
+         * Move target in the screen space
+         * @param  {number} dx Offset in pixel
+         * @param  {number} dy Offset in pixel
+         * @private
+         */
+        _moveTarget: function (dx, dy) {
+            if (! dx && ! dy) {
+                return;
+            }
+            // World size of one pixel on the plane at target
+            var camera = this.layer.camera;
+            var position = this.target.position;
+            var dist = camera.position.dist(position);
+            var viewportHeight = this.layer.getViewportHeight();
+            var scale = 2 * dist * Math.tan(camera.fov / 360 * Math.PI) / viewportHeight;
+
+            position.x += dx * scale;
+            position.y -= dy * scale;
         },
 
         _startCountingStill: function () {
@@ -273,14 +790,42 @@ define(function (require) {
             if (this._animating) {
                 return;
             }
-            this.layer.bind(EVENT.MOUSEMOVE, this._mouseMoveHandler, this);
-            this.layer.bind(EVENT.MOUSEUP, this._mouseUpHandler, this);
+            // Touch start of the second finger also triggers mousedown
+            if (! this._isPointerDown) {
+                this._isPointerDown = true;
+                this.layer.bind(EVENT.MOUSEMOVE, this._mouseMoveHandler, this);
+                this.layer.bind(EVENT.MOUSEUP, this._mouseUpHandler, this);
+            }
 
             e = e.event;
+            var touches = e.touches;
             // Reset rotate velocity
             this._rotateVelocity.set(0, 0);
-            this._mouseX = e.pageX;
-            this._mouseY = e.pageY;
+            this._panVelocity.set(0, 0);
+
+            if (touches && touches.length >= 2) {
+                this._isPanning = false;
+                this._isTilting = false;
+                this._isPinching = true;
+                this._pinchDistance = getTouchDistance(touches);
+                this._pinchAngle = getTouchAngle(touches);
+            }
+            else {
+                var point = getPagePoint(e);
+                this._mouseX = point[0];
+                this._mouseY = point[1];
+
+                if (this.mode === 'pan') {
+                    this._isTilting = e.button === 2 || e.shiftKey;
+                    this._isPanning = ! this._isTilting;
+                }
+
+                if (touches && this._isDoubleTap(point)) {
+                    this._mouseUpHandler();
+                    this._zoomToPoint(eventTool.getX(e), eventTool.getY(e));
+                    return;
+                }
+            }
 
             if (this.autoRotate) {
                 this.autoRotate = false;
@@ -293,12 +838,34 @@ define(function (require) {
                 return;
             }
             e = e.event;
+            var touches = e.touches;
 
-            this._rotateVelocity.y = (e.pageX - this._mouseX) / 500;
-            this._rotateVelocity.x = (e.pageY - this._mouseY) / 500;
+            if (this._isPinching) {
+                if (touches && touches.length >= 2) {
+                    this._pinch(touches);
+                }
+                return;
+            }
+
+            var point = getPagePoint(e);
+            var dx = point[0] - this._mouseX;
+            var dy = point[1] - this._mouseY;
+            if (this._isPanning) {
+                // Target follows the mouse, velocity is kept for inertia after released
+                this._panVelocity.set(dx, dy);
+                this._moveTarget(dx, dy);
+                this.zr.refreshNextFrame();
+            }
+            else if (this._isTilting) {
+                this._rotateVelocity.x = dy / 500 * this.rotateSensitivity;
+            }
+            else {
+                this._rotateVelocity.y = dx / 500 * this.rotateSensitivity;
+                this._rotateVelocity.x = dy / 500 * this.rotateSensitivity;
+            }
 
-            this._mouseX = e.pageX;
-            this._mouseY = e.pageY;
+            this._mouseX = point[0];
+            this._mouseY = point[1];
         },
 
         _mouseWheelHandler: function (e) {
@@ -309,7 +876,11 @@ define(function (require) {
             var delta = e.wheelDelta // Webkit
                         || -e.detail; // Firefox
 
-            this._zoomSpeed = delta > 0 ? 0.05 : -0.05;
+            this._zoomSpeed = (delta > 0 ? 0.05 : -0.05) * this.zoomSensitivity;
+
+            this._zoomAnchor = this.zoomToCursor
+                ? this._getZoomAnchor(eventTool.getX(e), eventTool.getY(e))
+                : null;
 
             if (this.autoRotate) {
                 this.autoRotate = false;
@@ -317,11 +888,285 @@ define(function (require) {
             this._startCountingStill();
         },
 
-        _mouseUpHandler: function () {
+        _mouseUpHandler: function (e) {
+            var touches = e && e.event && e.event.touches;
+            if (touches && touches.length > 0) {
+                // Continue rotating with the finger left after pinch
+                if (touches.length === 1) {
+                    this._isPinching = false;
+                    this._mouseX = touches[0].pageX;
+                    this._mouseY = touches[0].pageY;
+                    this._isPanning = this.mode === 'pan';
+                }
+                return;
+            }
+            this._isPanning = false;
+            this._isTilting = false;
+            this._isPinching = false;
+            this._isPointerDown = false;
+
             this.layer.unbind(EVENT.MOUSEMOVE, this._mouseMoveHandler, this);
             this.layer.unbind(EVENT.MOUSEUP, this._mouseUpHandler, this);
+
+            // Count still time from the end of gesture
+            this._startCountingStill();
+        },
+
+        /**
+         * Get the point on target under the given position in layer
+         * @param  {number} x
+         * @param  {number} y
+         * @return {Object}
+         * @private
+         */
+        _getZoomAnchor: function (x, y) {
+            var obj = this.layer.pickObject(x, y);
+            if (! obj) {
+                return null;
+            }
+            // Only the point on target is anchored, not the background
+            var node = obj.target;
+            while (node && node !== this.target) {
+                node = node.getParent();
+            }
+            if (! node) {
+                return null;
+            }
+            var invWorldTransform = new Matrix4();
+            Matrix4.invert(invWorldTransform, this.target.worldTransform);
+            return {
+                x: x,
+                y: y,
+                point: obj.point.clone().transformMat4(invWorldTransform)
+            };
+        },
+
+        /**
+         * Rotate or move target so that the anchor point keeps under the mouse after zoomed
+         * @param  {Object} anchor
+         * @private
+         */
+        _followZoomAnchor: function (anchor) {
+            // Cast ray with camera moved to the new zoom
+            this._updateTransform();
+            this.layer.camera.update(true);
+            var ray = this.layer.castRay(anchor.x, anchor.y);
+            if (! ray) {
+                return;
+            }
+            // Ray in the space of target's parent, where rotation and position are applied
+            var origin = ray.origin.clone();
+            var end = ray.origin.clone().add(ray.direction);
+            var parent = this.target.getParent();
+            if (parent) {
+                var invParentTransform = new Matrix4();
+                Matrix4.invert(invParentTransform, parent.worldTransform);
+                origin.transformMat4(invParentTransform);
+                end.transformMat4(invParentTransform);
+            }
+            var direction = end.sub(origin).normalize();
+
+            var position = this.target.position;
+            var rotation = new Quaternion()
+                .rotateX(this._rotateX)
+                .rotateY(this._rotateY);
+            // Anchor point relative to target position
+            var point = anchor.point.clone().transformQuat(rotation);
+
+            if (this.mode === 'pan') {
+                // Move target in the xy plane until the point is on the ray
+                if (Math.abs(direction.z) < 1e-6) {
+                    return;
+                }
+                var t = (position.z + point.z - origin.z) / direction.z;
+                position.x = origin.x + direction.x * t - point.x;
+                position.y = origin.y + direction.y * t - point.y;
+                return;
+            }
+
+            // Intersect the ray with the sphere where the anchor point is
+            var radius = anchor.point.len();
+            var oc = origin.clone().sub(position);
+            var b = oc.dot(direction);
+            var c = oc.dot(oc) - radius * radius;
+            var discriminant = b * b - c;
+            if (discriminant < 0 || radius === 0) {
+                return;
+            }
+            var hit = direction.clone().scale(-b - Math.sqrt(discriminant)).add(oc);
+
+            // Find rotateX(rx) * rotateY(ry) which rotates the point to hit
+            var p = anchor.point.clone().normalize();
+            var d = hit.normalize();
+            var lenXZ = Math.sqrt(p.x * p.x + p.z * p.z);
+            if (Math.abs(d.x) > lenXZ) {
+                return;
+            }
+            var phi = Math.atan2(p.z, p.x);
+            var theta = Math.acos(d.x / lenXZ);
+            var rotateY = this._closestAngle(phi + theta, phi - theta, this._rotateY);
+            var pz = -p.x * Math.sin(rotateY) + p.z * Math.cos(rotateY);
+            var rotateX = this._closestAngle(
+                Math.atan2(d.z, d.y) - Math.atan2(pz, p.y), null, 0
+            );
+            if (Math.abs(rotateX) > Math.PI / 2) {
+                return;
+            }
+            this._rotateX = rotateX;
+            this._rotateY = rotateY;
+        },
+
+        /**
+         * Get the angle in a and b which is closest to the reference angle, modulo 2 PI
+         * @param  {number} a
+         * @param  {number} [b]
+         * @param  {number} reference
+         * @return {number}
+         * @private
+         */
+        _closestAngle: function (a, b, reference) {
+            var PI2 = Math.PI * 2;
+            var wrap = function (angle) {
+                angle = (angle - reference) % PI2;
+                if (angle > Math.PI) {
+                    angle -= PI2;
+                }
+                else if (angle < -Math.PI) {
+                    angle += PI2;
+                }
+                return angle + reference;
+            };
+            a = wrap(a);
+            if (b == null) {
+                return a;
+            }
+            b = wrap(b);
+            return Math.abs(a - reference) <= Math.abs(b - reference) ? a : b;
+        },
+
+        /**
+         * Zoom with the distance and twist with the angle of two fingers
+         * @param  {TouchList} touches
+         * @private
+         */
+        _pinch: function (touches) {
+            var distance = getTouchDistance(touches);
+            var angle = getTouchAngle(touches);
+            if (this._pinchDistance > 0) {
+                this._zoom = Math.max(Math.min(
+                    this._zoom * distance / this._pinchDistance, this.maxZoom
+                ), this.minZoom);
+                this._zoomSpeed = 0;
+            }
+            // Twist rotates target around its y axis, no twist in pan mode
+            if (this.mode !== 'pan') {
+                var deltaAngle = angle - this._pinchAngle;
+                if (deltaAngle > Math.PI) {
+                    deltaAngle -= Math.PI * 2;
+                }
+                else if (deltaAngle < -Math.PI) {
+                    deltaAngle += Math.PI * 2;
+                }
+                this._rotateY += deltaAngle;
+            }
+            this._pinchDistance = distance;
+            this._pinchAngle = angle;
+
+            this.zr.refreshNextFrame();
+        },
+
+        /**
+         * If the tap is the second one of a double tap
+         * @param  {Array.<number>} point Page position of tap
+         * @return {boolean}
+         * @private
+         */
+        _isDoubleTap: function (point) {
+            var now = Date.now();
+            var lastTap = this._lastTap;
+            var isDoubleTap = lastTap
+                && now - lastTap.time < DOUBLE_TAP_INTERVAL
+                && Math.abs(point[0] - lastTap.x) < DOUBLE_TAP_DISTANCE
+                && Math.abs(point[1] - lastTap.y) < DOUBLE_TAP_DISTANCE;
+
+            this._lastTap = isDoubleTap ? null : {
+                time: now,
+                x: point[0],
+                y: point[1]
+            };
+            return isDoubleTap;
+        },
+
+        /**
+         * Move the picked point on target to the center of view and zoom in
+         * @param  {number} x Position in the layer
+         * @param  {number} y Position in the layer
+         * @private
+         */
+        _zoomToPoint: function (x, y) {
+            var obj = this.layer.pickObject(x, y);
+            if (! obj) {
+                return;
+            }
+            var fromState = this.getState();
+            var fromZoom = fromState.zoom;
+            var toZoom = Math.min(fromZoom * 1.5, this.maxZoom);
+
+            if (this.mode === 'pan') {
+                var fromPosition = fromState.position;
+                // Offset of point to the target origin
+                var offset = obj.point.clone().sub(this.target.position);
+                return this.animate(function (percent) {
+                    var zoom = fromZoom + (toZoom - fromZoom) * percent;
+                    return {
+                        zoom: zoom,
+                        position: [
+                            fromPosition[0] + (-offset.x - fromPosition[0]) * percent,
+                            fromPosition[1] + (-offset.y - fromPosition[1]) * percent,
+                            fromPosition[2]
+                        ]
+                    };
+                }, {
+                    time: 500,
+                    easing: 'CubicOut'
+                });
+            }
+
+            // Point in the local space of target
+            var invWorldTransform = new Matrix4();
+            Matrix4.invert(invWorldTransform, this.target.worldTransform);
+            var localPoint = obj.point.clone().transformMat4(invWorldTransform);
+            var lx = localPoint.x;
+            var ly = localPoint.y;
+            var lz = localPoint.z;
+            // Rotate the point to face +z
+            var toRotateY = Math.atan2(-lx, lz);
+            var toRotateX = Math.atan2(ly, Math.sqrt(lx * lx + lz * lz));
+            var fromRotateX = fromState.rotateX;
+            var fromRotateY = fromState.rotateY;
+            // Rotate along the shortest direction
+            var deltaRotateY = (toRotateY - fromRotateY) % (Math.PI * 2);
+            if (deltaRotateY > Math.PI) {
+                deltaRotateY -= Math.PI * 2;
+            }
+            else if (deltaRotateY < -Math.PI) {
+                deltaRotateY += Math.PI * 2;
+            }
+
+            return this.animate(function (percent) {
+                return {
+                    rotateX: fromRotateX + (toRotateX - fromRotateX) * percent,
+                    rotateY: fromRotateY + deltaRotateY * percent,
+                    zoom: fromZoom + (toZoom - fromZoom) * percent
+                };
+            }, {
+                time: 500,
+                easing: 'CubicOut'
+            });
         }
     };
 
+    zrUtil.inherits(OrbitControl, Eventful);
+
     return OrbitControl;
 });
\ No newline at end of file
@@ -0,0 +1,704 @@
+/**
+ * Web Mercator tiles (XYZ or TMS) mapped on the globe.
+ * Tiles covering the visible area are picked by a quadtree traversal
+ * on the level fit for the camera altitude. Each displayed tile is a mesh
+ * of sphere or plane patch, and parent tile is displayed before children are loaded.
+ *
+ * @module echarts-x/util/TileLayer
+ * @author Yi Shen(https://github.com/pissang)
+ */
+
+define(function (require) {
+
+    var Node = require('qtek/Node');
+    var Mesh = require('qtek/Mesh');
+    var Material = require('qtek/Material');
+    var Texture2D = require('qtek/Texture2D');
+    var LRU = require('qtek/core/LRU');
+    var glMatrix = require('qtek/dep/glmatrix');
+    var vec3 = glMatrix.vec3;
+    var vec4 = glMatrix.vec4;
+    var mat4 = glMatrix.mat4;
+
+    var TilePatchGeometry = require('./geometry/TilePatch');
+    var geoProjection = require('./geoProjection');
+
+    var tileYToLat = TilePatchGeometry.tileYToLat;
+
+    // Max number of tiles loading at the same time
+    var MAX_LOADING_COUNT = 6;
+
+    // Tiles of lower levels are too large to be culled by the corner samples,
+    // they are always subdivided
+    var MIN_SPLIT_LEVEL = 2;
+
+    // Number of samples in each direction when testing tile visibility
+    var SAMPLE_COUNT = 3;
+
+    function getKey(z, x, y) {
+        return z + '/' + x + '/' + y;
+    }
+
+    /**
+     * Load image from url
+     * @param  {string} src
+     * @param  {Function} callback Called with the image, or null if failed
+     */
+    function loadImage(src, callback) {
+        var image = new Image();
+        image.crossOrigin = 'anonymous';
+        image.onload = function () {
+            callback(image);
+        };
+        image.onerror = function () {
+            callback(null);
+        };
+        image.src = src;
+    }
+
+    /**
+     * @constructor
+     * @alias module:echarts-x/util/TileLayer
+     * @param {Object} opts
+     * @param {qtek.Renderer} opts.renderer
+     * @param {string} [opts.url] Url template like 'tiles/{z}/{x}/{y}.png'
+     * @param {Function} [opts.loader] Custom tile loader, see {@link module:echarts-x/util/TileLayer#loader}
+     * @param {string} [opts.scheme='xyz'] 'xyz' | 'tms'
+     * @param {string|Array.<string>} [opts.subdomains='abc']
+     * @param {number} [opts.minLevel=0]
+     * @param {number} [opts.maxLevel=18]
+     * @param {number} [opts.tileSize=256]
+     * @param {number} [opts.cacheSize=256] Max number of tile images cached
+     * @param {number} [opts.radius=1]
+     * @param {qtek.Shader} [opts.shader]
+     */
+    var TileLayer = function (opts) {
+
+        opts = opts || {};
+
+        /**
+         * Root scene node of tile meshes
+         * @type {qtek.Node}
+         */
+        this.root = new Node({
+            name: 'tiles'
+        });
+
+        /**
+         * @type {qtek.Renderer}
+         */
+        this.renderer = opts.renderer;
+
+        /**
+         * Url template. {z}, {x}, {y} will be replaced with the tile index,
+         * {s} will be replaced with one of the subdomains.
+         * @type {string}
+         */
+        this.url = opts.url || '';
+
+        /**
+         * Custom tile loader used instead of url. Useful to read tiles from local storage.
+         * function (z, x, y, callback) {}
+         * It can return an url, image or canvas,
+         * or call callback with the image or canvas, null if failed.
+         * @type {Function}
+         */
+        this.loader = opts.loader || null;
+
+        /**
+         * 'xyz' | 'tms'. Tile rows of 'tms' are counted from the south.
+         * @type {string}
+         */
+        this.scheme = opts.scheme || 'xyz';
+
+        /**
+         * @type {string|Array.<string>}
+         */
+        this.subdomains = opts.subdomains || 'abc';
+
+        /**
+         * @type {number}
+         */
+        this.minLevel = opts.minLevel || 0;
+
+        /**
+         * @type {number}
+         */
+        this.maxLevel = opts.maxLevel == null ? 18 : opts.maxLevel;
+
+        /**
+         * Tile size in pixel. Tile will be subdivided if its size on screen is
+         * much larger than it.
+         * @type {number}
+         */
+        this.tileSize = opts.tileSize || 256;
+
+        /**
+         * Radius of globe
+         * @type {number}
+         */
+        this.radius = opts.radius || 1;
+
+        /**
+         * Distance to the globe surface
+         * @type {number}
+         */
+        this.distance = 0;
+
+        /**
+         * 0 is sphere and 1 is plane
+         * @type {number}
+         */
+        this.morph = 0;
+
+        /**
+         * @type {string}
+         */
+        this.planeProjection = 'equirectangular';
+
+        /**
+         * Height field displacing the tiles, same as the earth mesh
+         * @type {module:echarts-x/util/HeightField}
+         */
+        this.heightField = null;
+
+        /**
+         * @type {number}
+         */
+        this.displacementScale = 0;
+
+        /**
+         * Shader of tile meshes, needs diffuseMap enabled
+         * @type {qtek.Shader}
+         */
+        this.shader = opts.shader || null;
+
+        /**
+         * Called after a tile loaded
+         * @type {Function}
+         */
+        this.onload = function () {};
+
+        /**
+         * Loaded tile images
+         * @type {qtek.core.LRU}
+         * @private
+         */
+        this._images = new LRU(opts.cacheSize || 256);
+
+        this._loading = {};
+        this._loadingCount = 0;
+        this._failed = {};
+
+        /**
+         * Tiles waiting to be loaded
+         * @type {Array.<Object>}
+         * @private
+         */
+        this._queue = [];
+
+        /**
+         * Keys of tiles needed in the last update
+         * @type {Object}
+         * @private
+         */
+        this._needed = {};
+
+        /**
+         * Meshes of displayed tiles, key is tile key
+         * @type {Object}
+         * @private
+         */
+        this._meshes = {};
+
+        this._disposed = false;
+    };
+
+    TileLayer.prototype = {
+
+        constructor: TileLayer,
+
+        /**
+         * Pick tiles of the visible area and update tile meshes.
+         * Call it each frame.
+         * @param  {qtek.Camera} camera
+         * @param  {number} viewportWidth
+         * @param  {number} viewportHeight
+         * @return {boolean} If tile meshes changed
+         */
+        update: function (camera, viewportWidth, viewportHeight) {
+            var worldTransform = this.root.worldTransform._array;
+            var invWorldTransform = mat4.invert(mat4.create(), worldTransform);
+            var cameraTransform = camera.worldTransform._array;
+            var cameraPosition = vec3.fromValues(
+                cameraTransform[12], cameraTransform[13], cameraTransform[14]
+            );
+            // Camera position in the local space of tiles
+            vec3.transformMat4(cameraPosition, cameraPosition, invWorldTransform);
+
+            var worldViewProjection = mat4.create();
+            mat4.multiply(
+                worldViewProjection, camera.projectionMatrix._array, camera.viewMatrix._array
+            );
+            mat4.multiply(worldViewProjection, worldViewProjection, worldTransform);
+
+            var context = {
+                cameraPosition: cameraPosition,
+                worldViewProjection: worldViewProjection,
+                // Longitude and latitude right below the camera
+                nadir: this._getNadir(cameraPosition),
+                // Pixels of unit size at unit distance
+                pixelRatio: viewportHeight / (2 * Math.tan(camera.fov / 360 * Math.PI)),
+                width: viewportWidth,
+                height: viewportHeight
+            };
+
+            var tiles = [];
+            this._collectTiles(0, 0, 0, context, tiles);
+
+            // Display the loaded tiles, or their nearest loaded ancestor
+            var candidates = {};
+            this._needed = {};
+            for (var i = 0; i < tiles.length; i++) {
+                var tile = tiles[i];
+                this._needed[tile.key] = true;
+                if (this._images.get(tile.key)) {
+                    candidates[tile.key] = tile;
+                }
+                else {
+                    this._enqueue(tile);
+                    var ancestor = this._getLoadedAncestor(tile);
+                    if (ancestor) {
+                        candidates[ancestor.key] = ancestor;
+                    }
+                }
+            }
+            var candidateList = [];
+            for (var key in candidates) {
+                candidateList.push(candidates[key]);
+            }
+            candidateList.sort(function (a, b) {
+                return a.z - b.z;
+            });
+            // Tiles covered by a displayed ancestor are not displayed
+            var displayed = {};
+            for (var i = 0; i < candidateList.length; i++) {
+                var tile = candidateList[i];
+                if (! this._hasAncestorIn(tile, displayed)) {
+                    displayed[tile.key] = tile;
+                }
+            }
+
+            var changed = false;
+            for (var key in this._meshes) {
+                if (! displayed[key]) {
+                    this._removeMesh(key);
+                    changed = true;
+                }
+            }
+            for (var key in displayed) {
+                if (! this._meshes[key]) {
+                    this._addMesh(displayed[key]);
+                    changed = true;
+                }
+                changed = this._updateMesh(this._meshes[key]) || changed;
+            }
+
+            this._loadQueue();
+
+            return changed;
+        },
+
+        /**
+         * Traverse the quadtree and collect the visible tiles of proper level
+         * @param  {number} z
+         * @param  {number} x
+         * @param  {number} y
+         * @param  {Object} context
+         * @param  {Array.<Object>} out
+         * @private
+         */
+        _collectTiles: function (z, x, y, context, out) {
+            var screenSize = this._getTileScreenSize(z, x, y, context);
+            if (screenSize < 0 && z >= MIN_SPLIT_LEVEL) {
+                return;
+            }
+            if (
+                z < this.maxLevel
+                && (z < MIN_SPLIT_LEVEL || z < this.minLevel || screenSize > this.tileSize * 1.5)
+            ) {
+                for (var i = 0; i < 2; i++) {
+                    for (var j = 0; j < 2; j++) {
+                        this._collectTiles(z + 1, x * 2 + i, y * 2 + j, context, out);
+                    }
+                }
+            }
+            else {
+                out.push({
+                    z: z, x: x, y: y, key: getKey(z, x, y)
+                });
+            }
+        },
+
+        /**
+         * Estimated size of tile on screen in pixel, -1 if tile is invisible
+         * @param  {number} z
+         * @param  {number} x
+         * @param  {number} y
+         * @param  {Object} context
+         * @return {number}
+         * @private
+         */
+        _getTileScreenSize: (function () {
+            var p = vec3.create();
+            var dir = vec3.create();
+            var v4 = vec4.create();
+            return function (z, x, y, context) {
+                var n = Math.pow(2, z);
+                var lonMin = x / n * 360 - 180;
+                var lonMax = (x + 1) / n * 360 - 180;
+                var latMax = tileYToLat(y, z);
+                var latMin = tileYToLat(y + 1, z);
+                var isSphere = this.morph === 0;
+
+                var nadir = context.nadir;
+                var containsNadir = nadir
+                    && nadir[0] >= lonMin && nadir[0] <= lonMax
+                    && nadir[1] >= latMin && nadir[1] <= latMax;
+
+                var minX = Infinity;
+                var minY = Infinity;
+                var maxX = -Infinity;
+                var maxY = -Infinity;
+                var visible = containsNadir;
+                var behindCamera = false;
+                var minDist = Infinity;
+
+                for (var j = 0; j < SAMPLE_COUNT; j++) {
+                    var lat = tileYToLat(y + j / (SAMPLE_COUNT - 1), z);
+                    for (var i = 0; i < SAMPLE_COUNT; i++) {
+                        var lon = lonMin + (lonMax - lonMin) * i / (SAMPLE_COUNT - 1);
+                        geoProjection.project(
+                            p, lon, lat, this.radius, 0, this.morph, this.planeProjection
+                        );
+                        vec3.sub(dir, context.cameraPosition, p);
+                        minDist = Math.min(minDist, vec3.length(dir));
+                        // Point beyond the horizon
+                        if (isSphere && vec3.dot(p, dir) <= 0) {
+                            continue;
+                        }
+                        vec4.set(v4, p[0], p[1], p[2], 1);
+                        vec4.transformMat4(v4, v4, context.worldViewProjection);
+                        if (v4[3] <= 0) {
+                            behindCamera = true;
+                            continue;
+                        }
+                        var sx = (v4[0] / v4[3] + 1) / 2 * context.width;
+                        var sy = (v4[1] / v4[3] + 1) / 2 * context.height;
+                        minX = Math.min(minX, sx);
+                        minY = Math.min(minY, sy);
+                        maxX = Math.max(maxX, sx);
+                        maxY = Math.max(maxY, sy);
+                        visible = true;
+                    }
+                }
+
+                if (! visible && ! behindCamera) {
+                    return -1;
+                }
+                if (
+                    ! containsNadir && ! behindCamera
+                    && (maxX < 0 || minX > context.width || maxY < 0 || minY > context.height)
+                ) {
+                    return -1;
+                }
+
+                if (containsNadir) {
+                    minDist = Math.min(minDist, nadir[2]);
+                }
+                // Size of tile in the local space
+                var lonSpan = (lonMax - lonMin) / 180 * Math.PI;
+                var size;
+                if (isSphere) {
+                    var latSpan = (latMax - latMin) / 180 * Math.PI;
+                    var cosLat = Math.cos((latMax + latMin) / 360 * Math.PI);
+                    size = this.radius * Math.max(lonSpan * cosLat, latSpan);
+                }
+                else {
+                    // Tiles are square on the plane
+                    size = this.radius / 2 * lonSpan;
+                }
+                return size / Math.max(minDist, 1e-6) * context.pixelRatio;
+            };
+        })(),
+
+        /**
+         * Longitude, latitude and altitude of the point right below the camera.
+         * Null when the surface is morphing.
+         * @param  {Array.<number>} cameraPosition Camera position in the local space
+         * @return {Array.<number>}
+         * @private
+         */
+        _getNadir: function (cameraPosition) {
+            var x = cameraPosition[0];
+            var y = cameraPosition[1];
+            var z = cameraPosition[2];
+            if (this.morph === 0) {
+                var r = vec3.length(cameraPosition);
+                return [
+                    Math.atan2(-z, x) * 180 / Math.PI,
+                    Math.asin(y / r) * 180 / Math.PI,
+                    r - this.radius
+                ];
+            }
+            else if (this.morph === 1) {
+                var scale = this.radius / 2;
+                var lat = y / scale;
+                if (this.planeProjection === 'mercator') {
+                    lat = 2 * Math.atan(Math.exp(lat)) - Math.PI / 2;
+                }
+                return [
+                    -z / scale * 180 / Math.PI,
+                    lat * 180 / Math.PI,
+                    Math.abs(x)
+                ];
+            }
+            return null;
+        },
+
+        /**
+         * @param  {Object} tile
+         * @return {Object}
+         * @private
+         */
+        _getLoadedAncestor: function (tile) {
+            var z = tile.z;
+            var x = tile.x;
+            var y = tile.y;
+            while (z > 0) {
+                z--;
+                x = Math.floor(x / 2);
+                y = Math.floor(y / 2);
+                var key = getKey(z, x, y);
+                if (this._images.get(key)) {
+                    return {
+                        z: z, x: x, y: y, key: key
+                    };
+                }
+            }
+            return null;
+        },
+
+        /**
+         * @param  {Object} tile
+         * @param  {Object} tiles Tiles keyed by tile key
+         * @return {boolean}
+         * @private
+         */
+        _hasAncestorIn: function (tile, tiles) {
+            var x = tile.x;
+            var y = tile.y;
+            for (var z = tile.z - 1; z >= 0; z--) {
+                x = Math.floor(x / 2);
+                y = Math.floor(y / 2);
+                if (tiles[getKey(z, x, y)]) {
+                    return true;
+                }
+            }
+            return false;
+        },
+
+        /**
+         * @param  {Object} tile
+         * @private
+         */
+        _addMesh: function (tile) {
+            var texture = new Texture2D({
+                image: this._images.get(tile.key),
+                flipY: false
+            });
+            var mesh = new Mesh({
+                name: 'tile-' + tile.key,
+                geometry: new TilePatchGeometry({
+                    z: tile.z,
+                    x: tile.x,
+                    y: tile.y,
+                    radius: this.radius,
+                    distance: this.distance,
+                    morph: this.morph,
+                    planeProjection: this.planeProjection,
+                    heightField: this.heightField,
+                    displacementScale: this.displacementScale
+                }),
+                material: new Material({
+                    shader: this.shader
+                }),
+                // Regions on the earth mesh are picked
+                ignorePicking: true,
+                castShadow: false
+            });
+            mesh.material.set('diffuseMap', texture);
+
+            this._meshes[tile.key] = mesh;
+            this.root.add(mesh);
+        },
+
+        /**
+         * @param  {string} key
+         * @private
+         */
+        _removeMesh: function (key) {
+            var mesh = this._meshes[key];
+            this.root.remove(mesh);
+            if (this.renderer) {
+                this.renderer.disposeGeometry(mesh.geometry);
+                this.renderer.disposeTexture(mesh.material.get('diffuseMap'));
+            }
+            delete this._meshes[key];
+        },
+
+        /**
+         * Sync layout and shader of tile mesh
+         * @param  {qtek.Mesh} mesh
+         * @return {boolean} If mesh changed
+         * @private
+         */
+        _updateMesh: function (mesh) {
+            var geometry = mesh.geometry;
+            var changed = false;
+            if (
+                geometry.distance !== this.distance
+                || geometry.morph !== this.morph
+                || geometry.planeProjection !== this.planeProjection
+                || geometry.heightField !== this.heightField
+                || geometry.displacementScale !== this.displacementScale
+            ) {
+                geometry.distance = this.distance;
+                geometry.morph = this.morph;
+                geometry.planeProjection = this.planeProjection;
+                geometry.heightField = this.heightField;
+                geometry.displacementScale = this.displacementScale;
+                geometry.updatePositions();
+                changed = true;
+            }
+            if (mesh.material.shader !== this.shader) {
+                mesh.material.attachShader(this.shader, true);
+                changed = true;
+            }
+            return changed;
+        },
+
+        /**
+         * @param  {Object} tile
+         * @private
+         */
+        _enqueue: function (tile) {
+            var key = tile.key;
+            if (this._loading[key] || this._failed[key]) {
+                return;
+            }
+            for (var i = 0; i < this._queue.length; i++) {
+                if (this._queue[i].key === key) {
+                    return;
+                }
+            }
+            this._queue.push(tile);
+        },
+
+        /**
+         * Load tiles in queue which are still needed
+         * @private
+         */
+        _loadQueue: function () {
+            var needed = this._needed;
+            this._queue = this._queue.filter(function (tile) {
+                return needed[tile.key];
+            });
+            while (this._loadingCount < MAX_LOADING_COUNT && this._queue.length) {
+                this._loadTile(this._queue.shift());
+            }
+        },
+
+        /**
+         * @param  {Object} tile
+         * @private
+         */
+        _loadTile: function (tile) {
+            var self = this;
+            var key = tile.key;
+
+            this._loading[key] = true;
+            this._loadingCount++;
+
+            var loaded = false;
+            function done(image) {
+                if (self._disposed || loaded) {
+                    return;
+                }
+                loaded = true;
+                delete self._loading[key];
+                self._loadingCount--;
+                if (image) {
+                    self._images.put(key, image);
+                }
+                else {
+                    self._failed[key] = true;
+                }
+                self._loadQueue();
+                self.onload();
+            }
+
+            var y = this.scheme === 'tms' ? Math.pow(2, tile.z) - 1 - tile.y : tile.y;
+            var source = this.loader
+                ? this.loader(tile.z, tile.x, y, done)
+                : this._getUrl(tile.z, tile.x, y);
+
+            if (typeof source === 'string') {
+                loadImage(source, done);
+            }
+            else if (source) {
+                if (source.nodeName && source.nodeName.toUpperCase() === 'IMG' && ! source.complete) {
+                    source.onload = function () {
+                        done(source);
+                    };
+                    source.onerror = function () {
+                        done(null);
+                    };
+                }
+                else {
+                    done(source);
+                }
+            }
+        },
+
+        /**
+         * @param  {number} z
+         * @param  {number} x
+         * @param  {number} y
+         * @return {string}
+         * @private
+         */
+        _getUrl: function (z, x, y) {
+            var subdomains = this.subdomains;
+            return this.url
+                .replace('{s}', subdomains[(x + y) % subdomains.length] || '')
+                .replace('{z}', z)
+                .replace('{x}', x)
+                .replace('{y}', y);
+        },
+
+        /**
+         * Dispose tile meshes and stop loading
+         */
+        dispose: function () {
+            for (var key in this._meshes) {
+                this._removeMesh(key);
+            }
+            this._images.clear();
+            this._queue = [];
+            this._disposed = true;
+        }
+    };
+
+    return TileLayer;
+});
@@ -0,0 +1,101 @@
+/**
+ * Project geographic coordinates to the local space of globe scene node.
+ * Globe is centered at origin, and longitude 0 is on the +x axis.
+ * Plane lies on the yz plane and faces +x, so both layouts look the same from the front.
+ *
+ * @module echarts-x/util/geoProjection
+ * @author Yi Shen(https://github.com/pissang)
+ */
+
+define(function (require) {
+
+    'use strict';
+
+    var PI = Math.PI;
+    var sin = Math.sin;
+    var cos = Math.cos;
+
+    // Latitude out of this range will be infinity in mercator projection
+    var MERCATOR_MAX_LAT = 85.0511;
+
+    var tmp = [0, 0, 0];
+
+    var geoProjection = {
+
+        /**
+         * Project on the sphere surface
+         * @param  {Array.<number>} out
+         * @param  {number} lon Longitude in degree
+         * @param  {number} lat Latitude in degree
+         * @param  {number} radius Radius of globe
+         * @param  {number} distance Distance to the surface
+         * @return {Array.<number>}
+         */
+        sphere: function (out, lon, lat, radius, distance) {
+            lon = PI * lon / 180;
+            lat = PI * lat / 180;
+
+            var r = radius + distance;
+            var r0 = cos(lat) * r;
+            out[0] = -r0 * cos(lon + PI);
+            out[1] = sin(lat) * r;
+            out[2] = r0 * sin(lon + PI);
+            return out;
+        },
+
+        /**
+         * Project on the plane.
+         * Width of plane is the half circumference of globe.
+         * @param  {Array.<number>} out
+         * @param  {number} lon Longitude in degree
+         * @param  {number} lat Latitude in degree
+         * @param  {number} radius Radius of globe
+         * @param  {number} distance Distance to the surface
+         * @param  {string} [type='equirectangular'] 'equirectangular' | 'mercator'
+         * @return {Array.<number>}
+         */
+        plane: function (out, lon, lat, radius, distance, type) {
+            var scale = radius / 2;
+            var y;
+            if (type === 'mercator') {
+                lat = Math.max(Math.min(lat, MERCATOR_MAX_LAT), -MERCATOR_MAX_LAT);
+                y = Math.log(Math.tan(PI / 4 + PI * lat / 360));
+            }
+            else {
+                y = PI * lat / 180;
+            }
+            out[0] = distance;
+            out[1] = y * scale;
+            out[2] = -PI * lon / 180 * scale;
+            return out;
+        },
+
+        /**
+         * Project on the morphing surface between sphere and plane
+         * @param  {Array.<number>} out
+         * @param  {number} lon Longitude in degree
+         * @param  {number} lat Latitude in degree
+         * @param  {number} radius Radius of globe
+         * @param  {number} distance Distance to the surface
+         * @param  {number} morph 0 is sphere and 1 is plane
+         * @param  {string} [type='equirectangular'] Projection type of plane
+         * @return {Array.<number>}
+         */
+        project: function (out, lon, lat, radius, distance, morph, type) {
+            if (morph <= 0) {
+                return geoProjection.sphere(out, lon, lat, radius, distance);
+            }
+            if (morph >= 1) {
+                return geoProjection.plane(out, lon, lat, radius, distance, type);
+            }
+            geoProjection.sphere(tmp, lon, lat, radius, distance);
+            geoProjection.plane(out, lon, lat, radius, distance, type);
+            for (var i = 0; i < 3; i++) {
+                out[i] = tmp[i] + (out[i] - tmp[i]) * morph;
+            }
+            return out;
+        }
+    };
+
+    return geoProjection;
+});
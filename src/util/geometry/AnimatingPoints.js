@@ -22,6 +22,8 @@ define(function (require) {
                 size: new Geometry.Attribute('size', 'float', 1, '', true),
                 delay: new Geometry.Attribute('delay', 'float', 1, '',true),
                 color: new Geometry.Attribute('color', 'float', 4, 'COLOR', true),
+                // Index of point, used in color picking
+                pickIndex: new Geometry.Attribute('pickIndex', 'float', 1, '', true)
             }
         }
     },
@@ -37,6 +39,7 @@ define(function (require) {
             attributes.color.value.length = 0;
             attributes.size.value.length = 0;
             attributes.delay.value.length = 0;
+            attributes.pickIndex.value.length = 0;
         },
 
         /**
@@ -49,6 +52,7 @@ define(function (require) {
         addPoint: function (position, color, size, delayTime) {
             var attributes = this.attributes;
 
+            attributes.pickIndex.value.push(attributes.position.value.length);
             attributes.position.value.push(position._array);
             attributes.color.value.push(color);
             attributes.size.value.push(size);
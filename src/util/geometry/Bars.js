@@ -8,30 +8,103 @@
 define(function (require) {
 
     var DynamicGeometry = require('qtek/DynamicGeometry');
-    var Geometry = require('qtek/Geometry');
-    var CubeGeometry = require('qtek/geometry/Cube');
     var Matrix4 = require('qtek/math/Matrix4');
     var Vector3 = require('qtek/math/Vector3');
+    var BoundingBox = require('qtek/math/BoundingBox');
+    var Ray = require('qtek/math/Ray');
 
     var glMatrix = require('qtek/dep/glmatrix');
     var vec3 = glMatrix.vec3;
+    var mat3 = glMatrix.mat3;
 
-    var cubePositions = [
-        [-1, -1, 0], [1, -1, 0], [1, 1, 0], [-1, 1, 0],
-        [-1, -1, -2], [1, -1, -2], [1, 1, -2], [-1, 1, -2]
-    ];
-    var cubeFaces = [
-        // PX
-        [1, 5, 6], [1, 6, 2],
-        // NX
-        [0, 3, 7], [0, 7, 4],
-        // PY
-        [3, 2, 7], [2, 6, 7],
-        // NY
-        [1, 4, 5], [1, 0, 4],
-        // NZ
-        [4, 6, 5], [4, 7, 6]
-    ];
+    var PI2 = Math.PI * 2;
+    var CIRCLE_SEGMENTS = 16;
+
+    /**
+     * Create a unit prism with base at z = 0 and top at z = -2.
+     * Vertices are not shared between faces of flat shading.
+     * @param  {number} n Number of sides
+     * @param  {boolean} flat Flat shading or smooth shading
+     * @return {Object}
+     */
+    function createPrism(n, flat) {
+        var shape = { positions: [], normals: [], tops: [], faces: [] };
+        // Flat prism circumscribes the unit circle, so the cube is from -1 to 1
+        var r = flat ? 1 / Math.cos(Math.PI / n) : 1;
+        for (var i = 0; i < n; i++) {
+            var a0 = (i + 0.5) / n * PI2;
+            var a1 = (i + 1.5) / n * PI2;
+            var am = (i + 1) / n * PI2;
+            var nx0 = Math.cos(flat ? am : a0);
+            var ny0 = Math.sin(flat ? am : a0);
+            var nx1 = Math.cos(flat ? am : a1);
+            var ny1 = Math.sin(flat ? am : a1);
+
+            var idx = shape.positions.length;
+            addVertex(shape, r * Math.cos(a0), r * Math.sin(a0), 0, nx0, ny0, 0, 0);
+            addVertex(shape, r * Math.cos(a1), r * Math.sin(a1), 0, nx1, ny1, 0, 0);
+            addVertex(shape, r * Math.cos(a1), r * Math.sin(a1), -2, nx1, ny1, 0, 1);
+            addVertex(shape, r * Math.cos(a0), r * Math.sin(a0), -2, nx0, ny0, 0, 1);
+            shape.faces.push([idx, idx + 2, idx + 1], [idx, idx + 3, idx + 2]);
+        }
+        // Top cap
+        var center = shape.positions.length;
+        addVertex(shape, 0, 0, -2, 0, 0, -1, 1);
+        for (var i = 0; i < n; i++) {
+            var a = (i + 0.5) / n * PI2;
+            addVertex(shape, r * Math.cos(a), r * Math.sin(a), -2, 0, 0, -1, 1);
+            shape.faces.push([center, center + 1 + (i + 1) % n, center + 1 + i]);
+        }
+        return shape;
+    }
+
+    /**
+     * Create a unit pyramid with base at z = 0 and apex at z = -2.
+     * @param  {number} n Number of sides
+     * @param  {boolean} flat Flat shading or smooth shading
+     * @return {Object}
+     */
+    function createPyramid(n, flat) {
+        var shape = { positions: [], normals: [], tops: [], faces: [] };
+        var r = flat ? 1 / Math.cos(Math.PI / n) : 1;
+        // Normal of side is perpendicular to the slant edge from base to apex
+        var nz = -Math.cos(Math.PI / n) * r / 2;
+        for (var i = 0; i < n; i++) {
+            var a0 = (i + 0.5) / n * PI2;
+            var a1 = (i + 1.5) / n * PI2;
+            var am = (i + 1) / n * PI2;
+
+            var idx = shape.positions.length;
+            if (flat) {
+                addVertex(shape, r * Math.cos(a0), r * Math.sin(a0), 0, Math.cos(am), Math.sin(am), nz, 0);
+                addVertex(shape, r * Math.cos(a1), r * Math.sin(a1), 0, Math.cos(am), Math.sin(am), nz, 0);
+            }
+            else {
+                addVertex(shape, Math.cos(a0), Math.sin(a0), 0, Math.cos(a0), Math.sin(a0), -0.5, 0);
+                addVertex(shape, Math.cos(a1), Math.sin(a1), 0, Math.cos(a1), Math.sin(a1), -0.5, 0);
+            }
+            // Apex of each side has its own normal
+            addVertex(shape, 0, 0, -2, Math.cos(am), Math.sin(am), flat ? nz : -0.5, 1);
+            shape.faces.push([idx, idx + 2, idx + 1]);
+        }
+        return shape;
+    }
+
+    function addVertex(shape, x, y, z, nx, ny, nz, top) {
+        var normal = vec3.fromValues(nx, ny, nz);
+        vec3.normalize(normal, normal);
+        shape.positions.push(vec3.fromValues(x, y, z));
+        shape.normals.push(normal);
+        shape.tops.push(top);
+    }
+
+    // Unit shapes of bar, radius is 1 and height is 2
+    var shapes = {
+        cube: createPrism(4, true),
+        cylinder: createPrism(CIRCLE_SEGMENTS, false),
+        pyramid: createPyramid(4, true),
+        cone: createPyramid(CIRCLE_SEGMENTS, false)
+    };
 
     /**
      * @constructor
@@ -41,8 +114,19 @@ define(function (require) {
     var BarsGeometry = DynamicGeometry.derive(function () {
         return {
             _barMat: new Matrix4(),
-            _barScaleVec: new Vector3()
+            _barNormalMat: mat3.create(),
+            _barScaleVec: new Vector3(),
+            _barDir: new Vector3(),
+            // Transform of each bar from the unit box, used in picking
+            _barMatrices: [],
+            _barInvMatrices: [],
+            // Unit shape and start vertex of each bar, used in updating
+            _barShapes: [],
+            _barOffsets: []
         }
+    }, function () {
+        // Index of bar each vertex belongs to, used in color picking
+        this.createAttribute('pickIndex', 'float', 1);
     },
     /** @lends module:echarts-x/util/geometry/Bars.prototype */
     {
@@ -51,8 +135,22 @@ define(function (require) {
          */
         clearBars: function () {
             this.attributes.position.value.length = 0;
+            this.attributes.normal.value.length = 0;
             this.attributes.color.value.length = 0;
+            this.attributes.pickIndex.value.length = 0;
             this.faces.length = 0;
+            this._barMatrices.length = 0;
+            this._barInvMatrices.length = 0;
+            this._barShapes.length = 0;
+            this._barOffsets.length = 0;
+        },
+
+        /**
+         * Get number of bars
+         * @return {number}
+         */
+        getBarNumber: function () {
+            return this._barMatrices.length;
         },
 
         /**
@@ -61,36 +159,130 @@ define(function (require) {
          * @param {qtek.math.Vector3} end
          * @param {number} size
          * @param {Array.<number>} color
+         * @param {string} [shape='cube'] 'cube' | 'cylinder' | 'cone' | 'pyramid'
+         * @param {Array.<number>} [baseColor] Color of bar base, gradient to color on the top
+         * @return {boolean} If bar is added, bar with zero height is not added
          */
-        addBar: function (start, end, size, color) {
-            var cubeGeo = this._cubeGeometry;
-            var barMat = this._barMat;
-            var scaleVec = this._barScaleVec;
-            var height = Vector3.dist(start, end);
-            if (height <= 0) {
-                return;
+        addBar: function (start, end, size, color, shape, baseColor) {
+            if (Vector3.dist(start, end) <= 0) {
+                return false;
             }
-            Vector3.set(scaleVec, size * 0.5, size * 0.5, height * 0.5);
-            Matrix4.identity(barMat);
-            Matrix4.lookAt(barMat, start, end, Vector3.UP);
-            Matrix4.invert(barMat, barMat);
-            Matrix4.scale(barMat, barMat, scaleVec);
+            var shapeData = shapes[shape] || shapes.cube;
 
             var nVertexBase = this.getVertexNumber();
-            for (var i = 0; i < cubeFaces.length; i++) {
-                var face = vec3.clone(cubeFaces[i]);
+            var faces = shapeData.faces;
+            for (var i = 0; i < faces.length; i++) {
+                var face = vec3.clone(faces[i]);
                 face[0] += nVertexBase;
                 face[1] += nVertexBase;
                 face[2] += nVertexBase;
                 this.faces.push(face);
             }
-            for (var i = 0; i < cubePositions.length; i++) {
-                var pos = vec3.clone(cubePositions[i]);
+
+            this._barMatrices.push(new Matrix4());
+            this._barInvMatrices.push(new Matrix4());
+            this._barShapes.push(shapeData);
+            this._barOffsets.push(nVertexBase);
+
+            this._setBarVertices(
+                this._barMatrices.length - 1, start, end, size, color, baseColor
+            );
+            return true;
+        },
+
+        /**
+         * Update position, size and color of a bar, shape of bar is not changed.
+         * Only the vertices of bar are updated.
+         * @param {number} index
+         * @param {qtek.math.Vector3} start
+         * @param {qtek.math.Vector3} end
+         * @param {number} size
+         * @param {Array.<number>} color
+         * @param {Array.<number>} [baseColor]
+         * @return {boolean} If bar is updated, bar can't be updated to zero height
+         */
+        updateBar: function (index, start, end, size, color, baseColor) {
+            if (! this._barShapes[index] || Vector3.dist(start, end) <= 0) {
+                return false;
+            }
+            this._setBarVertices(index, start, end, size, color, baseColor);
+            return true;
+        },
+
+        _setBarVertices: function (index, start, end, size, color, baseColor) {
+            var barMat = this._barMat;
+            var normalMat = this._barNormalMat;
+            var scaleVec = this._barScaleVec;
+            var dir = this._barDir;
+            var height = Vector3.dist(start, end);
+            var shapeData = this._barShapes[index];
+            baseColor = baseColor || color;
+
+            Vector3.set(scaleVec, size * 0.5, size * 0.5, height * 0.5);
+            Matrix4.identity(barMat);
+            // Up vector of lookAt can't be parallel to the bar
+            Vector3.sub(dir, end, start);
+            var up = Math.abs(dir.y) / height > 0.999 ? Vector3.POSITIVE_Z : Vector3.UP;
+            Matrix4.lookAt(barMat, start, end, up);
+            Matrix4.invert(barMat, barMat);
+            Matrix4.scale(barMat, barMat, scaleVec);
+            mat3.normalFromMat4(normalMat, barMat._array);
+            this._barMatrices[index].copy(barMat);
+            Matrix4.invert(this._barInvMatrices[index], barMat);
+
+            var attributes = this.attributes;
+            var offset = this._barOffsets[index];
+            var positions = shapeData.positions;
+            var normals = shapeData.normals;
+            for (var i = 0; i < positions.length; i++) {
+                var pos = vec3.clone(positions[i]);
                 vec3.transformMat4(pos, pos, barMat._array);
-                this.attributes.position.value.push(pos);
-                this.attributes.color.value.push(color);
+                var normal = vec3.clone(normals[i]);
+                vec3.transformMat3(normal, normal, normalMat);
+                vec3.normalize(normal, normal);
+                attributes.position.value[offset + i] = pos;
+                attributes.normal.value[offset + i] = normal;
+                attributes.color.value[offset + i] = shapeData.tops[i] ? color : baseColor;
+                attributes.pickIndex.value[offset + i] = index;
             }
-        }
+        },
+
+        /**
+         * Pick the nearest bar with a ray in the local space of geometry.
+         * Bar is tested with its bounding box.
+         * @param  {qtek.math.Ray} ray
+         * @param  {qtek.math.Vector3} [out] Intersection point
+         * @param  {number} [barIndex] Only test the bar of given index
+         * @return {number} Index of bar, -1 if not picked
+         */
+        pickBar: (function () {
+            var unitBox = new BoundingBox(new Vector3(-1, -1, -2), new Vector3(1, 1, 0));
+            var localRay = new Ray();
+            var point = new Vector3();
+            return function (ray, out, barIndex) {
+                var index = -1;
+                var minDist = Infinity;
+                var start = barIndex >= 0 ? barIndex : 0;
+                var end = barIndex >= 0
+                    ? Math.min(barIndex + 1, this._barMatrices.length) : this._barMatrices.length;
+                for (var i = start; i < end; i++) {
+                    localRay.copy(ray);
+                    localRay.applyTransform(this._barInvMatrices[i]);
+                    if (localRay.intersectBoundingBox(unitBox, point)) {
+                        Vector3.transformMat4(point, point, this._barMatrices[i]);
+                        var dist = Vector3.squaredDistance(point, ray.origin);
+                        if (dist < minDist) {
+                            minDist = dist;
+                            index = i;
+                            if (out) {
+                                Vector3.copy(out, point);
+                            }
+                        }
+                    }
+                }
+                return index;
+            };
+        })()
     });
     
     return BarsGeometry;
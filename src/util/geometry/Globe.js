@@ -0,0 +1,186 @@
+/**
+ * Globe surface geometry which can be morphed between sphere and plane.
+ * Texture coordinates are the same with qtek.geometry.Sphere,
+ * so the equirectangular base texture can be mapped on it in both layouts.
+ *
+ * @module echarts-x/util/geometry/Globe
+ * @author Yi Shen(https://github.com/pissang)
+ */
+
+define(function (require) {
+
+    var DynamicGeometry = require('qtek/DynamicGeometry');
+    var glMatrix = require('qtek/dep/glmatrix');
+    var vec3 = glMatrix.vec3;
+    var vec2 = glMatrix.vec2;
+
+    var geoProjection = require('../geoProjection');
+
+    /**
+     * @constructor
+     * @alias module:echarts-x/util/geometry/Globe
+     * @extends qtek.DynamicGeometry
+     */
+    var GlobeGeometry = DynamicGeometry.derive({
+
+        widthSegments: 40,
+
+        heightSegments: 40,
+
+        /**
+         * Radius of globe
+         * @type {number}
+         */
+        radius: 1,
+
+        /**
+         * Distance to the globe surface
+         * @type {number}
+         */
+        distance: 0,
+
+        /**
+         * 0 is sphere and 1 is plane
+         * @type {number}
+         */
+        morph: 0,
+
+        /**
+         * Projection type of plane, 'equirectangular' | 'mercator'
+         * @type {string}
+         */
+        planeProjection: 'equirectangular',
+
+        /**
+         * Height field displacing the vertices
+         * @type {module:echarts-x/util/HeightField}
+         */
+        heightField: null,
+
+        /**
+         * Displaced distance of the highest point in height field
+         * @type {number}
+         */
+        displacementScale: 0
+
+    }, function () {
+        this.build();
+    },
+    /** @lends module:echarts-x/util/geometry/Globe.prototype */
+    {
+        /**
+         * Build vertices and faces
+         */
+        build: function () {
+            var positions = this.attributes.position.value;
+            var texcoords = this.attributes.texcoord0.value;
+            positions.length = 0;
+            texcoords.length = 0;
+            this.faces.length = 0;
+
+            var widthSegments = this.widthSegments;
+            var heightSegments = this.heightSegments;
+
+            for (var j = 0; j <= heightSegments; j++) {
+                for (var i = 0; i <= widthSegments; i++) {
+                    var u = i / widthSegments;
+                    var v = j / heightSegments;
+                    positions.push(vec3.create());
+                    texcoords.push(vec2.fromValues(u, v));
+                }
+            }
+
+            var len = widthSegments + 1;
+            for (var j = 0; j < heightSegments; j++) {
+                for (var i = 0; i < widthSegments; i++) {
+                    var i2 = j * len + i;
+                    var i1 = j * len + i + 1;
+                    var i4 = (j + 1) * len + i + 1;
+                    var i3 = (j + 1) * len + i;
+
+                    this.faces.push(vec3.fromValues(i1, i2, i4));
+                    this.faces.push(vec3.fromValues(i2, i3, i4));
+                }
+            }
+
+            this.updatePositions();
+        },
+
+        /**
+         * Update vertex positions and normals after morph or displacement changed
+         */
+        updatePositions: function () {
+            var positions = this.attributes.position.value;
+            var normals = this.attributes.normal.value;
+            var widthSegments = this.widthSegments;
+            var heightSegments = this.heightSegments;
+            var radius = this.radius;
+            var distance = this.distance;
+            var morph = this.morph;
+            var type = this.planeProjection;
+            var heightField = this.displacementScale ? this.heightField : null;
+            var displacementScale = this.displacementScale;
+            normals.length = 0;
+
+            var idx = 0;
+            for (var j = 0; j <= heightSegments; j++) {
+                var lat = 90 - j / heightSegments * 180;
+                for (var i = 0; i <= widthSegments; i++) {
+                    var lon = i / widthSegments * 360 - 180;
+                    var pos = positions[idx++];
+                    var height = heightField
+                        ? heightField.getHeight(lon, lat) * displacementScale : 0;
+                    geoProjection.project(pos, lon, lat, radius, distance + height, morph, type);
+
+                    // Normal of sphere is the normalized position, normal of plane is +x
+                    var normal = vec3.fromValues(0, 0, 0);
+                    geoProjection.sphere(normal, lon, lat, 1, 0);
+                    vec3.lerp(normal, normal, [1, 0, 0], morph);
+                    vec3.normalize(normal, normal);
+                    normals.push(normal);
+                }
+            }
+
+            if (heightField) {
+                this._updateDisplacedNormals();
+            }
+
+            this.updateBoundingBox();
+            this.dirty();
+        },
+
+        /**
+         * Normals of displaced surface are computed from the faces.
+         * Normals on the seam of sphere are averaged and the poles keep the sphere normals.
+         * @private
+         */
+        _updateDisplacedNormals: function () {
+            var normals = this.attributes.normal.value;
+            var widthSegments = this.widthSegments;
+            var heightSegments = this.heightSegments;
+            var len = widthSegments + 1;
+            var poleNormals = [
+                vec3.clone(normals[0]),
+                vec3.clone(normals[heightSegments * len])
+            ];
+
+            this.generateVertexNormals();
+
+            if (this.morph === 0) {
+                for (var j = 1; j < heightSegments; j++) {
+                    var n0 = normals[j * len];
+                    var n1 = normals[j * len + widthSegments];
+                    vec3.add(n0, n0, n1);
+                    vec3.normalize(n0, n0);
+                    vec3.copy(n1, n0);
+                }
+            }
+            for (var i = 0; i <= widthSegments; i++) {
+                vec3.copy(normals[i], poleNormals[0]);
+                vec3.copy(normals[heightSegments * len + i], poleNormals[1]);
+            }
+        }
+    });
+
+    return GlobeGeometry;
+});
@@ -24,8 +24,11 @@ define(function (require) {
         return {
             attributes: {
                 position: new Geometry.Attribute('position', 'float', 3, 'POSITION', true),
-                color: new Geometry.Attribute('color', 'float', 4, 'COLOR', true)
-            }
+                color: new Geometry.Attribute('color', 'float', 4, 'COLOR', true),
+                // Index of line or curve each vertex belongs to, used in color picking
+                pickIndex: new Geometry.Attribute('pickIndex', 'float', 1, '', true)
+            },
+            _lineNumber: 0
         };
     },
     /** @lends module: echarts-x/util/geometry/Lines.prototype */
@@ -36,7 +39,18 @@ define(function (require) {
         clearLines: function () {
             this.attributes.position.value.length = 0;
             this.attributes.color.value.length = 0;
+            this.attributes.pickIndex.value.length = 0;
+            this._lineNumber = 0;
+        },
+
+        /**
+         * Get number of lines and curves
+         * @return {number}
+         */
+        getLineNumber: function () {
+            return this._lineNumber;
         },
+
         /**
          * Add a straight line
          * @param {qtek.math.Vector3} p0
@@ -46,6 +60,8 @@ define(function (require) {
         addLine: function (p0, p1, color) {
             this.attributes.position.value.push(p0._array, p1._array);
             this.attributes.color.value.push(color, color);
+            this.attributes.pickIndex.value.push(this._lineNumber, this._lineNumber);
+            this._lineNumber++;
         },
 
         /**
@@ -102,6 +118,8 @@ define(function (require) {
 
             var positionArr = this.attributes.position.value;
             var colorArr = this.attributes.color.value;
+            var pickIndexArr = this.attributes.pickIndex.value;
+            var lineIndex = this._lineNumber++;
             var offset = positionArr.length;
             var len = 0;
             var t = 0;
@@ -109,10 +127,12 @@ define(function (require) {
                 if (len > 1) {
                     positionArr.push(positionArr[offset + len - 1]);
                     colorArr.push(colorArr[offset + len - 1]);
+                    pickIndexArr.push(lineIndex);
                     len++;
                 }
                 positionArr.push(vec3.fromValues(fx, fy, fz));
                 colorArr.push(color);
+                pickIndexArr.push(lineIndex);
                 len++;
 
                 fx += dfx; fy += dfy; fz += dfz;
@@ -20,7 +20,9 @@ define(function (require) {
             attributes: {
                 position: new Geometry.Attribute('position', 'float', 3, 'POSITION', true),
                 size: new Geometry.Attribute('size', 'float', 1, '', true),
-                color: new Geometry.Attribute('color', 'float', 4, 'COLOR', true)
+                color: new Geometry.Attribute('color', 'float', 4, 'COLOR', true),
+                // Index of point, used in color picking
+                pickIndex: new Geometry.Attribute('pickIndex', 'float', 1, '', true)
             }
         }
     },
@@ -35,6 +37,7 @@ define(function (require) {
             attributes.position.value.length = 0;
             attributes.color.value.length = 0;
             attributes.size.value.length = 0;
+            attributes.pickIndex.value.length = 0;
         },
 
         /**
@@ -46,6 +49,7 @@ define(function (require) {
         addPoint: function (position, color, size) {
             var attributes = this.attributes;
 
+            attributes.pickIndex.value.push(attributes.position.value.length);
             attributes.position.value.push(position._array);
             attributes.color.value.push(color);
             attributes.size.value.push(size);
@@ -0,0 +1,393 @@
+/**
+ * Geometry of map region polygons extruded on the globe.
+ * Polygons in longitude and latitude are triangulated with ear clipping,
+ * and subdivided so that the triangles can fit the sphere surface.
+ *
+ * @module echarts-x/util/geometry/Region
+ * @author Yi Shen(https://github.com/pissang)
+ */
+
+define(function (require) {
+
+    var DynamicGeometry = require('qtek/DynamicGeometry');
+    var glMatrix = require('qtek/dep/glmatrix');
+    var vec3 = glMatrix.vec3;
+
+    var geoProjection = require('../geoProjection');
+
+    function signedArea(ring) {
+        var area = 0;
+        for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+        }
+        return area / 2;
+    }
+
+    // Remove the duplicate points and closing point of ring
+    function cleanRing(ring) {
+        var out = [];
+        for (var i = 0; i < ring.length; i++) {
+            var p = ring[i];
+            var last = out[out.length - 1];
+            if (! last || last[0] !== p[0] || last[1] !== p[1]) {
+                out.push([p[0], p[1]]);
+            }
+        }
+        if (out.length > 1) {
+            var first = out[0];
+            var last = out[out.length - 1];
+            if (first[0] === last[0] && first[1] === last[1]) {
+                out.pop();
+            }
+        }
+        return out;
+    }
+
+    function cross(a, b, c) {
+        return (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+    }
+
+    function pointInTriangle(p, a, b, c) {
+        return cross(a, b, p) >= 0 && cross(b, c, p) >= 0 && cross(c, a, p) >= 0;
+    }
+
+    function segmentsIntersect(p0, p1, p2, p3) {
+        var d1 = cross(p2, p3, p0);
+        var d2 = cross(p2, p3, p1);
+        var d3 = cross(p0, p1, p2);
+        var d4 = cross(p0, p1, p3);
+        return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0))
+            && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+    }
+
+    /**
+     * Merge hole into the outer ring with a bridge between two mutually visible vertices
+     */
+    function mergeHole(outer, hole) {
+        var mIdx = 0;
+        for (var i = 1; i < hole.length; i++) {
+            if (hole[i][0] > hole[mIdx][0]) {
+                mIdx = i;
+            }
+        }
+        var m = hole[mIdx];
+        var pIdx = -1;
+        var minDist = Infinity;
+        for (var i = 0; i < outer.length; i++) {
+            var p = outer[i];
+            var dist = (p[0] - m[0]) * (p[0] - m[0]) + (p[1] - m[1]) * (p[1] - m[1]);
+            if (dist >= minDist) {
+                continue;
+            }
+            var visible = true;
+            for (var k = 0, j = outer.length - 1; k < outer.length; j = k++) {
+                if (segmentsIntersect(m, p, outer[j], outer[k])) {
+                    visible = false;
+                    break;
+                }
+            }
+            if (visible) {
+                for (var k = 0, j = hole.length - 1; k < hole.length; j = k++) {
+                    if (segmentsIntersect(m, p, hole[j], hole[k])) {
+                        visible = false;
+                        break;
+                    }
+                }
+            }
+            if (visible) {
+                minDist = dist;
+                pIdx = i;
+            }
+        }
+        if (pIdx < 0) {
+            // No visible vertex, ignore the hole
+            return outer;
+        }
+        var merged = outer.slice(0, pIdx + 1);
+        for (var i = 0; i <= hole.length; i++) {
+            merged.push(hole[(mIdx + i) % hole.length]);
+        }
+        merged.push(outer[pIdx]);
+        return merged.concat(outer.slice(pIdx + 1));
+    }
+
+    /**
+     * Ear clipping triangulation of a counter clockwise ring
+     * @return {Array.<Array.<number>>} Triangles of point indices
+     */
+    function earClip(points) {
+        var indices = [];
+        for (var i = 0; i < points.length; i++) {
+            indices.push(i);
+        }
+        var triangles = [];
+        var cursor = 0;
+        var tried = 0;
+        while (indices.length > 3) {
+            var n = indices.length;
+            cursor = cursor % n;
+            var i0 = indices[(cursor + n - 1) % n];
+            var i1 = indices[cursor];
+            var i2 = indices[(cursor + 1) % n];
+            var a = points[i0];
+            var b = points[i1];
+            var c = points[i2];
+
+            var isEar = cross(a, b, c) > 0;
+            if (isEar) {
+                for (var k = 0; k < n; k++) {
+                    var idx = indices[k];
+                    if (idx === i0 || idx === i1 || idx === i2) {
+                        continue;
+                    }
+                    var p = points[idx];
+                    // Points of bridge are duplicated
+                    if ((p[0] === a[0] && p[1] === a[1])
+                        || (p[0] === b[0] && p[1] === b[1])
+                        || (p[0] === c[0] && p[1] === c[1])
+                    ) {
+                        continue;
+                    }
+                    if (pointInTriangle(p, a, b, c)) {
+                        isEar = false;
+                        break;
+                    }
+                }
+            }
+            // Clip anyway if no ear is found in a whole loop, polygon may be self intersected
+            if (isEar || tried >= n) {
+                triangles.push([i0, i1, i2]);
+                indices.splice(cursor, 1);
+                tried = 0;
+            }
+            else {
+                cursor++;
+                tried++;
+            }
+        }
+        if (indices.length === 3) {
+            triangles.push(indices.slice());
+        }
+        return triangles;
+    }
+
+    /**
+     * Subdivide triangles by splitting the longest edge until all edges are shorter than maxEdge.
+     * Split points are shared by triangles on the same edge, so there is no crack.
+     */
+    function subdivide(points, triangles, maxEdge) {
+        var midPoints = {};
+        var maxEdgeSquare = maxEdge * maxEdge;
+        var out = [];
+
+        function edgeLenSquare(i, j) {
+            var dx = points[i][0] - points[j][0];
+            var dy = points[i][1] - points[j][1];
+            return dx * dx + dy * dy;
+        }
+        function getMidPoint(i, j) {
+            var key = i < j ? i + '_' + j : j + '_' + i;
+            if (midPoints[key] == null) {
+                midPoints[key] = points.length;
+                points.push([
+                    (points[i][0] + points[j][0]) / 2,
+                    (points[i][1] + points[j][1]) / 2
+                ]);
+            }
+            return midPoints[key];
+        }
+
+        var stack = triangles.slice();
+        while (stack.length) {
+            var tri = stack.pop();
+            var maxLen = 0;
+            var maxIdx = 0;
+            for (var k = 0; k < 3; k++) {
+                var len = edgeLenSquare(tri[k], tri[(k + 1) % 3]);
+                if (len > maxLen) {
+                    maxLen = len;
+                    maxIdx = k;
+                }
+            }
+            if (maxLen <= maxEdgeSquare) {
+                out.push(tri);
+                continue;
+            }
+            var i0 = tri[maxIdx];
+            var i1 = tri[(maxIdx + 1) % 3];
+            var i2 = tri[(maxIdx + 2) % 3];
+            var m = getMidPoint(i0, i1);
+            stack.push([i0, m, i2], [m, i1, i2]);
+        }
+        return out;
+    }
+
+    /**
+     * @constructor
+     * @alias module:echarts-x/util/geometry/Region
+     * @extends qtek.DynamicGeometry
+     */
+    var RegionGeometry = DynamicGeometry.derive({
+
+        /**
+         * Radius of globe
+         * @type {number}
+         */
+        radius: 1,
+
+        /**
+         * Height of extrusion
+         * @type {number}
+         */
+        height: 0,
+
+        /**
+         * Distance of bottom to the globe surface
+         * @type {number}
+         */
+        baseDistance: 0,
+
+        /**
+         * Max edge length in degree of triangles
+         * @type {number}
+         */
+        maxEdge: 4,
+
+        /**
+         * 0 is sphere and 1 is plane
+         * @type {number}
+         */
+        morph: 0,
+
+        /**
+         * @type {string}
+         */
+        planeProjection: 'equirectangular',
+
+        // Longitude, latitude and if on the top of each vertex
+        _vertexGeoCoords: null
+
+    }, function () {
+        this._vertexGeoCoords = [];
+    },
+    /** @lends module:echarts-x/util/geometry/Region.prototype */
+    {
+        /**
+         * Build geometry from polygons
+         * @param {Array} polygons Polygons in GeoJSON coordinates, each polygon is a list of rings.
+         *        First ring is the outline and others are holes.
+         */
+        setPolygons: function (polygons) {
+            var vertexGeoCoords = this._vertexGeoCoords;
+            var faces = this.faces;
+            vertexGeoCoords.length = 0;
+            faces.length = 0;
+
+            for (var i = 0; i < polygons.length; i++) {
+                var rings = polygons[i];
+                var outer = cleanRing(rings[0] || []);
+                if (outer.length < 3) {
+                    continue;
+                }
+                if (signedArea(outer) < 0) {
+                    outer.reverse();
+                }
+                for (var k = 1; k < rings.length; k++) {
+                    var hole = cleanRing(rings[k]);
+                    if (hole.length < 3) {
+                        continue;
+                    }
+                    if (signedArea(hole) > 0) {
+                        hole.reverse();
+                    }
+                    outer = mergeHole(outer, hole);
+                }
+
+                var points = outer;
+                var triangles = subdivide(points, earClip(points), this.maxEdge);
+
+                this._addCap(points, triangles);
+                this._addWalls(points, triangles);
+            }
+
+            this.updatePositions();
+        },
+
+        _addCap: function (points, triangles) {
+            var vertexGeoCoords = this._vertexGeoCoords;
+            var offset = vertexGeoCoords.length;
+            for (var i = 0; i < points.length; i++) {
+                vertexGeoCoords.push([points[i][0], points[i][1], 1]);
+            }
+            for (var i = 0; i < triangles.length; i++) {
+                var tri = triangles[i];
+                this.faces.push([tri[0] + offset, tri[1] + offset, tri[2] + offset]);
+            }
+        },
+
+        // Side walls are built on the edges which only belong to one triangle
+        _addWalls: function (points, triangles) {
+            var edgeCount = {};
+            var edges = [];
+            for (var i = 0; i < triangles.length; i++) {
+                var tri = triangles[i];
+                for (var k = 0; k < 3; k++) {
+                    var a = tri[k];
+                    var b = tri[(k + 1) % 3];
+                    var pa = points[a];
+                    var pb = points[b];
+                    // Duplicated points of bridge have different indices but same coordinates
+                    var keyA = pa[0] + ',' + pa[1];
+                    var keyB = pb[0] + ',' + pb[1];
+                    var key = keyA < keyB ? keyA + '_' + keyB : keyB + '_' + keyA;
+                    edgeCount[key] = (edgeCount[key] || 0) + 1;
+                    edges.push([a, b, key]);
+                }
+            }
+
+            var vertexGeoCoords = this._vertexGeoCoords;
+            for (var i = 0; i < edges.length; i++) {
+                if (edgeCount[edges[i][2]] > 1) {
+                    continue;
+                }
+                var pa = points[edges[i][0]];
+                var pb = points[edges[i][1]];
+                var offset = vertexGeoCoords.length;
+                vertexGeoCoords.push(
+                    [pa[0], pa[1], 0], [pb[0], pb[1], 0],
+                    [pb[0], pb[1], 1], [pa[0], pa[1], 1]
+                );
+                this.faces.push(
+                    [offset, offset + 1, offset + 2],
+                    [offset, offset + 2, offset + 3]
+                );
+            }
+        },
+
+        /**
+         * Update vertex positions after height or morph changed
+         */
+        updatePositions: function () {
+            var vertexGeoCoords = this._vertexGeoCoords;
+            var positions = this.attributes.position.value;
+            positions.length = 0;
+
+            var baseDistance = this.baseDistance;
+            var topDistance = baseDistance + this.height;
+            for (var i = 0; i < vertexGeoCoords.length; i++) {
+                var coord = vertexGeoCoords[i];
+                positions.push(geoProjection.project(
+                    vec3.create(), coord[0], coord[1], this.radius,
+                    coord[2] ? topDistance : baseDistance,
+                    this.morph, this.planeProjection
+                ));
+            }
+
+            this.generateVertexNormals();
+            this.updateBoundingBox();
+            this.dirty();
+        }
+    });
+
+    return RegionGeometry;
+});
@@ -9,6 +9,7 @@ define(function (require) {
     var DynamicGeometry = require('qtek/DynamicGeometry');
     var Matrix4 = require('qtek/math/Matrix4');
     var Vector3 = require('qtek/math/Vector3');
+    var Ray = require('qtek/math/Ray');
     var vec3 = require('qtek/dep/glmatrix').vec3;
     var vec2 = require('qtek/dep/glmatrix').vec2;
 
@@ -24,12 +25,24 @@ define(function (require) {
         [0, 1, 2], [0, 2, 3]
     ];
 
-    var SpritesGeometry = DynamicGeometry.derive({
+    var SpritesGeometry = DynamicGeometry.derive(function () {
+        return {
+            // Transform of each sprite from the unit square, used in picking
+            _spriteMatrices: [],
+            _spriteInvMatrices: []
+        };
+    }, function () {
+        // Index of sprite each vertex belongs to, used in color picking
+        this.createAttribute('pickIndex', 'float', 1);
     }, {
         clearSprites: function () {
             var attributes = this.attributes;
             attributes.position.value.length = 0;
             attributes.texcoord0.value.length = 0;
+            attributes.pickIndex.value.length = 0;
+            this.faces.length = 0;
+            this._spriteMatrices.length = 0;
+            this._spriteInvMatrices.length = 0;
         },
 
         /**
@@ -47,23 +60,95 @@ define(function (require) {
                 this.faces.push(face);
             }
 
+            this._spriteMatrices.push(new Matrix4());
+            this._spriteInvMatrices.push(new Matrix4());
+            this._setSpriteVertices(this._spriteMatrices.length - 1, matrix, coords);
+        },
+
+        /**
+         * Update transform and texture coords of a sprite.
+         * Only the vertices of sprite are updated.
+         * @param {number} index
+         * @param {qtek.math.Matrix4} Sprite transform matrix
+         * @param {Array} up Sprite left up and right bottom texture coords
+         */
+        updateSprite: function (index, matrix, coords) {
+            if (index < this._spriteMatrices.length) {
+                this._setSpriteVertices(index, matrix, coords);
+            }
+        },
+
+        _setSpriteVertices: function (index, matrix, coords) {
+            var offset = index * squarePositions.length;
+            var attributes = this.attributes;
             for (var i = 0; i < squarePositions.length; i++) {
                 var pos = vec3.clone(squarePositions[i]);
                 vec3.transformMat4(pos, pos, matrix._array);
-                this.attributes.position.value.push(pos);
+                attributes.position.value[offset + i] = pos;
+                attributes.pickIndex.value[offset + i] = index;
             }
 
-            var texcoord0 = this.attributes.texcoord0.value;
+            var texcoord0 = attributes.texcoord0.value;
             var create = vec2.fromValues;
             // Left bottom
-            texcoord0.push(create(coords[0][0], coords[1][1]));
+            texcoord0[offset] = create(coords[0][0], coords[1][1]);
             // Right bottom
-            texcoord0.push(create(coords[1][0], coords[1][1]));
+            texcoord0[offset + 1] = create(coords[1][0], coords[1][1]);
             // Right top
-            texcoord0.push(create(coords[1][0], coords[0][1]));
+            texcoord0[offset + 2] = create(coords[1][0], coords[0][1]);
             // Left top
-            texcoord0.push(create(coords[0][0], coords[0][1]));
-        }
+            texcoord0[offset + 3] = create(coords[0][0], coords[0][1]);
+
+            this._spriteMatrices[index].copy(matrix);
+            Matrix4.invert(this._spriteInvMatrices[index], matrix);
+        },
+
+        /**
+         * Pick the nearest sprite with a ray in the local space of geometry
+         * @param  {qtek.math.Ray} ray
+         * @param  {qtek.math.Vector3} [out] Intersection point
+         * @param  {number} [spriteIndex] Only test the sprite of given index
+         * @return {number} Index of sprite, -1 if not picked
+         */
+        pickSprite: (function () {
+            var localRay = new Ray();
+            var point = new Vector3();
+            return function (ray, out, spriteIndex) {
+                var index = -1;
+                var minDist = Infinity;
+                var start = spriteIndex >= 0 ? spriteIndex : 0;
+                var end = spriteIndex >= 0
+                    ? Math.min(spriteIndex + 1, this._spriteMatrices.length) : this._spriteMatrices.length;
+                for (var i = start; i < end; i++) {
+                    localRay.copy(ray);
+                    localRay.applyTransform(this._spriteInvMatrices[i]);
+                    var origin = localRay.origin._array;
+                    var dir = localRay.direction._array;
+                    // Intersect with the square on plane z = 0
+                    var t = -origin[2] / dir[2];
+                    // t is NaN if ray is parallel to the plane
+                    if (isNaN(t) || t < 0) {
+                        continue;
+                    }
+                    var x = origin[0] + dir[0] * t;
+                    var y = origin[1] + dir[1] * t;
+                    if (Math.abs(x) > 1 || Math.abs(y) > 1) {
+                        continue;
+                    }
+                    Vector3.set(point, x, y, 0);
+                    Vector3.transformMat4(point, point, this._spriteMatrices[i]);
+                    var dist = Vector3.squaredDistance(point, ray.origin);
+                    if (dist < minDist) {
+                        minDist = dist;
+                        index = i;
+                        if (out) {
+                            Vector3.copy(out, point);
+                        }
+                    }
+                }
+                return index;
+            };
+        })()
     });
 
     return SpritesGeometry;
@@ -0,0 +1,178 @@
+/**
+ * Geometry of a Web Mercator map tile on the globe.
+ * Rows of vertices are evenly spaced in mercator y, so the tile image
+ * is mapped linearly and reprojected to the sphere or plane by the vertex positions.
+ *
+ * @module echarts-x/util/geometry/TilePatch
+ * @author Yi Shen(https://github.com/pissang)
+ */
+
+define(function (require) {
+
+    var DynamicGeometry = require('qtek/DynamicGeometry');
+    var glMatrix = require('qtek/dep/glmatrix');
+    var vec3 = glMatrix.vec3;
+    var vec2 = glMatrix.vec2;
+
+    var geoProjection = require('../geoProjection');
+
+    /**
+     * Latitude in degree of the top edge of tile row y in level z
+     * @param  {number} y
+     * @param  {number} z
+     * @return {number}
+     */
+    function tileYToLat(y, z) {
+        var n = Math.PI * (1 - 2 * y / Math.pow(2, z));
+        return Math.atan(0.5 * (Math.exp(n) - Math.exp(-n))) * 180 / Math.PI;
+    }
+
+    /**
+     * @constructor
+     * @alias module:echarts-x/util/geometry/TilePatch
+     * @extends qtek.DynamicGeometry
+     */
+    var TilePatchGeometry = DynamicGeometry.derive({
+
+        /**
+         * Tile level
+         * @type {number}
+         */
+        z: 0,
+
+        /**
+         * Tile column, from west to east
+         * @type {number}
+         */
+        x: 0,
+
+        /**
+         * Tile row, from north to south
+         * @type {number}
+         */
+        y: 0,
+
+        segments: 16,
+
+        /**
+         * Radius of globe
+         * @type {number}
+         */
+        radius: 1,
+
+        /**
+         * Distance to the globe surface
+         * @type {number}
+         */
+        distance: 0,
+
+        /**
+         * 0 is sphere and 1 is plane
+         * @type {number}
+         */
+        morph: 0,
+
+        /**
+         * Projection type of plane, 'equirectangular' | 'mercator'
+         * @type {string}
+         */
+        planeProjection: 'equirectangular',
+
+        /**
+         * Height field displacing the vertices
+         * @type {module:echarts-x/util/HeightField}
+         */
+        heightField: null,
+
+        /**
+         * Displaced distance of the highest point in height field
+         * @type {number}
+         */
+        displacementScale: 0
+
+    }, function () {
+        this.build();
+    },
+    /** @lends module:echarts-x/util/geometry/TilePatch.prototype */
+    {
+        /**
+         * Build vertices and faces
+         */
+        build: function () {
+            var positions = this.attributes.position.value;
+            var texcoords = this.attributes.texcoord0.value;
+            positions.length = 0;
+            texcoords.length = 0;
+            this.faces.length = 0;
+
+            var segments = this.segments;
+            for (var j = 0; j <= segments; j++) {
+                for (var i = 0; i <= segments; i++) {
+                    positions.push(vec3.create());
+                    texcoords.push(vec2.fromValues(i / segments, j / segments));
+                }
+            }
+
+            var len = segments + 1;
+            for (var j = 0; j < segments; j++) {
+                for (var i = 0; i < segments; i++) {
+                    var i2 = j * len + i;
+                    var i1 = j * len + i + 1;
+                    var i4 = (j + 1) * len + i + 1;
+                    var i3 = (j + 1) * len + i;
+
+                    this.faces.push(vec3.fromValues(i1, i2, i4));
+                    this.faces.push(vec3.fromValues(i2, i3, i4));
+                }
+            }
+
+            this.updatePositions();
+        },
+
+        /**
+         * Update vertex positions and normals after distance, morph or displacement changed
+         */
+        updatePositions: function () {
+            var positions = this.attributes.position.value;
+            var normals = this.attributes.normal.value;
+            var segments = this.segments;
+            var z = this.z;
+            var n = Math.pow(2, z);
+            var heightField = this.displacementScale ? this.heightField : null;
+
+            normals.length = 0;
+
+            var idx = 0;
+            for (var j = 0; j <= segments; j++) {
+                var lat = tileYToLat(this.y + j / segments, z);
+                for (var i = 0; i <= segments; i++) {
+                    var lon = (this.x + i / segments) / n * 360 - 180;
+                    var height = heightField
+                        ? heightField.getHeight(lon, lat) * this.displacementScale : 0;
+                    geoProjection.project(
+                        positions[idx++], lon, lat, this.radius, this.distance + height,
+                        this.morph, this.planeProjection
+                    );
+
+                    // Normal of sphere is the normalized position, normal of plane is +x
+                    var normal = vec3.fromValues(0, 0, 0);
+                    geoProjection.sphere(normal, lon, lat, 1, 0);
+                    vec3.lerp(normal, normal, [1, 0, 0], this.morph);
+                    vec3.normalize(normal, normal);
+                    normals.push(normal);
+                }
+            }
+
+            if (heightField) {
+                this.generateVertexNormals();
+            }
+
+            this.updateBoundingBox();
+            this.dirty();
+        }
+    });
+
+    TilePatchGeometry.tileYToLat = tileYToLat;
+
+    return TilePatchGeometry;
+});